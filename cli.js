@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+const { Command } = require('commander');
+const { ConfigError, buildMigrationConfig, applyConnectionSettings, applyPoolSize } = require('./lib/migration-config');
+const { log, configureLogging } = require('./lib/logger');
+
+// Process exit codes used by every command
+const EXIT_CODES = {
+    SUCCESS: 0,            // Everything completed and verified
+    FAILURE: 1,            // A table or the whole run failed with an error
+    USAGE: 2,              // Invalid flags or config file
+    VERIFICATION_FAILED: 3 // Run completed but row counts do not match, rows remain rejected or the assessment found errors
+};
+
+// Function to add the flags shared by every command
+const addCommonOptions = (command) => command
+    .argument('[tables...]', 'tables to process (replaces the include list)')
+    .option('-c, --config <file>', 'migration config file (.json, .yml or .yaml)')
+    .option('--include <tables>', 'comma separated tables to include (supports * wildcards)')
+    .option('--exclude <tables>', 'comma separated tables to exclude (supports * wildcards)')
+    .option('--batch-size <n>', 'records per INSERT batch')
+    .option('--stream-limit <n>', 'records fetched from MySQL at a time')
+    .option('--max-retries <n>', 'attempts per failed batch')
+    .option('--checkpoint-interval <n>', 'records between progress checkpoints')
+    .option('--loader <loader>', 'how rows are written: insert or copy')
+    .option('--copy-format <format>', 'COPY format when --loader copy: text or binary')
+    .option('--resume', 'continue from saved checkpoints instead of recreating tables')
+    .option('--if-exists <mode>', 'existing PostgreSQL tables: fail, drop, truncate, append or upsert')
+    .option('--checkpoint-table <name>', 'PostgreSQL table that stores checkpoints')
+    .option('--rejects-format <format>', 'where rejected rows go: jsonl, csv or table')
+    .option('--rejects-dir <dir>', 'directory for reject files')
+    .option('--rejects-table <name>', 'PostgreSQL table for rejected rows (--rejects-format table)')
+    .option('--max-rejected-rows <n>', 'abort a table when more rows than this are rejected')
+    .option('--identity-style <style>', 'AUTO_INCREMENT columns as identity or serial')
+    .option('--fulltext-config <name>', 'text search configuration for translated FULLTEXT indexes')
+    .option('--checksum', 'verify row contents with per-range checksums, not just row counts')
+    .option('--verify-dir <dir>', 'directory for checksum diff reports')
+    .option('--max-diff-rows <n>', 'differing rows listed in a diff report')
+    .option('--cdc', 'record the binlog position before copying and tail changes afterwards')
+    .option('--cdc-table <name>', 'PostgreSQL table that stores the applied binlog position')
+    .option('--server-id <id>', 'replica server id used to read the binlog')
+    .option('--dry-run', 'write the DDL script and a copy estimate without changing PostgreSQL')
+    .option('--ddl-file <file>', 'where --dry-run writes the DDL script')
+    .option('--assessment-file <file>', 'where assess writes its JSON report (a .md next to it)')
+    .option('--concurrency <n>', 'tables copied at once')
+    .option('--range-workers <n>', 'primary key ranges of one large table copied at once')
+    .option('--range-min-rows <n>', 'only split tables with at least this many rows into key ranges')
+    .option('--target-schema <name>', 'PostgreSQL schema the tables are created in')
+    .option('--name-case <case>', 'PostgreSQL table and column names: lower, snake or preserve')
+    .option('--sample <percent>', 'copy about this percentage of the rows of every table')
+    .option('--subset', 'also copy the parent rows that the filtered rows reference through foreign keys')
+    .option('--timestamp-type <type>', 'MySQL TIMESTAMP columns as timestamptz or timestamp')
+    .option('--datetime-type <type>', 'MySQL DATETIME columns as timestamp or timestamptz')
+    .option('--log-format <format>', 'console output: text or json (one object per line)')
+    .option('--log-level <level>', 'lowest level logged: debug, info, warn or error')
+    .option('--report-dir <dir>', 'directory for the run report of a copy')
+    .option('--report-html', 'also write the run report as HTML')
+    .option('--max-rows-per-second <n>', 'cap on rows read from MySQL per second (all workers together)')
+    .option('--max-mb-per-second <n>', 'cap on MB read from MySQL per second (all workers together)')
+    .option('--max-threads-running <n>', 'pause reading while MySQL Threads_running is above this')
+    .option('--max-replica-lag <seconds>', 'pause reading while the MySQL replica lags more than this')
+    .option('--quiet-hours <windows>', 'comma separated local-time windows to read in, e.g. 22:00-06:00')
+    .option('--mysql-host <host>', 'MySQL host')
+    .option('--mysql-port <port>', 'MySQL port')
+    .option('--mysql-user <user>', 'MySQL user')
+    .option('--mysql-password <password>', 'MySQL password')
+    .option('--mysql-database <name>', 'MySQL database')
+    .option('--mysql-timezone <offset>', 'session time zone of both databases as a UTC offset, e.g. +00:00')
+    .option('--pg-host <host>', 'PostgreSQL host')
+    .option('--pg-port <port>', 'PostgreSQL port')
+    .option('--pg-user <user>', 'PostgreSQL user')
+    .option('--pg-password <password>', 'PostgreSQL password')
+    .option('--pg-database <name>', 'PostgreSQL database');
+
+// Function to map copy results to an exit code
+const copyExitCode = (results) => {
+    if (results.some(result => result.status === 'failed')) return EXIT_CODES.FAILURE;
+    if (results.some(result => result.status === 'partial')) return EXIT_CODES.VERIFICATION_FAILED;
+    return EXIT_CODES.SUCCESS;
+};
+
+// Function to export the DDL script instead of changing PostgreSQL (--dry-run)
+const dryRun = async (migration, settings) => {
+    await migration.exportDatabaseSchema(settings);
+    return EXIT_CODES.SUCCESS;
+};
+
+// Command handlers: each returns the exit code for its results
+const handlers = {
+    copy: async (migration, settings) => {
+        if (settings.DRY_RUN) return dryRun(migration, settings);
+        return copyExitCode(await migration.copyDatabase(settings));
+    },
+
+    schema: async (migration, settings) => {
+        if (settings.DRY_RUN) return dryRun(migration, settings);
+        const results = await migration.createDatabaseSchema(settings);
+        const failed = results.filter(result => result.status === 'failed');
+        failed.forEach(result => log.error(`❌ ${result.tableName}: ${result.error}`, { table: result.tableName, error: result.error }));
+        return failed.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+    },
+
+    verify: async (migration, settings) => {
+        const results = await migration.verifyDatabase(settings);
+        if (results.some(result => result.error)) return EXIT_CODES.FAILURE;
+        return results.every(result => result.match) ? EXIT_CODES.SUCCESS : EXIT_CODES.VERIFICATION_FAILED;
+    },
+
+    constraints: async (migration, settings) => {
+        const results = await migration.createDatabaseConstraints(settings);
+        return results.some(result => result.status === 'failed') ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+    },
+
+    objects: async (migration, settings) => {
+        const report = await migration.createDatabaseObjects(settings);
+        return report.some(entry => entry.status === 'failed') ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+    },
+
+    cdc: async (migration, settings) => {
+        await migration.replicateDatabase(settings);
+        return EXIT_CODES.SUCCESS;
+    },
+
+    'resync-sequences': async (migration, settings) => {
+        const results = await migration.resyncDatabaseSequences(settings);
+        return results.some(result => result.status === 'failed') ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+    },
+
+    'replay-rejects': async (migration, settings) => {
+        const results = await migration.replayDatabaseRejects(settings);
+        return results.some(result => result.remaining > 0) ? EXIT_CODES.VERIFICATION_FAILED : EXIT_CODES.SUCCESS;
+    },
+
+    assess: async (migration, settings) => {
+        const { report } = await migration.assessDatabase(settings);
+        return report.summary.errors > 0 ? EXIT_CODES.VERIFICATION_FAILED : EXIT_CODES.SUCCESS;
+    },
+
+    status: async (migration, settings) => {
+        await migration.getMigrationStatus(settings);
+        return EXIT_CODES.SUCCESS;
+    }
+};
+
+// Function to run one command with validated settings and exit with its code
+const runCommand = (name) => async (tables, flags) => {
+    let exitCode;
+
+    try {
+        const { settings, connections } = buildMigrationConfig(flags, tables);
+        configureLogging(settings);
+        applyConnectionSettings(connections);
+        applyPoolSize(settings);
+
+        // Required only now so config/database.js sees the connection settings
+        const migration = require('./copy-table-mysql-to-postgres');
+        exitCode = await handlers[name](migration, settings);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            log.error(`❌ Configuration error: ${error.message}`, { error: error.message });
+            exitCode = EXIT_CODES.USAGE;
+        } else {
+            log.error(`❌ ${name} failed: ${error.message}`, { error: error.message });
+            exitCode = EXIT_CODES.FAILURE;
+        }
+    }
+
+    process.exit(exitCode);
+};
+
+// Function to build the command line program
+const createProgram = () => {
+    const program = new Command();
+
+    program
+        .name('db-migrate')
+        .description('Migrate tables from MySQL to PostgreSQL')
+        .exitOverride(error => process.exit(error.exitCode === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE));
+
+    addCommonOptions(program.command('copy'))
+        .description('analyze, create, copy and verify tables')
+        .action(runCommand('copy'));
+
+    addCommonOptions(program.command('schema'))
+        .description('create the PostgreSQL tables without copying data')
+        .action(runCommand('schema'));
+
+    addCommonOptions(program.command('verify'))
+        .description('compare MySQL and PostgreSQL row counts (row contents with --checksum)')
+        .action(runCommand('verify'));
+
+    addCommonOptions(program.command('constraints'))
+        .description('create indexes, UNIQUE constraints and foreign keys of copied tables')
+        .action(runCommand('constraints'));
+
+    addCommonOptions(program.command('objects'))
+        .description('create the translated views, triggers and stored routines of copied tables')
+        .action(runCommand('objects'));
+
+    addCommonOptions(program.command('cdc'))
+        .description('apply binlog changes to copied tables until interrupted, reporting replication lag')
+        .action(runCommand('cdc'));
+
+    addCommonOptions(program.command('resync-sequences'))
+        .description('set identity/serial sequences past the highest copied id')
+        .action(runCommand('resync-sequences'));
+
+    addCommonOptions(program.command('replay-rejects'))
+        .description('insert fixed rejected rows again; rows that still fail stay rejected')
+        .action(runCommand('replay-rejects'));
+
+    addCommonOptions(program.command('status'))
+        .description('show the migration state of each table')
+        .action(runCommand('status'));
+
+    addCommonOptions(program.command('assess'))
+        .description('scan the MySQL schema for lossy conversions and unmigrated objects, and estimate the copy')
+        .action(runCommand('assess'));
+
+    return program;
+};
+
+if (require.main === module) {
+    createProgram().parseAsync(process.argv);
+}
+
+module.exports = {
+    EXIT_CODES,
+    createProgram
+};
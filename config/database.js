@@ -1,35 +1,62 @@
 const mysql = require('mysql2');
 const { Pool } = require('pg');
+const { UTC_OFFSET_PATTERN } = require('../lib/temporal');
+const { log } = require('../lib/logger');
 require('dotenv').config();
 
+// Read an integer (port, pool size) from the environment (undefined falls back to the default)
+const envInteger = (name) => process.env[name] ? parseInt(process.env[name], 10) : undefined;
+
+// Session time zone of both databases as a UTC offset: MySQL returns TIMESTAMP values in it and
+// PostgreSQL reads date/time text without an offset (e.g. into TIMESTAMPTZ columns) in it
+const sessionTimezone = process.env.MYSQL_TIMEZONE || '+00:00';
+if (!UTC_OFFSET_PATTERN.test(sessionTimezone)) {
+    throw new Error(`MYSQL_TIMEZONE must be a UTC offset such as +00:00 or -05:30 (got ${JSON.stringify(sessionTimezone)})`);
+}
+
+// MySQL connection settings (also used by the binlog client)
+const mysqlConnectionOptions = {
+    host: process.env.MYSQL_HOST,
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+    database: process.env.MYSQL_DATABASE,
+    port: envInteger('MYSQL_PORT'),
+    timezone: sessionTimezone
+};
+
 // MySQL Connection Pool
 const mysqlPool = mysql.createPool({
-    // host: 'localhost',
-    // user: 'root',
-    // password: '',
-    // database: 'test',
-    // port: 3306,
+    ...mysqlConnectionOptions,
     waitForConnections: true,
-    connectionLimit: 10,
+    connectionLimit: envInteger('MYSQL_POOL_SIZE') || 10,
     queueLimit: 0
     // Removed invalid options: acquireTimeout, timeout, reconnect
 });
 
+mysqlPool.on('connection', (connection) => {
+    connection.query(`SET time_zone = '${sessionTimezone}'`);
+});
+
 // Get promise-based MySQL connection
 const mysqlPromisePool = mysqlPool.promise();
 
 // PostgreSQL Connection Pool
+// Unset values fall back to the standard PG* environment variables
 const postgresPool = new Pool({
-    // host: 'localhost',
-    // user: 'root',
-    // password: 'DSsXXXXXXXdwe3',
-    // database: 'test_one',
-    // port: 5432,
-    max: 10,
+    host: process.env.POSTGRES_HOST,
+    user: process.env.POSTGRES_USER,
+    password: process.env.POSTGRES_PASSWORD,
+    database: process.env.POSTGRES_DATABASE,
+    port: envInteger('POSTGRES_PORT'),
+    max: envInteger('POSTGRES_POOL_SIZE') || 10,
     idleTimeoutMillis: 30000,
     connectionTimeoutMillis: 2000,
 });
 
+postgresPool.on('connect', (client) => {
+    client.query(`SET TIME ZONE INTERVAL '${sessionTimezone}' HOUR TO MINUTE`).catch(() => {});
+});
+
 // Test MySQL connection
 const testMySQLConnection = async () => {
     try {
@@ -37,7 +64,7 @@ const testMySQLConnection = async () => {
         console.log('✅ MySQL Database connected successfully');
         return true;
     } catch (error) {
-        console.error('❌ MySQL Database connection failed:', error.message);
+        log.error(`❌ MySQL Database connection failed: ${error.message}`, { error: error.message });
         return false;
     }
 };
@@ -51,7 +78,7 @@ const testPostgreSQLConnection = async () => {
         console.log('✅ PostgreSQL Database connected successfully');
         return true;
     } catch (error) {
-        console.error('❌ PostgreSQL Database connection failed:', error.message);
+        log.error(`❌ PostgreSQL Database connection failed: ${error.message}`, { error: error.message });
         return false;
     }
 };
@@ -72,6 +99,8 @@ const testAllConnections = async () => {
 
 module.exports = {
     // MySQL exports
+    mysqlConnectionOptions,
+    sessionTimezone,
     mysqlPool,
     mysqlPromisePool,
     
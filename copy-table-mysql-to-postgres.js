@@ -1,4 +1,51 @@
 const { mysqlPromisePool, postgresPool } = require('./config/database');
+const { openSourceReader, planKeyRanges, getPrimaryKeyColumns } = require('./lib/source-reader');
+const { convertDataType, getColumnMapping, createRowConverter } = require('./lib/type-mapper');
+const { isAutoIncrement, buildAutoIncrementType, getMySQLAutoIncrement, buildSequenceSetupStatement, resyncTableSequences } = require('./lib/sequences');
+const { createBatchLoader, insertBatch } = require('./lib/batch-loader');
+const {
+    getTableIndexes,
+    getTableForeignKeys,
+    buildIndexStatements,
+    buildForeignKeyStatements,
+    createTableIndexes,
+    createForeignKeys
+} = require('./lib/constraints');
+const { getTableEstimates, estimateCopy, renderSchemaScript, writeSchemaScript } = require('./lib/ddl-export');
+const { verifyTableChecksums } = require('./lib/checksum');
+const { recordSnapshotPosition, prepareCdcTables, tailBinlog } = require('./lib/cdc');
+const { runConcurrently } = require('./lib/scheduler');
+const { buildSourceFilters, hasSourceFilters } = require('./lib/subset');
+const { createRowSanitizer } = require('./lib/sanitizer');
+const { assessDatabaseSchema, writeAssessmentReport } = require('./lib/assessment');
+const { getSchemaObjects, buildObjectStatements, createSchemaObjects } = require('./lib/schema-objects');
+const { DIFF_TABLE, diffTableSchema } = require('./lib/schema-diff');
+const { createRunId, withLogContext, setLogContext, log } = require('./lib/logger');
+const { buildRunReport, writeRunReport } = require('./lib/run-report');
+const { createSourceThrottle } = require('./lib/throttle');
+const {
+    quoteMySQL,
+    quotePostgres,
+    targetSchema,
+    targetTableName,
+    targetColumnName,
+    pgTable,
+    pgColumn,
+    pgColumnList,
+    assertUniqueTargetNames
+} = require('./lib/identifiers');
+const { recordCopyStart, recordBatch, recordCopySpeed, recordBatchRetry, recordIsolatedRows } = require('./lib/metrics');
+const { isRowLevelError, buildRejectRecord, createRejectSink, isolateRejectedRows, replayRejects } = require('./lib/rejects');
+const {
+    loadCheckpoint,
+    loadAllCheckpoints,
+    rangeCheckpointName,
+    startCheckpoint,
+    clearRangeCheckpoints,
+    saveCheckpoint,
+    recordFailedRange,
+    completeCheckpoint
+} = require('./lib/checkpoint');
 
 // Configuration for large table copying
 const CONFIG = {
@@ -6,7 +53,61 @@ const CONFIG = {
     STREAM_LIMIT: 10000,        // Records to fetch from MySQL at a time
     MAX_RETRIES: 3,             // Retry failed batches
     CHECKPOINT_INTERVAL: 50000,  // Save progress every N records
-    MEMORY_CHECK_INTERVAL: 10   // Check memory every N batches
+    MEMORY_CHECK_INTERVAL: 10,  // Sample memory for the run report every N batches
+    INCLUDE_TABLES: [],         // Only copy these tables (empty = all base tables)
+    EXCLUDE_TABLES: [],         // Never copy these tables (supports * wildcards)
+    KEY_COLUMNS: {},            // Seek key per table, e.g. { events: ['created_at', 'id'] } (default: primary key)
+    LOADER: 'insert',           // 'insert' (multi-row INSERT) or 'copy' (COPY FROM STDIN)
+    COPY_FORMAT: 'text',        // COPY format when LOADER is 'copy': 'text' or 'binary'
+    RESUME: false,              // Continue from the saved checkpoint instead of recreating tables
+    IF_EXISTS: 'fail',          // Existing PostgreSQL tables: 'fail', 'drop' (recreate), 'truncate', 'append' or 'upsert' (by primary key)
+    CHECKPOINT_TABLE: 'migration_checkpoints', // PostgreSQL control table holding checkpoints
+    REJECTS_FORMAT: 'jsonl',    // Where rejected rows go: 'jsonl', 'csv' (files in REJECTS_DIR) or 'table'
+    REJECTS_DIR: 'rejects',     // Directory for reject files (one per table)
+    REJECTS_TABLE: 'migration_rejects', // PostgreSQL table for rejected rows when REJECTS_FORMAT is 'table'
+    MAX_REJECTED_ROWS: 1000,    // Abort a table when more rows than this are rejected (0 = abort on the first)
+    COLUMN_TYPES: {},           // PostgreSQL type overrides, e.g. { 'users.settings': 'JSON' }
+    IDENTITY_STYLE: 'identity', // AUTO_INCREMENT columns: 'identity' (GENERATED BY DEFAULT AS IDENTITY) or 'serial'
+    FULLTEXT_CONFIG: 'simple',  // Text search configuration used for translated FULLTEXT indexes
+    VERIFY_CHECKSUM: false,     // Verify row contents with per-range checksums instead of counts only
+    VERIFY_DIR: 'verify-reports', // Directory for checksum diff reports (one per table)
+    VERIFY_MAX_DIFF_ROWS: 1000, // Differing rows listed in a diff report (all are counted)
+    CDC: false,                 // Record the binlog position before the copy and tail changes after it
+    CDC_TABLE: 'migration_cdc_state', // PostgreSQL control table holding the applied binlog position
+    CDC_SERVER_ID: 5400,        // Replica server id of the binlog client (unique among the MySQL replicas)
+    DRY_RUN: false,             // Write the DDL script and a copy estimate instead of changing PostgreSQL
+    DDL_FILE: 'migration-schema.sql', // Where the dry-run writes the DDL script
+    ASSESSMENT_FILE: 'migration-assessment.json', // Where the pre-flight assessment writes its JSON report (a .md next to it)
+    CONCURRENCY: 1,             // Tables copied at once by a database-wide copy
+    RANGE_WORKERS: 1,           // Key ranges of one table copied at once (1 = no splitting)
+    RANGE_MIN_ROWS: 1000000,    // Only tables with at least this many rows are split into key ranges
+    JOBS_TABLE: 'migration_jobs', // PostgreSQL control table holding the HTTP API's migration jobs
+    TARGET_SCHEMA: 'public',    // PostgreSQL schema the tables are created in
+    NAME_CASE: 'lower',         // MySQL -> PostgreSQL names: 'lower', 'snake' (camelCase -> snake_case) or 'preserve'
+    TABLE_NAMES: {},            // Table renames, e.g. { orderItems: 'order_line' } (take precedence over NAME_CASE)
+    COLUMN_NAMES: {},           // Column renames, e.g. { 'users.eMail': 'email' } (take precedence over NAME_CASE)
+    FILTERS: {},                // MySQL WHERE condition per table, e.g. { orders: 'created_at >= NOW() - INTERVAL 90 DAY' }
+    SAMPLES: {},                // Percentage of rows copied per table ('*' = every table), e.g. { events: 10 }
+    SUBSET: false,              // Also copy the parent rows that filtered rows reference through foreign keys
+    SOURCE_FILTERS: null,       // Row condition per table built from the three above (set by the entry points)
+    TRANSFORMS: {},             // Transforms per 'table.column', e.g. { 'users.email': [{ type: 'fake', kind: 'email' }] } (see lib/transforms.js)
+    SANITIZE: {},               // Policy per data issue, e.g. { zeroDate: 'clamp', nulBytes: 'reject' } (see lib/sanitizer.js)
+    TIMESTAMP_TYPE: 'timestamptz', // MySQL TIMESTAMP columns: 'timestamptz' (point in time) or 'timestamp' (session wall-clock)
+    DATETIME_TYPE: 'timestamp', // MySQL DATETIME columns: 'timestamp' (naive wall-clock) or 'timestamptz' (in the session time zone)
+    CREATE_OBJECTS: true,       // Create the translated views, triggers and stored routines after a database-wide copy
+    LOG_FORMAT: 'text',         // Console output: 'text' or 'json' (one object per line with run, table, range and batch)
+    LOG_LEVEL: 'info',          // Lowest level logged: 'debug', 'info', 'warn' or 'error'
+    REPORT_DIR: 'run-reports',  // Directory for the run report of every database-wide copy (<run id>.json)
+    REPORT_HTML: false,         // Also write the run report as HTML next to the JSON
+    RUN_ID: null,               // Id of the run in logs and its report (set for HTTP API jobs, generated otherwise)
+    MAX_ROWS_PER_SECOND: 0,     // Cap on rows read from MySQL per second, all workers together (0 = no cap)
+    MAX_MB_PER_SECOND: 0,       // Cap on MB read from MySQL per second, all workers together (0 = no cap)
+    MAX_THREADS_RUNNING: 0,     // Pause reading while MySQL Threads_running is above this (0 = off)
+    MAX_REPLICA_LAG: 0,         // Pause reading while the MySQL replica lags more seconds than this (0 = off)
+    QUIET_HOURS: [],            // Only read during these daily local-time windows, e.g. ['22:00-06:00'] (empty = any time)
+    THROTTLE_CHECK_INTERVAL: 5, // Seconds between Threads_running / replica lag checks
+    THROTTLE: null,             // Source throttle shared by the tables of a run (set by the entry points)
+    SIGNAL: null                // AbortSignal that cancels a copy (set for HTTP API jobs)
 };
 
 // Function to get system memory usage
@@ -34,7 +135,7 @@ const getMySQLTableStructure = async (tableName) => {
         console.log(`📋 Getting MySQL table structure for: ${tableName}`);
         
         // Get table structure
-        const [columns] = await mysqlPromisePool.execute(`DESCRIBE ${tableName}`);
+        const [columns] = await mysqlPromisePool.execute(`DESCRIBE ${quoteMySQL(tableName)}`);
         
         console.log('🔍 MySQL Table Structure:');
         columns.forEach(col => {
@@ -43,18 +144,34 @@ const getMySQLTableStructure = async (tableName) => {
         
         return columns;
     } catch (error) {
-        console.error('❌ Error getting MySQL table structure:', error.message);
+        log.error(`❌ Error getting MySQL table structure: ${error.message}`, { error: error.message });
         throw error;
     }
 };
 
-// Function to get total row count
-const getTotalRowCount = async (tableName) => {
+// Function to get the MySQL row condition of a table in this run (null = every row)
+const sourceFilter = (tableName, settings) => (settings.SOURCE_FILTERS || {})[tableName] || null;
+
+// Function to build the row conditions of a run's tables (FILTERS, SAMPLES and the SUBSET closure)
+// into settings.SOURCE_FILTERS, unless the caller already did
+const applySourceFilters = async (tables, settings) => {
+    if (settings.SOURCE_FILTERS) return;
+    settings.SOURCE_FILTERS = await buildSourceFilters(tables, settings);
+    
+    const filtered = tables.filter(tableName => settings.SOURCE_FILTERS[tableName]);
+    if (filtered.length > 0) {
+        console.log(`🔎 Subset of ${filtered.length} table(s)${settings.SUBSET ? ' with referenced parent rows' : ''}: ${filtered.join(', ')}`);
+    }
+};
+
+// Function to get total row count (filter: MySQL condition of a subset, null = every row)
+const getTotalRowCount = async (tableName, filter = null) => {
     try {
-        const [result] = await mysqlPromisePool.execute(`SELECT COUNT(*) as total FROM ${tableName}`);
+        const where = filter ? ` WHERE ${filter}` : '';
+        const [result] = await mysqlPromisePool.query(`SELECT COUNT(*) as total FROM ${quoteMySQL(tableName)}${where}`);
         return result[0].total;
     } catch (error) {
-        console.error('❌ Error getting row count:', error.message);
+        log.error(`❌ Error getting row count: ${error.message}`, { error: error.message });
         throw error;
     }
 };
@@ -71,46 +188,104 @@ const getTableSize = async (tableName) => {
         
         return result[0] ? result[0].size_mb : 0;
     } catch (error) {
-        console.log('⚠️  Could not get table size estimate');
+        log.warn('⚠️  Could not get table size estimate');
         return 0;
     }
 };
 
-// Function to convert MySQL data type to PostgreSQL
-const convertDataType = (mysqlType) => {
-    const type = mysqlType.toLowerCase();
-    
-    // Handle common MySQL to PostgreSQL type conversions
-    if (type.includes('int(')) return 'INTEGER';
-    if (type.includes('bigint')) return 'BIGINT';
-    if (type.includes('smallint')) return 'SMALLINT';
-    if (type.includes('tinyint(1)')) return 'BOOLEAN';
-    if (type.includes('tinyint')) return 'INTEGER'; // Changed from SMALLINT to INTEGER for better compatibility
-    if (type.includes('varchar')) {
-        const match = type.match(/varchar\((\d+)\)/);
-        return match ? `VARCHAR(${match[1]})` : 'VARCHAR(255)';
+// Function to list all base tables in the MySQL database
+const listMySQLTables = async () => {
+    try {
+        const [rows] = await mysqlPromisePool.execute(`
+            SELECT table_name AS tableName
+            FROM information_schema.tables
+            WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'
+            ORDER BY table_name
+        `);
+        
+        return rows.map(row => row.tableName);
+    } catch (error) {
+        log.error(`❌ Error listing MySQL tables: ${error.message}`, { error: error.message });
+        throw error;
     }
-    if (type.includes('text')) return 'TEXT';
-    if (type.includes('longtext')) return 'TEXT';
-    if (type.includes('mediumtext')) return 'TEXT';
-    if (type.includes('decimal')) {
-        const match = type.match(/decimal\((\d+),(\d+)\)/);
-        return match ? `DECIMAL(${match[1]},${match[2]})` : 'DECIMAL';
+};
+
+// Function to get foreign key dependencies (child table -> parent table)
+const getForeignKeyDependencies = async () => {
+    try {
+        const [rows] = await mysqlPromisePool.execute(`
+            SELECT DISTINCT
+                table_name AS tableName,
+                referenced_table_name AS referencedTable
+            FROM information_schema.key_column_usage
+            WHERE table_schema = DATABASE()
+              AND referenced_table_schema = DATABASE()
+              AND referenced_table_name IS NOT NULL
+        `);
+        
+        return rows;
+    } catch (error) {
+        log.error(`❌ Error getting foreign key dependencies: ${error.message}`, { error: error.message });
+        throw error;
+    }
+};
+
+// Function to match a table name against a list of names (supports * wildcards)
+const matchesTableList = (tableName, list) => {
+    return list.some(pattern => {
+        if (!pattern.includes('*')) return pattern === tableName;
+        const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+        return regex.test(tableName);
+    });
+};
+
+// Function to apply include/exclude lists to the table list
+const filterTables = (tables, include = [], exclude = []) => {
+    return tables.filter(tableName => {
+        if (include.length > 0 && !matchesTableList(tableName, include)) return false;
+        if (exclude.length > 0 && matchesTableList(tableName, exclude)) return false;
+        return true;
+    });
+};
+
+// Function to order tables so that parent tables are copied before their children
+const orderTablesByDependencies = (tables, dependencies) => {
+    const tableSet = new Set(tables);
+    const parents = new Map(tables.map(tableName => [tableName, new Set()]));
+    
+    dependencies.forEach(({ tableName, referencedTable }) => {
+        // Ignore self references and tables outside the current selection
+        if (tableName === referencedTable) return;
+        if (!tableSet.has(tableName) || !tableSet.has(referencedTable)) return;
+        parents.get(tableName).add(referencedTable);
+    });
+    
+    const ordered = [];
+    const remaining = new Set(tables);
+    
+    while (remaining.size > 0) {
+        const ready = [...remaining].filter(tableName =>
+            [...parents.get(tableName)].every(parent => !remaining.has(parent))
+        );
+        
+        if (ready.length === 0) {
+            // Circular foreign keys: copy the rest in name order
+            const cyclic = [...remaining].sort();
+            log.warn(`⚠️  Circular foreign key dependencies between: ${cyclic.join(', ')}`);
+            ordered.push(...cyclic);
+            break;
+        }
+        
+        ready.sort().forEach(tableName => {
+            ordered.push(tableName);
+            remaining.delete(tableName);
+        });
     }
-    if (type.includes('float')) return 'REAL';
-    if (type.includes('double')) return 'DOUBLE PRECISION';
-    if (type.includes('datetime')) return 'TIMESTAMP';
-    if (type.includes('timestamp')) return 'TIMESTAMP';
-    if (type.includes('date')) return 'DATE';
-    if (type.includes('time')) return 'TIME';
-    if (type.includes('json')) return 'JSON';
-    if (type.includes('enum')) return 'VARCHAR(50)'; // Convert enum to varchar
     
-    // Default fallback
-    return 'TEXT';
+    return ordered;
 };
 
-// Function to convert MySQL default values to PostgreSQL
+// Function to convert MySQL default values to PostgreSQL (dataType is the PostgreSQL column type)
 const convertDefaultValue = (defaultValue, dataType) => {
     if (defaultValue === null || defaultValue === 'NULL') {
         return null;
@@ -123,6 +298,22 @@ const convertDefaultValue = (defaultValue, dataType) => {
         return 'CURRENT_TIMESTAMP';
     }
     
+    // Handle boolean columns (tinyint(1) / bit(1)) and bit literals such as b'101'
+    const bitMatch = defaultStr.match(/^b'([01]*)'$/);
+    if (dataType === 'BOOLEAN') {
+        const numeric = bitMatch ? parseInt(bitMatch[1] || '0', 2) : Number(defaultValue);
+        return numeric !== 0 ? 'TRUE' : 'FALSE';
+    }
+    if (bitMatch) {
+        return `B'${bitMatch[1]}'`;
+    }
+    
+    // Handle SET columns (comma separated values -> text array)
+    if (dataType === 'TEXT[]') {
+        const values = defaultValue === '' ? [] : defaultValue.split(',');
+        return `'{${values.map(value => `"${value.replace(/["\\]/g, '\\$&').replace(/'/g, "''")}"`).join(',')}}'`;
+    }
+    
     // Handle other common defaults
     if (defaultStr === '0' || defaultStr === 0) {
         return '0';
@@ -134,49 +325,160 @@ const convertDefaultValue = (defaultValue, dataType) => {
     
     // For string defaults, wrap in quotes
     if (typeof defaultValue === 'string' && !defaultStr.includes('current_timestamp')) {
-        return `'${defaultValue}'`;
+        return `'${defaultValue.replace(/'/g, "''")}'`;
     }
     
     return defaultValue;
 };
 
-// Function to create PostgreSQL table
-const createPostgreSQLTable = async (tableName, columns) => {
+// Function to build the CREATE TABLE statement for a MySQL table (primaryKey: key columns in order)
+// createClause: what precedes the column list (the schema diff creates the table as a temporary table)
+const buildCreateTableStatement = (tableName, columns, primaryKey, settings = CONFIG, createClause = `CREATE TABLE ${pgTable(tableName, settings)}`) => {
+    // Renamed or case-folded columns must stay distinct
+    assertUniqueTargetNames(columns.map(col => col.Field), column => targetColumnName(tableName, column, settings), `Columns of ${tableName}:`);
+    
+    let createSQL = `${createClause} (\n`;
+    
+    const columnDefinitions = columns.map(col => {
+        const mapping = getColumnMapping(tableName, col, settings);
+        const column = pgColumn(tableName, col.Field, settings);
+        
+        // AUTO_INCREMENT columns become identity (or serial) columns; they are implicitly NOT NULL
+        if (isAutoIncrement(col)) {
+            return `    ${column} ${buildAutoIncrementType(mapping.type, settings.IDENTITY_STYLE)}`;
+        }
+        
+        let definition = `    ${column} ${mapping.type}`;
+        
+        // Handle NOT NULL
+        if (col.Null === 'NO' && col.Key !== 'PRI') {
+            definition += ' NOT NULL';
+        }
+        
+        // Handle DEFAULT values
+        const convertedDefault = convertDefaultValue(col.Default, mapping.type);
+        if (convertedDefault !== null) {
+            definition += ` DEFAULT ${convertedDefault}`;
+        }
+        
+        return definition;
+    });
+    
+    createSQL += columnDefinitions.join(',\n');
+    
+    // Handle PRIMARY KEY (composite keys keep MySQL's column order)
+    if (primaryKey.length > 0) {
+        createSQL += `,\n    PRIMARY KEY (${pgColumnList(tableName, primaryKey, settings)})`;
+    }
+    
+    createSQL += '\n)';
+    
+    return createSQL;
+};
+
+// Function to build the DROP statement run before a table is created
+// (CASCADE drops foreign keys of other tables pointing at it; they are recreated after the load)
+const buildDropTableStatement = (tableName, settings = CONFIG) => `DROP TABLE IF EXISTS ${pgTable(tableName, settings)} CASCADE`;
+
+// Function to build the statement creating the target schema (null for public, which always exists)
+const buildCreateSchemaStatement = (settings = CONFIG) => {
+    const schema = targetSchema(settings);
+    return schema === 'public' ? null : `CREATE SCHEMA IF NOT EXISTS ${quotePostgres(schema)}`;
+};
+
+// Function to check whether the PostgreSQL table of a MySQL table exists
+const postgresTableExists = async (tableName, settings = CONFIG) => {
+    const result = await postgresPool.query('SELECT to_regclass($1::text) IS NOT NULL AS exists', [pgTable(tableName, settings)]);
+    return result.rows[0].exists;
+};
+
+// Function to drop the foreign keys pointing at a table so it can be truncated
+// (the ones between copied tables are created again after the load, as after a DROP ... CASCADE)
+const dropReferencingForeignKeys = async (client, tableName, settings = CONFIG) => {
+    const result = await client.query(`
+        SELECT conrelid::regclass::text AS "table", conname AS name
+        FROM pg_constraint
+        WHERE contype = 'f' AND confrelid = to_regclass($1::text)
+    `, [pgTable(tableName, settings)]);
+    
+    for (const foreignKey of result.rows) {
+        await client.query(`ALTER TABLE ${foreignKey.table} DROP CONSTRAINT ${quotePostgres(foreignKey.name)}`);
+        console.log(`🔗 Dropped foreign key ${foreignKey.name} of ${foreignKey.table}`);
+    }
+};
+
+// Function to prepare an existing PostgreSQL table (IF_EXISTS truncate, append or upsert):
+// empty it for truncate, then ALTER its columns to the MySQL definition instead of recreating it.
+// Everything runs in one transaction, so a statement that fails leaves the table as it was.
+const updatePostgreSQLTable = async (tableName, columns, primaryKey, settings = CONFIG) => {
+    const table = pgTable(tableName, settings);
+    const client = await postgresPool.connect();
+    
     try {
-        console.log(`\n🔨 Creating PostgreSQL table: ${tableName}`);
+        await client.query('BEGIN');
+        if (settings.IF_EXISTS === 'truncate') {
+            await dropReferencingForeignKeys(client, tableName, settings);
+            await client.query(`TRUNCATE TABLE ${table}`);
+        }
+        const countResult = await client.query(`SELECT COUNT(*) AS count FROM ${table}`);
+        const rowsBefore = parseInt(countResult.rows[0].count);
         
-        // Drop table if exists
-        await postgresPool.query(`DROP TABLE IF EXISTS ${tableName}`);
+        const createTemporaryTable = buildCreateTableStatement(tableName, columns, primaryKey, settings, `CREATE TEMP TABLE ${quotePostgres(DIFF_TABLE)}`);
+        const diff = await diffTableSchema(client, tableName, createTemporaryTable, rowsBefore > 0, settings);
         
-        // Build CREATE TABLE statement
-        let createSQL = `CREATE TABLE ${tableName} (\n`;
+        for (const statement of diff.statements) {
+            await client.query(statement);
+        }
+        await client.query('COMMIT');
         
-        const columnDefinitions = columns.map(col => {
-            let definition = `    ${col.Field} ${convertDataType(col.Type)}`;
-            
-            // Handle NOT NULL
-            if (col.Null === 'NO' && col.Key !== 'PRI') {
-                definition += ' NOT NULL';
-            }
-            
-            // Handle DEFAULT values
-            const convertedDefault = convertDefaultValue(col.Default, col.Type);
-            if (convertedDefault !== null) {
-                definition += ` DEFAULT ${convertedDefault}`;
-            }
-            
-            return definition;
+        if (settings.IF_EXISTS === 'truncate') {
+            console.log(`🧹 Truncated ${table}`);
+        }
+        if (diff.statements.length === 0) {
+            console.log('✅ Existing table matches the MySQL definition');
+        }
+        diff.statements.forEach(statement => console.log(`   ✅ ${statement}`));
+        diff.report.filter(entry => entry.status === 'skipped' || entry.status === 'kept').forEach(entry => {
+            log.warn(`   ⚠️  ${entry.object} (${entry.status}): ${entry.detail}`, { object: entry.object, status: entry.status });
         });
         
-        createSQL += columnDefinitions.join(',\n');
+        console.log(`📋 Keeping ${table} (${settings.IF_EXISTS}, ${rowsBefore.toLocaleString()} existing rows)`);
+        return { action: settings.IF_EXISTS, rowsBefore, schemaChanges: diff.report };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw new Error(`Could not update the existing ${table}, it was left unchanged: ${error.message}`);
+    } finally {
+        client.release();
+    }
+};
+
+// Function to create the PostgreSQL table of a MySQL table; an existing table is handled as IF_EXISTS says
+// Returns { action, rowsBefore, schemaChanges }: rowsBefore counts the rows kept from before the copy
+const createPostgreSQLTable = async (tableName, columns, settings = CONFIG) => {
+    try {
+        console.log(`\n🔨 Creating PostgreSQL table: ${tableName}`);
+        
+        const createSchemaSQL = buildCreateSchemaStatement(settings);
+        if (createSchemaSQL) {
+            await postgresPool.query(createSchemaSQL);
+        }
         
-        // Handle PRIMARY KEY
-        const primaryKey = columns.find(col => col.Key === 'PRI');
-        if (primaryKey) {
-            createSQL += `,\n    PRIMARY KEY (${primaryKey.Field})`;
+        const primaryKey = await getPrimaryKeyColumns(tableName);
+        const exists = await postgresTableExists(tableName, settings);
+        
+        if (exists && settings.IF_EXISTS === 'fail') {
+            throw new Error(`${pgTable(tableName, settings)} already exists in PostgreSQL; choose --if-exists drop, truncate, append or upsert`);
+        }
+        if (exists && settings.IF_EXISTS !== 'drop') {
+            return await updatePostgreSQLTable(tableName, columns, primaryKey, settings);
+        }
+        if (exists) {
+            await postgresPool.query(buildDropTableStatement(tableName, settings));
+            console.log(`🗑️  Dropped the existing ${pgTable(tableName, settings)}`);
         }
         
-        createSQL += '\n)';
+        // Build CREATE TABLE statement
+        const createSQL = buildCreateTableStatement(tableName, columns, primaryKey, settings);
         
         console.log('📝 PostgreSQL CREATE TABLE statement:');
         console.log(createSQL);
@@ -184,184 +486,403 @@ const createPostgreSQLTable = async (tableName, columns) => {
         await postgresPool.query(createSQL);
         console.log('✅ PostgreSQL table created successfully');
         
+        return { action: exists ? 'recreated' : 'created', rowsBefore: 0, schemaChanges: [] };
     } catch (error) {
-        console.error('❌ Error creating PostgreSQL table:', error.message);
+        log.error(`❌ Error creating PostgreSQL table: ${error.message}`, { error: error.message });
         throw error;
     }
 };
 
-// Function to copy data using streaming approach for large tables
-const copyTableDataStream = async (tableName, totalRows, columns) => {
-    try {
-        console.log(`\n📊 Starting streaming data copy...`);
-        console.log(`📈 Total rows to copy: ${totalRows.toLocaleString()}`);
-        
-        const columnNames = columns.map(col => col.Field).join(', ');
-        let totalInserted = 0;
-        let batchCount = 0;
-        let offset = 0;
-        
-        const startTime = Date.now();
-        let lastProgressTime = startTime;
+// Function to plan the parts of a table copy: the whole table through one reader, or key ranges
+// with a checkpoint each when the table has RANGE_MIN_ROWS rows or more, RANGE_WORKERS is above 1
+// and the leading key column is an integer. A resumed split table continues every unfinished range.
+// Returns { split, parts, keyColumns }
+const planCopyParts = async (tableName, totalRows, columns, settings, checkpoint, tableSetup) => {
+    const checkpointTable = settings.CHECKPOINT_TABLE;
+    
+    if (checkpoint && checkpoint.keyRange) {
+        const unfinished = checkpoint.ranges.filter(range => range.status !== 'completed');
+        console.log(`🧩 Resuming ${unfinished.length} of ${checkpoint.ranges.length} key ranges on ${checkpoint.keyRange.column}`);
+        console.log(`⏩ Resuming after ${checkpoint.rowsCopied.toLocaleString()} records`);
         
-        console.log(`🔄 Processing in batches of ${CONFIG.BATCH_SIZE} records...`);
-        console.log(`📊 Memory monitoring enabled\n`);
+        const parts = [];
+        for (const range of unfinished) {
+            const reader = await openSourceReader(tableName, columns, settings, range.lastKey, range.keyRange);
+            if (JSON.stringify(range.keyColumns) !== JSON.stringify(reader.keyColumns)) {
+                throw new Error(`Checkpoint key (${range.keyColumns.join(', ')}) does not match seek key (${reader.keyColumns.join(', ')}); rerun without --resume`);
+            }
+            parts.push({ name: range.tableName, tag: `[${range.tableName}] `, reader, copiedRows: range.rowsCopied, status: 'waiting' });
+        }
+        return { split: true, parts, keyColumns: checkpoint.keyColumns };
+    }
+    
+    // Seek on a key when the table has one, otherwise stream through a server-side cursor
+    const reader = await openSourceReader(tableName, columns, settings, checkpoint ? checkpoint.lastKey : null);
+    if (reader.mode === 'keyset') {
+        console.log(`🔑 Keyset pagination on: ${reader.keyColumns.join(', ')}`);
+    } else {
+        console.log('🌊 No usable key found, streaming through a server-side cursor');
+    }
+    
+    if (checkpoint) {
+        if (JSON.stringify(checkpoint.keyColumns) !== JSON.stringify(reader.keyColumns)) {
+            throw new Error(`Checkpoint key (${checkpoint.keyColumns.join(', ')}) does not match seek key (${reader.keyColumns.join(', ')}); rerun without --resume`);
+        }
+        console.log(`⏩ Resuming after ${checkpoint.rowsCopied.toLocaleString()} records`);
+        return {
+            split: false,
+            parts: [{ name: tableName, tag: '', reader, copiedRows: checkpoint.rowsCopied, status: 'waiting' }],
+            keyColumns: reader.keyColumns
+        };
+    }
+    
+    await clearRangeCheckpoints(tableName, checkpointTable);
+    const ranges = reader.mode === 'keyset' && settings.RANGE_WORKERS > 1 && totalRows >= settings.RANGE_MIN_ROWS
+        ? await planKeyRanges(tableName, columns, reader.keyColumns, settings.RANGE_WORKERS, sourceFilter(tableName, settings))
+        : null;
+    
+    if (!ranges) {
+        await startCheckpoint(tableName, reader.keyColumns, checkpointTable, null, tableSetup);
+        return {
+            split: false,
+            parts: [{ name: tableName, tag: '', reader, copiedRows: 0, status: 'waiting' }],
+            keyColumns: reader.keyColumns
+        };
+    }
+    
+    await reader.chunks.return();
+    await startCheckpoint(tableName, reader.keyColumns, checkpointTable, { column: ranges[0].column, parts: ranges.length }, tableSetup);
+    console.log(`🧩 Split into ${ranges.length} key ranges on ${ranges[0].column}, copying up to ${settings.RANGE_WORKERS} at once`);
+    
+    const parts = [];
+    for (const [index, range] of ranges.entries()) {
+        const name = rangeCheckpointName(tableName, index);
+        await startCheckpoint(name, reader.keyColumns, checkpointTable, range);
+        parts.push({
+            name,
+            tag: `[${name}] `,
+            reader: await openSourceReader(tableName, columns, settings, null, range),
+            copiedRows: 0,
+            status: 'waiting'
+        });
+    }
+    return { split: true, parts, keyColumns: reader.keyColumns };
+};
+
+// Function to describe the progress of each key range of a split table
+const describeRanges = (parts) => parts
+    .map(part => `${part.name.slice(part.name.lastIndexOf('#'))} ${part.copiedRows.toLocaleString()}${part.status === 'copying' ? '' : ` (${part.status})`}`)
+    .join(' | ');
+
+// Function to copy the rows of one part (the whole table or one key range) batch by batch;
+// every batch is retried on its own and commits its checkpoint with its rows
+const copyPartRows = async (tableName, part, context) => {
+    const { settings, loader, rejectSink, sanitizeRow, convertRow, progress, parts, throttle } = context;
+    const { reader, tag } = part;
+    const checkpointTable = settings.CHECKPOINT_TABLE;
+    let fetchedRows = part.copiedRows;
+    
+    // Fetch data in chunks; the throttle lets the next chunk be read once this one is written
+    for await (const sourceRows of throttle.chunks(reader.chunks)) {
+        // Another part of the table failed: stop here and leave this part's checkpoint for a resume
+        if (progress.aborted) return;
+        if (settings.SIGNAL) settings.SIGNAL.throwIfAborted();
         
-        while (offset < totalRows) {
-            const limit = Math.min(CONFIG.STREAM_LIMIT, totalRows - offset);
+        try {
+            console.log(`📥 ${tag}Fetched records ${fetchedRows + 1} to ${fetchedRows + sourceRows.length}`);
             
-            try {
-                // Fetch data in chunks to avoid memory overload
-                console.log(`📥 Fetching records ${offset + 1} to ${offset + limit}...`);
+            // Sanitize before converting; rows a reject policy applies to go straight to the rejects
+            const rows = [];
+            let lastRowRejected = false;
+            for (const sourceRow of sourceRows) {
+                const issue = sanitizeRow(sourceRow);
+                lastRowRejected = Boolean(issue);
+                if (!issue) {
+                    rows.push(convertRow(sourceRow));
+                    continue;
+                }
                 
-                const [rows] = await mysqlPromisePool.execute(
-                    `SELECT * FROM ${tableName} LIMIT ${limit} OFFSET ${offset}`
-                );
+                const row = convertRow(sourceRow);
+                await rejectSink.write(buildRejectRecord(tableName, row, pickKey(row, reader.keyColumns), new Error(issue.message)));
+                progress.rejectedRows++;
+                recordIsolatedRows(tableName, 0, 1, progress.copiedRows);
+                if (progress.rejectedRows > settings.MAX_REJECTED_ROWS) {
+                    throw new Error(`${progress.rejectedRows} rejected rows exceed MAX_REJECTED_ROWS (${settings.MAX_REJECTED_ROWS}), aborting`);
+                }
+            }
+            
+            // Process fetched data in smaller batches
+            for (let i = 0; i < rows.length; i += settings.BATCH_SIZE) {
+                const batch = rows.slice(i, i + settings.BATCH_SIZE);
+                const batchNumber = ++progress.batchCount;
+                setLogContext({ batch: batchNumber });
                 
-                if (rows.length === 0) break;
+                let retries = 0;
+                let batchInserted = false;
                 
-                // Process fetched data in smaller batches
-                for (let i = 0; i < rows.length; i += CONFIG.BATCH_SIZE) {
-                    const batch = rows.slice(i, i + CONFIG.BATCH_SIZE);
-                    batchCount++;
-                    
-                    let retries = 0;
-                    let batchInserted = false;
-                    
-                    while (retries < CONFIG.MAX_RETRIES && !batchInserted) {
-                        try {
-                            // Prepare batch insert
-                            const values = [];
-                            const placeholders = [];
-                            let parameterIndex = 1;
-                            
-                            batch.forEach(row => {
-                                const rowPlaceholders = [];
-                                columns.forEach(col => {
-                                    let value = row[col.Field];
-                                    
-                                    if (value instanceof Date) {
-                                        value = value.toISOString();
-                                    }
-                                    
-                                    values.push(value);
-                                    rowPlaceholders.push(`$${parameterIndex++}`);
-                                });
-                                placeholders.push(`(${rowPlaceholders.join(', ')})`);
-                            });
-                            
-                            const batchInsertSQL = `INSERT INTO ${tableName} (${columnNames}) VALUES ${placeholders.join(', ')}`;
-                            
-                            await postgresPool.query(batchInsertSQL, values);
-                            
-                            totalInserted += batch.length;
-                            batchInserted = true;
+                while (retries < settings.MAX_RETRIES && !batchInserted) {
+                    try {
+                        // The checkpoint is saved in the same transaction as the batch
+                        const lastKey = pickKey(batch[batch.length - 1], reader.keyColumns);
+                        const batchStart = Date.now();
+                        await loader.load(batch, client => saveCheckpoint(client, part.name, lastKey, batch.length, checkpointTable));
+                        
+                        part.copiedRows += batch.length;
+                        progress.copiedRows += batch.length;
+                        batchInserted = true;
+                        recordBatch(tableName, settings.LOADER, batch.length, (Date.now() - batchStart) / 1000, progress.copiedRows);
+                        
+                        // Progress reporting every 5 seconds
+                        const currentTime = Date.now();
+                        if (currentTime - progress.lastProgressTime > 5000) {
+                            const percent = ((progress.copiedRows / progress.totalRows) * 100).toFixed(1);
+                            const elapsed = currentTime - progress.startTime;
+                            const speed = Math.round((progress.copiedRows - progress.copiedBefore) / (elapsed / 1000));
+                            const eta = speed > 0 ? Math.round((progress.totalRows - progress.copiedRows) / speed) : 0;
                             
-                            // Progress reporting every 5 seconds
-                            const currentTime = Date.now();
-                            if (currentTime - lastProgressTime > 5000) {
-                                const progress = ((totalInserted / totalRows) * 100).toFixed(1);
-                                const elapsed = currentTime - startTime;
-                                const speed = Math.round(totalInserted / (elapsed / 1000));
-                                const eta = totalInserted > 0 ? Math.round((totalRows - totalInserted) / speed) : 0;
-                                
-                                console.log(`   📊 Progress: ${progress}% (${totalInserted.toLocaleString()}/${totalRows.toLocaleString()}) | Speed: ${speed} rec/sec | ETA: ${eta}s`);
-                                lastProgressTime = currentTime;
+                            recordCopySpeed(tableName, speed);
+                            console.log(`   📊 Progress: ${percent}% (${progress.copiedRows.toLocaleString()}/${progress.totalRows.toLocaleString()}) | Speed: ${speed} rec/sec | ETA: ${eta}s`);
+                            if (parts.length > 1) {
+                                console.log(`   🧩 Ranges: ${describeRanges(parts)}`);
+                            }
+                            progress.lastProgressTime = currentTime;
+                        }
+                        
+                        // Memory peaks for the run report (a worker holds one chunk at a time)
+                        if (batchNumber % settings.MEMORY_CHECK_INTERVAL === 0) {
+                            const memory = getMemoryUsage();
+                            progress.memoryPeak.heapUsed = Math.max(progress.memoryPeak.heapUsed, memory.heapUsed);
+                            progress.memoryPeak.rss = Math.max(progress.memoryPeak.rss, memory.rss);
+                        }
+                        
+                    } catch (error) {
+                        retries++;
+                        progress.retries++;
+                        recordBatchRetry(tableName);
+                        log.error(`❌ ${tag}Batch ${batchNumber} failed (attempt ${retries}/${settings.MAX_RETRIES}): ${error.message}`, { attempt: retries, error: error.message });
+                        
+                        if (retries >= settings.MAX_RETRIES) {
+                            // Connection or server errors are not the rows' fault: stop instead of rejecting them
+                            if (!isRowLevelError(error)) {
+                                throw new Error(`Batch ${batchNumber} failed permanently: ${error.message}`);
                             }
                             
-                            // Memory monitoring
-                            if (batchCount % CONFIG.MEMORY_CHECK_INTERVAL === 0) {
-                                const memory = getMemoryUsage();
-                                if (memory.heapUsed > 1000) { // Warning if > 1GB
-                                    console.log(`   ⚠️  Memory usage: ${memory.heapUsed}MB heap, ${memory.rss}MB total`);
-                                    
-                                    if (memory.heapUsed > 2000) { // Force garbage collection if > 2GB
-                                        if (global.gc) {
-                                            global.gc();
-                                            console.log('   🧹 Forced garbage collection');
-                                        }
-                                    }
+                            log.error(`❌ ${tag}Batch ${batchNumber} failed permanently, isolating rejected rows...`);
+                            const outcome = await isolateRejectedRows(
+                                batch,
+                                rows => loader.load(rows, client => saveCheckpoint(client, part.name, pickKey(rows[rows.length - 1], reader.keyColumns), rows.length, checkpointTable)),
+                                async (row, rowError) => {
+                                    const key = pickKey(row, reader.keyColumns);
+                                    await rejectSink.write(buildRejectRecord(tableName, row, key, rowError));
+                                    // Move the checkpoint past the rejected row so a resume does not read it again
+                                    await saveCheckpoint(postgresPool, part.name, key, 0, checkpointTable);
                                 }
-                            }
+                            );
                             
-                        } catch (error) {
-                            retries++;
-                            console.error(`❌ Batch ${batchCount} failed (attempt ${retries}/${CONFIG.MAX_RETRIES}):`, error.message);
+                            part.copiedRows += outcome.loaded;
+                            progress.copiedRows += outcome.loaded;
+                            progress.rejectedRows += outcome.rejected;
+                            recordIsolatedRows(tableName, outcome.loaded, outcome.rejected, progress.copiedRows);
+                            log.warn(`   🗑️  ${tag}Batch ${batchNumber}: ${outcome.loaded} loaded, ${outcome.rejected} rejected → ${rejectSink.location}`, { loaded: outcome.loaded, rejected: outcome.rejected });
                             
-                            if (retries >= CONFIG.MAX_RETRIES) {
-                                console.error(`❌ Batch ${batchCount} failed permanently, skipping...`);
-                                break;
-                            }
+                            await recordFailedRange(part.name, {
+                                batch: batchNumber,
+                                rows: batch.length,
+                                rejected: outcome.rejected,
+                                firstKey: pickKey(batch[0], reader.keyColumns),
+                                lastKey: pickKey(batch[batch.length - 1], reader.keyColumns),
+                                error: error.message
+                            }, checkpointTable);
                             
-                            // Wait before retry
-                            await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+                            // The limit covers all ranges of the table
+                            if (progress.rejectedRows > settings.MAX_REJECTED_ROWS) {
+                                throw new Error(`${progress.rejectedRows} rejected rows exceed MAX_REJECTED_ROWS (${settings.MAX_REJECTED_ROWS}), aborting`);
+                            }
+                            break;
                         }
+                        
+                        // Wait before retry
+                        await new Promise(resolve => setTimeout(resolve, 1000 * retries));
                     }
                 }
-                
-                offset += rows.length;
-                
-                // Checkpoint progress
-                if (totalInserted % CONFIG.CHECKPOINT_INTERVAL === 0) {
-                    console.log(`   💾 Checkpoint: ${totalInserted.toLocaleString()} records copied`);
-                }
-                
+            }
+            
+            fetchedRows += sourceRows.length;
+            
+            // Batches checkpoint their own last key, so only rejected rows at the end of the chunk need one
+            if (lastRowRejected && reader.mode === 'keyset') {
+                await saveCheckpoint(postgresPool, part.name, pickKey(sourceRows[sourceRows.length - 1], reader.keyColumns), 0, checkpointTable);
+            }
+            
+            // Checkpoint progress (saved with every batch, reported every CHECKPOINT_INTERVAL records)
+            if (progress.copiedRows - progress.lastCheckpointLog >= settings.CHECKPOINT_INTERVAL) {
+                console.log(`   💾 Checkpoint: ${progress.copiedRows.toLocaleString()} records copied`);
+                progress.lastCheckpointLog = progress.copiedRows;
+            }
+            
+        } catch (error) {
+            log.error(`❌ ${tag}Error processing data chunk: ${error.message}`, { error: error.message });
+            throw error;
+        }
+    }
+    
+    await completeCheckpoint(part.name, checkpointTable);
+};
+
+// Function to copy data using streaming approach for large tables
+// (pass the table's checkpoint to continue after its last committed key; tableSetup is saved with a new checkpoint)
+const copyTableDataStream = async (tableName, totalRows, columns, settings = CONFIG, checkpoint = null, tableSetup = null) => {
+    try {
+        console.log(`\n📊 Starting streaming data copy...`);
+        console.log(`📈 Total rows to copy: ${totalRows.toLocaleString()}`);
+        
+        const startTime = Date.now();
+        const { split, parts, keyColumns } = await planCopyParts(tableName, totalRows, columns, settings, checkpoint, tableSetup);
+        
+        const loader = await createBatchLoader(tableName, columns, settings);
+        console.log(`🚚 Loading with ${loader.description}`);
+        
+        const rejectSink = await createRejectSink(tableName, settings, !checkpoint);
+        
+        // Tables copied on their own get a throttle of their own
+        const throttle = settings.THROTTLE || createSourceThrottle(settings);
+        
+        console.log(`🔄 Processing in batches of ${settings.BATCH_SIZE} records...`);
+        console.log(`🚦 Source throttle: ${throttle.description || 'off'}\n`);
+        
+        // Shared by all parts, so progress, batch numbers and the reject limit cover the whole table
+        const copiedBefore = checkpoint ? checkpoint.rowsCopied : 0;
+        const progress = {
+            totalRows,
+            copiedRows: copiedBefore,
+            copiedBefore,
+            rejectedRows: 0,
+            retries: 0,
+            memoryPeak: { heapUsed: 0, rss: 0 },
+            batchCount: checkpoint ? checkpoint.batchesCopied : 0,
+            startTime,
+            lastProgressTime: startTime,
+            lastCheckpointLog: copiedBefore,
+            aborted: false
+        };
+        recordCopyStart(tableName, totalRows, copiedBefore);
+        const sanitizer = createRowSanitizer(tableName, columns, settings, keyColumns);
+        const context = {
+            settings,
+            loader,
+            rejectSink,
+            sanitizeRow: sanitizer.sanitize,
+            convertRow: createRowConverter(tableName, columns, settings, keyColumns),
+            progress,
+            parts,
+            throttle
+        };
+        
+        // Each part holds one MySQL and one PostgreSQL connection while it copies; its log context
+        // carries its range and current batch
+        await runConcurrently(parts, settings.RANGE_WORKERS, async (part) => {
+            part.status = 'copying';
+            try {
+                await withLogContext(parts.length > 1 ? { range: part.name } : {}, () => copyPartRows(tableName, part, context));
+                part.status = 'done';
             } catch (error) {
-                console.error('❌ Error fetching data chunk:', error.message);
+                part.status = 'failed';
+                progress.aborted = true;
                 throw error;
             }
+        });
+        
+        if (split) {
+            await completeCheckpoint(tableName, settings.CHECKPOINT_TABLE);
         }
         
+        const { copiedRows: totalInserted, rejectedRows: totalRejected } = progress;
         const endTime = Date.now();
         const totalTime = endTime - startTime;
-        const avgSpeed = Math.round(totalInserted / (totalTime / 1000));
+        const avgSpeed = Math.round((totalInserted - copiedBefore) / (totalTime / 1000));
+        recordCopySpeed(tableName, avgSpeed);
         
         console.log(`\n✅ Data copy completed!`);
         console.log(`📊 Total inserted: ${totalInserted.toLocaleString()}/${totalRows.toLocaleString()} records`);
+        if (parts.length > 1) {
+            console.log(`🧩 Ranges: ${describeRanges(parts)}`);
+        }
         console.log(`⏱️  Total time: ${formatDuration(totalTime)}`);
         console.log(`🚀 Average speed: ${avgSpeed} records/second`);
         
+        if (totalRejected > 0) {
+            console.log(`🗑️  Rejected: ${totalRejected.toLocaleString()} records → ${rejectSink.location}`);
+        }
+        
+        const sanitized = sanitizer.report();
+        if (sanitized.length > 0) {
+            console.log(`🧽 Sanitized values:`);
+            console.table(sanitized);
+        }
+        
         if (totalInserted < totalRows) {
-            console.log(`⚠️  Warning: ${totalRows - totalInserted} records were not copied`);
+            log.warn(`⚠️  Warning: ${totalRows - totalInserted} records were not copied`);
         }
         
-        return totalInserted;
+        return {
+            copiedRows: totalInserted,
+            rejectedRows: totalRejected,
+            rejectsLocation: totalRejected > 0 ? rejectSink.location : null,
+            sanitized,
+            retries: progress.retries,
+            rowsPerSecond: avgSpeed,
+            memoryPeak: progress.memoryPeak
+        };
         
     } catch (error) {
-        console.error('❌ Error in streaming data copy:', error.message);
+        log.error(`❌ Error in streaming data copy: ${error.message}`, { error: error.message });
         throw error;
     }
 };
 
+// Function to pick the key values of a row (null in streaming mode)
+const pickKey = (row, keyColumns) => {
+    if (keyColumns.length === 0) return null;
+    return Object.fromEntries(keyColumns.map(column => [column, row[column]]));
+};
+
 // Function to verify copied data
-const verifyData = async (tableName) => {
+const verifyData = async (tableName, settings = CONFIG) => {
     try {
         console.log(`\n🔍 Verifying copied data...`);
         
-        // Count rows in MySQL
-        const [mysqlCount] = await mysqlPromisePool.execute(`SELECT COUNT(*) as count FROM ${tableName}`);
+        // Count rows in MySQL (only the rows of the subset when the table is filtered)
+        const mysqlCount = await getTotalRowCount(tableName, sourceFilter(tableName, settings));
         
         // Count rows in PostgreSQL
-        const postgresResult = await postgresPool.query(`SELECT COUNT(*) as count FROM ${tableName}`);
+        const postgresResult = await postgresPool.query(`SELECT COUNT(*) as count FROM ${pgTable(tableName, settings)}`);
         const postgresCount = postgresResult.rows[0];
         
-        console.log(`📊 MySQL rows: ${mysqlCount[0].count}`);
+        console.log(`📊 MySQL rows: ${mysqlCount}${sourceFilter(tableName, settings) ? ' (filtered)' : ''}`);
         console.log(`📊 PostgreSQL rows: ${postgresCount.count}`);
         
-        if (mysqlCount[0].count === parseInt(postgresCount.count)) {
+        const match = mysqlCount === parseInt(postgresCount.count);
+        if (match) {
             console.log('✅ Data verification successful - row counts match!');
             
             // Show sample data from both databases
             console.log('\n📋 Sample data from PostgreSQL:');
-            const sampleResult = await postgresPool.query(`SELECT * FROM ${tableName} LIMIT 3`);
+            const sampleResult = await postgresPool.query(`SELECT * FROM ${pgTable(tableName, settings)} LIMIT 3`);
             console.table(sampleResult.rows);
             
         } else {
-            console.log('⚠️  Warning: Row counts do not match!');
+            log.warn('⚠️  Warning: Row counts do not match!');
         }
         
+        return {
+            tableName,
+            mysqlCount,
+            postgresCount: parseInt(postgresCount.count),
+            match
+        };
+        
     } catch (error) {
-        console.error('❌ Error verifying data:', error.message);
+        log.error(`❌ Error verifying data: ${error.message}`, { error: error.message });
         throw error;
     }
 };
@@ -384,8 +905,8 @@ const formatDuration = (milliseconds) => {
 };
 
 // Main function for large table copy
-const copyTable = async () => {
-    const tableName = 'users';
+const copyTable = async (tableName, options = {}) => {
+    const settings = { ...CONFIG, ...options };
     const overallStartTime = Date.now();
     
     try {
@@ -403,16 +924,18 @@ const copyTable = async () => {
         console.log('\n📋 Step 1: Analyzing MySQL table...');
         const step1Start = Date.now();
         
+        await applySourceFilters([tableName], settings);
+        const filter = sourceFilter(tableName, settings);
         const [columns, totalRows, tableSize] = await Promise.all([
             getMySQLTableStructure(tableName),
-            getTotalRowCount(tableName),
+            getTotalRowCount(tableName, filter),
             getTableSize(tableName)
         ]);
         
         const step1Duration = Date.now() - step1Start;
         
         console.log(`📊 Table Statistics:`);
-        console.log(`   Rows: ${totalRows.toLocaleString()}`);
+        console.log(`   Rows: ${totalRows.toLocaleString()}${filter ? ' (filtered)' : ''}`);
         console.log(`   Estimated Size: ${tableSize}MB (${formatSize(tableSize * 1024 * 1024)})`);
         console.log(`   Columns: ${columns.length}`);
         console.log(`⏱️  Duration: ${formatDuration(step1Duration)}`);
@@ -423,42 +946,91 @@ const copyTable = async () => {
             console.log(`📊 Estimated processing time: ${Math.round(totalRows / 5000)} seconds`);
             console.log(`💾 Using optimized streaming approach`);
             console.log(`🔧 Configuration:`);
-            console.log(`   Batch Size: ${CONFIG.BATCH_SIZE} records`);
-            console.log(`   Stream Limit: ${CONFIG.STREAM_LIMIT} records`);
-            console.log(`   Max Retries: ${CONFIG.MAX_RETRIES}`);
+            console.log(`   Batch Size: ${settings.BATCH_SIZE} records`);
+            console.log(`   Stream Limit: ${settings.STREAM_LIMIT} records`);
+            console.log(`   Max Retries: ${settings.MAX_RETRIES}`);
+            console.log(`   Loader: ${settings.LOADER}${settings.LOADER === 'copy' ? ` (${settings.COPY_FORMAT})` : ''}`);
+            console.log(`   Range Workers: ${settings.RANGE_WORKERS}`);
+        }
+        
+        // Resume only from a checkpoint that recorded a committed key (or split the table into key ranges,
+        // which resume on their own); anything else starts over
+        let checkpoint = settings.RESUME ? await loadCheckpoint(tableName, settings.CHECKPOINT_TABLE) : null;
+        if (checkpoint && checkpoint.status !== 'completed' && !checkpoint.lastKey && !checkpoint.keyRange) {
+            console.log('\n⚠️  Checkpoint has no committed key (streamed table or nothing copied yet), starting over');
+            checkpoint = null;
         }
         
         // Step 2: Create PostgreSQL table
         console.log('\n🔨 Step 2: Creating PostgreSQL table...');
         const step2Start = Date.now();
-        await createPostgreSQLTable(tableName, columns);
+        let tableSetup = { action: 'resumed', rowsBefore: 0, schemaChanges: [] };
+        if (checkpoint) {
+            console.log(`⏩ Resuming from checkpoint (${checkpoint.status}), keeping the existing PostgreSQL table`);
+            // Rows kept by an append / upsert were counted when the first run set the table up
+            if (checkpoint.tableSetup) {
+                tableSetup = { ...tableSetup, ...checkpoint.tableSetup, resumed: true };
+            }
+        } else {
+            tableSetup = await createPostgreSQLTable(tableName, columns, settings);
+        }
         const step2Duration = Date.now() - step2Start;
         console.log(`⏱️  Duration: ${formatDuration(step2Duration)}`);
         
         // Step 3: Stream copy data
         console.log('\n📊 Step 3: Streaming data copy...');
         const step3Start = Date.now();
-        const copiedRows = await copyTableDataStream(tableName, totalRows, columns);
+        let copyResult;
+        if (checkpoint && checkpoint.status === 'completed') {
+            console.log(`✅ Already copied: ${checkpoint.rowsCopied.toLocaleString()} records`);
+            copyResult = { copiedRows: checkpoint.rowsCopied, rejectedRows: 0, rejectsLocation: null, sanitized: [], retries: 0, rowsPerSecond: 0, memoryPeak: null };
+        } else {
+            copyResult = await copyTableDataStream(tableName, totalRows, columns, settings, checkpoint,
+                { action: tableSetup.action, rowsBefore: tableSetup.rowsBefore });
+        }
+        const { copiedRows, rejectedRows, rejectsLocation, sanitized, retries, rowsPerSecond } = copyResult;
+        
+        // Move identity/serial sequences past the copied ids so the next insert does not collide
+        await resyncTableSequences(tableName, settings);
         const step3Duration = Date.now() - step3Start;
         console.log(`⏱️  Duration: ${formatDuration(step3Duration)}`);
         
+        // Build secondary indexes and UNIQUE constraints after the load; foreign keys wait for all tables
+        const indexStart = Date.now();
+        const indexReport = await createTableIndexes(tableName, columns, settings);
+        const indexDuration = Date.now() - indexStart;
+        console.log(`⏱️  Index Duration: ${formatDuration(indexDuration)}`);
+        
         // Step 4: Verify data (quick count check only for large tables)
         console.log('\n🔍 Step 4: Verifying data...');
         const step4Start = Date.now();
         
         // For large tables, just do count verification
-        const postgresResult = await postgresPool.query(`SELECT COUNT(*) as count FROM ${tableName}`);
+        const postgresResult = await postgresPool.query(`SELECT COUNT(*) as count FROM ${pgTable(tableName, settings)}`);
         const postgresCount = parseInt(postgresResult.rows[0].count);
         
         console.log(`📊 MySQL rows: ${totalRows.toLocaleString()}`);
         console.log(`📊 PostgreSQL rows: ${postgresCount.toLocaleString()}`);
         
-        if (totalRows === postgresCount) {
+        // Rows kept from before the copy (append, upsert) count as well; an upsert overwrites
+        // the kept rows with the same key, so its count lies between the two
+        const expectedRows = totalRows + tableSetup.rowsBefore;
+        const countsMatch = tableSetup.action === 'upsert'
+            ? postgresCount >= totalRows && postgresCount <= expectedRows
+            : postgresCount === expectedRows;
+        if (tableSetup.rowsBefore > 0) {
+            console.log(`📊 Kept rows: ${tableSetup.rowsBefore.toLocaleString()} (${tableSetup.action})`);
+        }
+        
+        if (countsMatch) {
             console.log('✅ Data verification successful - row counts match!');
         } else {
-            console.log(`⚠️  Warning: Row counts do not match! Difference: ${Math.abs(totalRows - postgresCount)}`);
+            log.warn(`⚠️  Warning: Row counts do not match! Difference: ${Math.abs(expectedRows - postgresCount)}`);
         }
         
+        // Matching counts do not catch truncated strings, shifted timestamps or wrong booleans
+        const checksumResult = settings.VERIFY_CHECKSUM ? await verifyTableChecksums(tableName, columns, settings) : null;
+        
         const step4Duration = Date.now() - step4Start;
         console.log(`⏱️  Duration: ${formatDuration(step4Duration)}`);
         
@@ -466,6 +1038,11 @@ const copyTable = async () => {
         const overallEndTime = Date.now();
         const totalDuration = overallEndTime - overallStartTime;
         const finalMemory = getMemoryUsage();
+        const samples = [initialMemory, finalMemory, copyResult.memoryPeak].filter(Boolean);
+        const peakMemory = {
+            heapUsed: Math.max(...samples.map(sample => sample.heapUsed)),
+            rss: Math.max(...samples.map(sample => sample.rss))
+        };
         
         console.log('\n' + '='.repeat(60));
         console.log('🎉 LARGE TABLE COPY COMPLETED!');
@@ -474,38 +1051,546 @@ const copyTable = async () => {
         console.log(`⏰ Start Time: ${new Date(overallStartTime).toLocaleString()}`);
         console.log(`⏰ End Time:   ${new Date(overallEndTime).toLocaleString()}`);
         console.log(`⏱️  Total Time: ${formatDuration(totalDuration)}`);
-        console.log(`💾 Peak Memory: ${Math.max(initialMemory.heapUsed, finalMemory.heapUsed)}MB heap`);
+        console.log(`💾 Peak Memory: ${peakMemory.heapUsed}MB heap, ${peakMemory.rss}MB total`);
         console.log(`📊 Average Speed: ${Math.round(copiedRows / (totalDuration / 1000))} records/second`);
         
         console.log('\n📊 Performance Breakdown:');
         console.log(`   Analysis:     ${formatDuration(step1Duration)} (${((step1Duration/totalDuration)*100).toFixed(1)}%)`);
         console.log(`   Table Setup:  ${formatDuration(step2Duration)} (${((step2Duration/totalDuration)*100).toFixed(1)}%)`);
         console.log(`   Data Copy:    ${formatDuration(step3Duration)} (${((step3Duration/totalDuration)*100).toFixed(1)}%)`);
+        console.log(`   Indexes:      ${formatDuration(indexDuration)} (${((indexDuration/totalDuration)*100).toFixed(1)}%)`);
         console.log(`   Verification: ${formatDuration(step4Duration)} (${((step4Duration/totalDuration)*100).toFixed(1)}%)`);
         
         if (copiedRows === totalRows) {
             console.log('\n✅ SUCCESS: All records copied successfully!');
         } else {
             console.log(`\n⚠️  PARTIAL SUCCESS: ${totalRows - copiedRows} records failed to copy`);
+            if (rejectedRows > 0) {
+                console.log(`🗑️  ${rejectedRows} rejected records saved to ${rejectsLocation}`);
+            }
         }
         
+        return {
+            tableName,
+            status: copiedRows === totalRows && countsMatch && (!checksumResult || checksumResult.match) ? 'success' : 'partial',
+            totalRows,
+            copiedRows,
+            rejectedRows,
+            rejectsLocation,
+            sanitized,
+            retries,
+            rowsPerSecond,
+            peakMemory,
+            postgresCount,
+            tableSetup,
+            checksum: checksumResult,
+            indexReport,
+            duration: totalDuration,
+            steps: {
+                analysis: step1Duration,
+                tableSetup: step2Duration,
+                dataCopy: step3Duration,
+                indexes: indexDuration,
+                verification: step4Duration
+            }
+        };
+        
     } catch (error) {
         const overallEndTime = Date.now();
         const totalDuration = overallEndTime - overallStartTime;
         
         console.log('\n' + '='.repeat(60));
-        console.error('❌ LARGE TABLE COPY FAILED!');
+        log.error('❌ LARGE TABLE COPY FAILED!', { error: error.message });
         console.log('='.repeat(60));
         console.error(`Error: ${error.message}`);
         console.log(`⏰ Start Time: ${new Date(overallStartTime).toLocaleString()}`);
         console.log(`⏰ End Time:   ${new Date(overallEndTime).toLocaleString()}`);
         console.log(`⏱️  Time Before Failure: ${formatDuration(totalDuration)}`);
         
-        process.exit(1);
-    } finally {
-        process.exit(0);
+        return {
+            tableName,
+            status: 'failed',
+            totalRows: 0,
+            copiedRows: 0,
+            rejectedRows: 0,
+            rejectsLocation: null,
+            postgresCount: 0,
+            duration: totalDuration,
+            error: error.message
+        };
+    }
+};
+
+// Function to resolve the selected tables in foreign key dependency order
+const resolveTables = async (settings = CONFIG) => {
+    const include = settings.INCLUDE_TABLES;
+    const exclude = settings.EXCLUDE_TABLES;
+    
+    // Discover tables and order them by foreign key dependencies
+    const [allTables, dependencies] = await Promise.all([
+        listMySQLTables(),
+        getForeignKeyDependencies()
+    ]);
+    
+    const selectedTables = filterTables(allTables, include, exclude);
+    
+    // Report explicitly included tables that do not exist
+    include.filter(pattern => !pattern.includes('*') && !allTables.includes(pattern)).forEach(tableName => {
+        log.warn(`⚠️  Included table not found in MySQL: ${tableName}`);
+    });
+    
+    const tables = orderTablesByDependencies(selectedTables, dependencies);
+    
+    // Renamed or case-folded tables must stay distinct in PostgreSQL
+    assertUniqueTargetNames(tables, tableName => targetTableName(tableName, settings), 'Tables');
+    console.log(`📋 Selected tables (${tables.length} of ${allTables.length}): ${tables.join(', ')}`);
+    
+    return tables;
+};
+
+// Function to print the per-table banner used by the database-wide commands
+const printTableBanner = (tableName, index, count) => {
+    console.log(`\n${'#'.repeat(60)}`);
+    console.log(`📦 Table ${index + 1}/${count}: ${tableName}`);
+    console.log('#'.repeat(60));
+};
+
+// Main function for database-wide copy; everything the run logs carries its run id
+const copyDatabase = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const runId = settings.RUN_ID || createRunId();
+    settings.THROTTLE = createSourceThrottle(settings);
+    return withLogContext({ runId }, () => copyDatabaseRun(settings, runId));
+};
+
+// Function to write the run report of a database-wide copy (a failed write does not fail the run)
+const saveRunReport = async (runId, overallStartTime, settings, results) => {
+    try {
+        const report = buildRunReport({ runId, startTime: overallStartTime, endTime: Date.now(), settings, results, throttleWaits: settings.THROTTLE.waits() });
+        const { jsonPath, htmlPath } = await writeRunReport(settings.REPORT_DIR, report, settings.REPORT_HTML);
+        console.log(`\n📝 Run report written to ${jsonPath}${htmlPath ? ` and ${htmlPath}` : ''}`);
+    } catch (error) {
+        log.error(`❌ Error writing the run report: ${error.message}`, { error: error.message });
+    }
+};
+
+// Function to run the steps of a database-wide copy
+const copyDatabaseRun = async (settings, runId) => {
+    const overallStartTime = Date.now();
+    
+    console.log('🚀 DATABASE COPY PROCESS');
+    console.log('='.repeat(60));
+    console.log(`🔄 MySQL → PostgreSQL`);
+    console.log(`🆔 Run: ${runId}`);
+    console.log(`⏰ Start Time: ${new Date(overallStartTime).toLocaleString()}`);
+    
+    const tables = await resolveTables(settings);
+    
+    if (settings.CDC && hasSourceFilters(settings)) {
+        throw new Error('CDC replicates every row change and cannot follow filters or sampling; copy the subset without --cdc');
+    }
+    await applySourceFilters(tables, settings);
+    
+    // The binlog position is recorded before the snapshot, so no change made during the copy is missed
+    let cdcTables = null;
+    if (settings.CDC) {
+        cdcTables = await prepareCdcTables(await getMySQLTableStructures(tables), settings);
+        await recordSnapshotPosition(settings.CDC_TABLE, settings.RESUME);
+    }
+    
+    // copyTable reports failures in its result, so one failing table does not stop the others
+    const results = await runConcurrently(tables, settings.CONCURRENCY, (tableName, index) => {
+        // A cancelled job starts no further tables
+        if (settings.SIGNAL) settings.SIGNAL.throwIfAborted();
+        return withLogContext({ table: tableName }, () => {
+            printTableBanner(tableName, index, tables.length);
+            return copyTable(tableName, settings);
+        });
+    });
+    
+    // Foreign keys are added once every table is loaded, so load order and cycles do not matter
+    const loadedTables = results.filter(result => result.status !== 'failed').map(result => result.tableName);
+    await createForeignKeys(loadedTables, settings);
+    
+    // Triggers would fire for every row CDC applies, so with CDC they wait for the objects command
+    if (settings.CREATE_OBJECTS && cdcTables) {
+        console.log('\n⚠️  Views, routines and triggers are not created while CDC runs; run the objects command at cutover');
+    } else if (settings.CREATE_OBJECTS) {
+        await createSchemaObjects(loadedTables, settings);
+    }
+    
+    printDatabaseSummary(results, overallStartTime);
+    await saveRunReport(runId, overallStartTime, settings, results);
+    
+    if (cdcTables) {
+        if (results.some(result => result.status === 'failed')) {
+            console.log('\n⚠️  Not starting CDC because tables failed; fix them and run the cdc command');
+        } else {
+            await tailBinlog(cdcTables, settings);
+            await resyncCdcSequences(cdcTables, settings);
+        }
+    }
+    
+    return results;
+};
+
+// Function to describe several MySQL tables (Map of table name -> columns)
+const getMySQLTableStructures = async (tables) => {
+    const tableColumns = new Map();
+    for (const tableName of tables) {
+        tableColumns.set(tableName, await getMySQLTableStructure(tableName));
+    }
+    return tableColumns;
+};
+
+// Main function for tailing the binlog into already copied tables (change data capture)
+const replicateDatabase = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    
+    if (hasSourceFilters(settings)) {
+        throw new Error('CDC replicates every row change and cannot follow filters or sampling');
+    }
+    
+    const cdcTables = await prepareCdcTables(await getMySQLTableStructures(tables), settings);
+    const outcome = await tailBinlog(cdcTables, settings);
+    await resyncCdcSequences(cdcTables, settings);
+    
+    return outcome;
+};
+
+// Function to resync sequences once CDC stops; applied rows carry their MySQL ids
+const resyncCdcSequences = async (cdcTables, settings) => {
+    for (const tableName of cdcTables.keys()) {
+        await resyncTableSequences(tableName, settings);
+    }
+};
+
+// Function to print the combined summary for a database-wide copy
+const printDatabaseSummary = (results, overallStartTime) => {
+    const overallEndTime = Date.now();
+    const totalDuration = overallEndTime - overallStartTime;
+    const totalRows = results.reduce((sum, result) => sum + result.totalRows, 0);
+    const copiedRows = results.reduce((sum, result) => sum + result.copiedRows, 0);
+    const rejectedRows = results.reduce((sum, result) => sum + result.rejectedRows, 0);
+    const statusIcons = { success: '✅', partial: '⚠️ ', failed: '❌' };
+    
+    console.log('\n' + '='.repeat(60));
+    console.log('🎉 DATABASE COPY SUMMARY');
+    console.log('='.repeat(60));
+    
+    results.forEach(result => {
+        const detail = result.status === 'failed'
+            ? `Error: ${result.error}`
+            : `${result.copiedRows.toLocaleString()}/${result.totalRows.toLocaleString()} records`;
+        console.log(`${statusIcons[result.status]} ${result.tableName}: ${detail} (${formatDuration(result.duration)})`);
+    });
+    
+    const succeeded = results.filter(result => result.status === 'success').length;
+    const partial = results.filter(result => result.status === 'partial').length;
+    const failed = results.filter(result => result.status === 'failed').length;
+    
+    console.log('\n📊 Totals:');
+    console.log(`   Tables: ${results.length} (${succeeded} succeeded, ${partial} partial, ${failed} failed)`);
+    console.log(`   Records: ${copiedRows.toLocaleString()}/${totalRows.toLocaleString()} copied`);
+    if (rejectedRows > 0) {
+        console.log(`   Rejected: ${rejectedRows.toLocaleString()} records (see the rejects of each table)`);
+    }
+    console.log(`⏰ Start Time: ${new Date(overallStartTime).toLocaleString()}`);
+    console.log(`⏰ End Time:   ${new Date(overallEndTime).toLocaleString()}`);
+    console.log(`⏱️  Total Time: ${formatDuration(totalDuration)}`);
+    console.log(`📊 Average Speed: ${Math.round(copiedRows / Math.max(totalDuration / 1000, 0.001))} records/second`);
+};
+
+// Main function for creating the PostgreSQL tables without copying data
+const createDatabaseSchema = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    
+    const results = [];
+    for (const [index, tableName] of tables.entries()) {
+        printTableBanner(tableName, index, tables.length);
+        try {
+            const columns = await getMySQLTableStructure(tableName);
+            await createPostgreSQLTable(tableName, columns, settings);
+            const indexReport = await createTableIndexes(tableName, columns, settings);
+            results.push({ tableName, status: 'success', indexReport });
+        } catch (error) {
+            results.push({ tableName, status: 'failed', error: error.message });
+        }
+    }
+    
+    const createdTables = results.filter(result => result.status === 'success').map(result => result.tableName);
+    await createForeignKeys(createdTables, settings);
+    
+    return results;
+};
+
+// Main function for a dry-run: write the complete ordered DDL script and estimate the copy
+// Only MySQL is read; PostgreSQL is not touched
+const exportDatabaseSchema = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    
+    console.log('🧪 DRY RUN: reading the MySQL schema, PostgreSQL will not be changed');
+    const tables = await resolveTables(settings);
+    const availableTables = new Set(tables);
+    
+    const definitions = [];
+    for (const tableName of tables) {
+        const [columns, primaryKey, indexes, foreignKeys, mysqlNext] = await Promise.all([
+            getMySQLTableStructure(tableName),
+            getPrimaryKeyColumns(tableName),
+            getTableIndexes(tableName),
+            getTableForeignKeys(tableName),
+            getMySQLAutoIncrement(tableName)
+        ]);
+        
+        const indexStatements = buildIndexStatements(tableName, indexes, columns, settings);
+        const foreignKeyStatements = buildForeignKeyStatements(tableName, foreignKeys, availableTables, settings);
+        
+        // Only 'drop' replaces existing tables; the other modes keep them (the script has no schema diff)
+        const keepExisting = settings.IF_EXISTS !== 'drop';
+        definitions.push({
+            tableName,
+            drop: keepExisting ? null : buildDropTableStatement(tableName, settings),
+            create: buildCreateTableStatement(tableName, columns, primaryKey, settings,
+                keepExisting ? `CREATE TABLE IF NOT EXISTS ${pgTable(tableName, settings)}` : undefined),
+            indexes: indexStatements.statements,
+            foreignKeys: foreignKeyStatements.statements,
+            sequences: columns.filter(isAutoIncrement).map(col => buildSequenceSetupStatement(tableName, col.Field, mysqlNext, settings)),
+            report: [...indexStatements.report, ...foreignKeyStatements.report]
+        });
+    }
+    
+    const objects = buildObjectStatements(await getSchemaObjects(), tables, settings);
+    const estimate = estimateCopy(tables, await getTableEstimates());
+    const script = renderSchemaScript(definitions, estimate, buildCreateSchemaStatement(settings), objects);
+    const filePath = await writeSchemaScript(settings.DDL_FILE, script);
+    
+    const totalRows = estimate.reduce((sum, table) => sum + table.estimatedRows, 0);
+    const totalSeconds = estimate.reduce((sum, table) => sum + table.estimatedSeconds, 0);
+    
+    console.log('\n📊 Copy Estimate:');
+    console.table(estimate);
+    console.log(`   Rows: ~${totalRows.toLocaleString()} | Estimated Time: ~${formatDuration(totalSeconds * 1000)}`);
+    definitions.flatMap(definition => definition.report).forEach(entry => {
+        log.warn(`   ⚠️  ${entry.table}.${entry.object} (${entry.status}): ${entry.detail}`, { table: entry.table, object: entry.object, status: entry.status });
+    });
+    objects.report.filter(entry => entry.status === 'manual').forEach(entry => {
+        console.log(`   ✍️  ${[entry.table, entry.object].filter(Boolean).join('.')} (${entry.status}): ${entry.detail}`);
+    });
+    console.log(`\n📝 DDL script written to ${filePath}`);
+    
+    return { filePath, tables: definitions.length, objects: objects.definitions.length, estimate };
+};
+
+// Main function for creating the translated views, triggers and stored routines of already copied tables
+const createDatabaseObjects = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    return createSchemaObjects(tables, settings);
+};
+
+// Main function for the pre-flight assessment: flag what will break or lose data and estimate the copy
+// Only MySQL's information_schema is read; PostgreSQL is not touched
+const assessDatabase = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    
+    console.log('🔍 PRE-FLIGHT ASSESSMENT: reading the MySQL schema');
+    const tables = await resolveTables(settings);
+    const report = await assessDatabaseSchema(tables, settings);
+    const paths = await writeAssessmentReport(settings.ASSESSMENT_FILE, report);
+    
+    const { summary } = report;
+    console.log('\n📊 Copy Estimate:');
+    console.table(report.tables);
+    console.log(`   Rows: ~${summary.estimatedRows.toLocaleString()} | Estimated Time: ~${formatDuration(summary.estimatedSeconds * 1000)}`);
+    report.findings.filter(finding => finding.severity !== 'info').forEach(finding => {
+        const name = [finding.table, finding.object].filter(Boolean).join('.');
+        console.log(`   ${finding.severity === 'error' ? '❌' : '⚠️ '} ${name} (${finding.issue}): ${finding.detail}`);
+    });
+    console.log(`\n📋 Findings: ${summary.errors} errors, ${summary.warnings} warnings, ${summary.infos} notes`);
+    console.log(`📝 Assessment written to ${paths.jsonPath} and ${paths.markdownPath}`);
+    
+    return { ...paths, report };
+};
+
+// Main function for verifying already copied tables (row counts, or row contents with VERIFY_CHECKSUM)
+const verifyDatabase = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    await applySourceFilters(tables, settings);
+    
+    const results = [];
+    for (const [index, tableName] of tables.entries()) {
+        printTableBanner(tableName, index, tables.length);
+        try {
+            if (settings.VERIFY_CHECKSUM) {
+                const columns = await getMySQLTableStructure(tableName);
+                results.push(await verifyTableChecksums(tableName, columns, settings));
+            } else {
+                results.push(await verifyData(tableName, settings));
+            }
+        } catch (error) {
+            results.push({ tableName, match: false, error: error.message });
+        }
     }
+    
+    return results;
+};
+
+// Main function for replaying (fixed) rejected rows of the selected tables
+const replayDatabaseRejects = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    
+    const results = [];
+    for (const tableName of tables) {
+        const outcome = await replayRejects(tableName, settings, row => {
+            const columns = Object.keys(row).map(field => ({ Field: field }));
+            return insertBatch(tableName, columns, [row], null, settings);
+        });
+        
+        if (outcome.replayed > 0 || outcome.remaining > 0) {
+            console.log(`🔁 ${tableName}: ${outcome.replayed} replayed, ${outcome.remaining} still rejected`);
+        }
+        results.push({ tableName, ...outcome });
+    }
+    
+    return results;
+};
+
+// Main function for (re)creating indexes, UNIQUE constraints and foreign keys of already copied tables
+const createDatabaseConstraints = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    
+    const results = [];
+    for (const tableName of tables) {
+        try {
+            const columns = await getMySQLTableStructure(tableName);
+            const indexReport = await createTableIndexes(tableName, columns, settings);
+            results.push({ tableName, status: 'success', indexReport });
+        } catch (error) {
+            log.error(`❌ Error creating indexes of ${tableName}: ${error.message}`, { error: error.message });
+            results.push({ tableName, status: 'failed', error: error.message });
+        }
+    }
+    
+    // A statement PostgreSQL refused (e.g. duplicates for a UNIQUE constraint) fails its table
+    const foreignKeyReport = await createForeignKeys(tables, settings);
+    results.forEach(result => {
+        const failedEntry = [...(result.indexReport || []), ...foreignKeyReport]
+            .find(entry => entry.table === result.tableName && entry.status === 'failed');
+        if (failedEntry) {
+            result.status = 'failed';
+            result.error = `${failedEntry.object}: ${failedEntry.detail}`;
+        }
+    });
+    
+    return results;
 };
 
-// Run the copy process
-copyTable();
+// Main function for resyncing identity/serial sequences of already copied tables
+const resyncDatabaseSequences = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    
+    const results = [];
+    for (const tableName of tables) {
+        try {
+            results.push({ tableName, status: 'success', sequences: await resyncTableSequences(tableName, settings) });
+        } catch (error) {
+            log.error(`❌ Error resyncing sequences of ${tableName}: ${error.message}`, { error: error.message });
+            results.push({ tableName, status: 'failed', error: error.message });
+        }
+    }
+    
+    return results;
+};
+
+// Function to get the PostgreSQL row count (null when the table does not exist)
+const getPostgreSQLRowCount = async (tableName, settings = CONFIG) => {
+    const table = pgTable(tableName, settings);
+    const existsResult = await postgresPool.query('SELECT to_regclass($1) AS regclass', [table]);
+    if (existsResult.rows[0].regclass === null) return null;
+    
+    const countResult = await postgresPool.query(`SELECT COUNT(*) as count FROM ${table}`);
+    return parseInt(countResult.rows[0].count);
+};
+
+// Main function for reporting migration status per table
+const getMigrationStatus = async (options = {}) => {
+    const settings = { ...CONFIG, ...options };
+    const tables = await resolveTables(settings);
+    await applySourceFilters(tables, settings);
+    
+    const checkpoints = await loadAllCheckpoints(settings.CHECKPOINT_TABLE);
+    
+    const status = [];
+    for (const tableName of tables) {
+        const [mysqlCount, postgresCount] = await Promise.all([
+            getTotalRowCount(tableName, sourceFilter(tableName, settings)),
+            getPostgreSQLRowCount(tableName, settings)
+        ]);
+        
+        let state = 'not migrated';
+        if (postgresCount !== null) {
+            state = postgresCount === mysqlCount ? 'in sync' : 'row count differs';
+        }
+        
+        const checkpoint = checkpoints.get(tableName);
+        status.push({
+            tableName,
+            mysqlCount,
+            postgresCount,
+            state,
+            checkpoint: checkpoint ? checkpoint.status : '-',
+            rowsCopied: checkpoint ? checkpoint.rowsCopied : null,
+            // Key ranges finished / planned for tables copied in parallel ranges
+            keyRanges: checkpoint && checkpoint.ranges
+                ? `${checkpoint.ranges.filter(range => range.status === 'completed').length}/${checkpoint.ranges.length}`
+                : null,
+            failedRanges: checkpoint ? checkpoint.failedRanges.length : null,
+            updatedAt: checkpoint ? checkpoint.updatedAt.toISOString() : null
+        });
+    }
+    
+    console.log('\n📊 Migration Status:');
+    console.table(status);
+    
+    return status;
+};
+
+module.exports = {
+    CONFIG,
+    listMySQLTables,
+    getForeignKeyDependencies,
+    filterTables,
+    orderTablesByDependencies,
+    resolveTables,
+    getMySQLTableStructure,
+    getTotalRowCount,
+    getTableSize,
+    convertDataType,
+    buildCreateTableStatement,
+    createPostgreSQLTable,
+    copyTableDataStream,
+    verifyData,
+    copyTable,
+    copyDatabase,
+    createDatabaseSchema,
+    exportDatabaseSchema,
+    assessDatabase,
+    verifyDatabase,
+    createDatabaseConstraints,
+    createDatabaseObjects,
+    replicateDatabase,
+    replayDatabaseRejects,
+    resyncDatabaseSequences,
+    getPostgreSQLRowCount,
+    getMigrationStatus,
+    formatDuration,
+    formatSize,
+    getMemoryUsage
+};
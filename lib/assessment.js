@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { mysqlPromisePool } = require('../config/database');
+const { parseMySQLType, getColumnMapping } = require('./type-mapper');
+const { getIntegerRange, SANITIZE_POLICIES } = require('./sanitizer');
+const { resolveKeyColumns } = require('./source-reader');
+const { getTableIndexes, getTableForeignKeys, buildIndexStatements, buildForeignKeyStatements } = require('./constraints');
+const { getTableEstimates, estimateCopy, ESTIMATED_ROWS_PER_SECOND } = require('./ddl-export');
+const { getSchemaObjects, buildObjectStatements } = require('./schema-objects');
+
+// Finding severities, most serious first
+// error: data is lost or the copy fails, warning: behaviour changes or manual work, info: worth knowing
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Ranges of the MySQL integer types: [signed min, signed max, unsigned max]
+const MYSQL_INTEGER_RANGES = {
+    tinyint: [-128n, 127n, 255n],
+    smallint: [-32768n, 32767n, 65535n],
+    mediumint: [-8388608n, 8388607n, 16777215n],
+    int: [-2147483648n, 2147483647n, 4294967295n],
+    integer: [-2147483648n, 2147483647n, 4294967295n],
+    bigint: [-9223372036854775808n, 9223372036854775807n, 18446744073709551615n]
+};
+
+// Function to read the columns of every table in DESCRIBE's layout, plus collation and generation expression
+const getDatabaseColumns = async () => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT
+            table_name AS tableName,
+            column_name AS Field,
+            column_type AS Type,
+            is_nullable AS \`Null\`,
+            column_key AS \`Key\`,
+            column_default AS \`Default\`,
+            extra AS Extra,
+            collation_name AS collation,
+            generation_expression AS generationExpression
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE()
+        ORDER BY table_name, ordinal_position
+    `);
+
+    const columns = new Map();
+    rows.forEach(({ tableName, ...col }) => {
+        if (!columns.has(tableName)) columns.set(tableName, []);
+        columns.get(tableName).push(col);
+    });
+    return columns;
+};
+
+// Function to read the scheduled events of the database and whether the event scheduler runs
+const getDatabaseEvents = async () => {
+    const [[events], [[scheduler]]] = await Promise.all([
+        mysqlPromisePool.execute(`
+            SELECT event_name AS name, status AS status, interval_value AS intervalValue, interval_field AS intervalField
+            FROM information_schema.events
+            WHERE event_schema = DATABASE() ORDER BY event_name
+        `),
+        mysqlPromisePool.query('SELECT @@global.event_scheduler AS eventScheduler')
+    ]);
+
+    return { events, eventScheduler: scheduler.eventScheduler };
+};
+
+// Function to check whether MySQL values of an integer column can exceed its PostgreSQL type
+const checkIntegerRange = (tableName, col, settings) => {
+    const parsed = parseMySQLType(col.Type);
+    const mysqlRange = MYSQL_INTEGER_RANGES[parsed.base];
+    const targetRange = getIntegerRange(tableName, col, settings);
+    if (!mysqlRange || !targetRange) return null;
+
+    const [signedMin, signedMax, unsignedMax] = mysqlRange;
+    const min = parsed.unsigned ? 0n : signedMin;
+    const max = parsed.unsigned ? unsignedMax : signedMax;
+    if (min >= targetRange[0] && max <= targetRange[1]) return null;
+
+    const policy = (settings.SANITIZE || {}).unsignedOverflow || SANITIZE_POLICIES.unsignedOverflow[0];
+    return `${col.Type} values above ${targetRange[1]} do not fit the PostgreSQL integer type (sanitize policy unsignedOverflow: ${policy})`;
+};
+
+// Function to assess the columns of one table
+const assessColumns = (tableName, columns, settings) => {
+    const findings = [];
+    const add = (severity, column, issue, detail) => findings.push({ severity, table: tableName, object: column, issue, detail });
+
+    columns.forEach(col => {
+        const parsed = parseMySQLType(col.Type);
+        const mapping = getColumnMapping(tableName, col, settings);
+
+        if (!mapping.known) {
+            add('error', col.Field, 'unsupported type', `${col.Type} has no mapping and is copied as TEXT`);
+        }
+
+        const overflow = checkIntegerRange(tableName, col, settings);
+        if (overflow) add('error', col.Field, 'unsigned overflow', overflow);
+
+        if (parsed.base === 'enum') {
+            add('warning', col.Field, 'lossy conversion',
+                `ENUM becomes ${mapping.type}: the label list is no longer enforced and values sort by text, not by declaration order`);
+        }
+        if (parsed.base === 'set') {
+            add('info', col.Field, 'type change', `SET becomes ${mapping.type}: the member list is no longer enforced`);
+        }
+        if (parsed.base === 'year' || parsed.zerofill) {
+            add('info', col.Field, 'type change', `${col.Type} becomes ${mapping.type}: display width and zero padding are dropped`);
+        }
+        if (mapping.select) {
+            add('info', col.Field, 'type change', `${col.Type} is copied as ${mapping.type} (well-known binary)`);
+        }
+
+        if (/\b(VIRTUAL|STORED) GENERATED\b/i.test(col.Extra || '')) {
+            add('warning', col.Field, 'generated column',
+                `copied as a plain ${mapping.type} column; recreate it with GENERATED ALWAYS AS (${col.generationExpression}) STORED`);
+        }
+
+        if (/^0000-00-00/.test(String(col.Default || ''))) {
+            add('error', col.Field, 'zero date default', `DEFAULT '${col.Default}' is not a valid PostgreSQL date, so CREATE TABLE fails`);
+        }
+
+        if (col.collation && /_(bin|cs)$/i.test(col.collation)) {
+            add('info', col.Field, 'case-sensitive collation',
+                `${col.collation}: PostgreSQL compares case-sensitively as well, but sorts by the database collation`);
+        } else if (col.collation && col.Key) {
+            add('warning', col.Field, 'case-insensitive key',
+                `${col.collation} is case-insensitive: PostgreSQL lookups and UNIQUE checks on this key become case-sensitive`);
+        }
+    });
+
+    return findings;
+};
+
+// Function to assess the MySQL schema of the given tables and the database's other objects
+// Reads information_schema only (no row scans); returns the report written by writeAssessmentReport
+const assessDatabaseSchema = async (tables, settings) => {
+    const [databaseColumns, objects, { events, eventScheduler }, estimates] = await Promise.all([
+        getDatabaseColumns(),
+        getSchemaObjects(),
+        getDatabaseEvents(),
+        getTableEstimates()
+    ]);
+    const availableTables = new Set(tables);
+    const findings = [];
+
+    for (const tableName of tables) {
+        const columns = databaseColumns.get(tableName) || [];
+        findings.push(...assessColumns(tableName, columns, settings));
+
+        const keyColumns = await resolveKeyColumns(tableName, columns, (settings.KEY_COLUMNS || {})[tableName]);
+        if (keyColumns.length === 0) {
+            findings.push({
+                severity: 'warning',
+                table: tableName,
+                object: null,
+                issue: 'no seek key',
+                detail: 'no primary key or unique NOT NULL index: read with one streaming query, without resume, range splitting, checksums or CDC'
+            });
+        }
+
+        const [indexes, foreignKeys] = await Promise.all([getTableIndexes(tableName), getTableForeignKeys(tableName)]);
+        [...buildIndexStatements(tableName, indexes, columns, settings).report,
+            ...buildForeignKeyStatements(tableName, foreignKeys, availableTables, settings).report].forEach(entry => {
+            findings.push({ severity: 'warning', table: entry.table, object: entry.object, issue: `index / constraint ${entry.status}`, detail: entry.detail });
+        });
+    }
+
+    // Views, routines and triggers are translated and created after the copy; the rest needs manual work
+    buildObjectStatements(objects, tables, settings).report.forEach(entry => findings.push({
+        severity: entry.status === 'manual' ? 'warning' : 'info',
+        table: entry.table,
+        object: entry.object,
+        issue: entry.status === 'manual' ? 'manual translation' : 'translated object',
+        detail: entry.status === 'manual' ? entry.detail : 'translated to PostgreSQL and created after the copy'
+    }));
+    events.forEach(event => findings.push({
+        severity: eventScheduler === 'ON' && event.status === 'ENABLED' ? 'warning' : 'info',
+        table: null,
+        object: event.name,
+        issue: 'scheduled event',
+        detail: `${event.status.toLowerCase()} event${event.intervalValue ? ` every ${event.intervalValue} ${event.intervalField}` : ''} ` +
+            `(event scheduler ${eventScheduler}); schedule it on the PostgreSQL side, e.g. with pg_cron`
+    }));
+
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+    const estimate = estimateCopy(tables, estimates);
+    const count = (severity) => findings.filter(finding => finding.severity === severity).length;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        summary: {
+            tables: tables.length,
+            estimatedRows: estimate.reduce((sum, table) => sum + table.estimatedRows, 0),
+            sizeMb: Math.round(estimate.reduce((sum, table) => sum + table.sizeMb, 0) * 100) / 100,
+            estimatedSeconds: estimate.reduce((sum, table) => sum + table.estimatedSeconds, 0),
+            rowsPerSecond: ESTIMATED_ROWS_PER_SECOND,
+            errors: count('error'),
+            warnings: count('warning'),
+            infos: count('info')
+        },
+        tables: estimate,
+        objects: {
+            views: objects.views.map(view => view.name),
+            triggers: objects.triggers.map(trigger => `${trigger.tableName}.${trigger.name}`),
+            routines: objects.routines.map(routine => `${routine.type.toLowerCase()} ${routine.name}`),
+            events: events.map(event => event.name),
+            eventScheduler
+        },
+        findings
+    };
+};
+
+// Function to render the readable (Markdown) version of an assessment report
+const renderAssessmentReport = (report) => {
+    const { summary } = report;
+    const lines = [
+        '# MySQL → PostgreSQL pre-flight assessment',
+        '',
+        `Generated: ${report.generatedAt}`,
+        '',
+        `- Tables: ${summary.tables}`,
+        `- Estimated rows: ~${summary.estimatedRows.toLocaleString()} (${summary.sizeMb} MB)`,
+        `- Estimated copy time: ~${summary.estimatedSeconds.toLocaleString()}s at ${summary.rowsPerSecond.toLocaleString()} rows/s`,
+        `- Findings: ${summary.errors} errors, ${summary.warnings} warnings, ${summary.infos} notes`,
+        ''
+    ];
+
+    SEVERITIES.forEach(severity => {
+        const findings = report.findings.filter(finding => finding.severity === severity);
+        if (findings.length === 0) return;
+        lines.push(`## ${severity.charAt(0).toUpperCase()}${severity.slice(1)}s (${findings.length})`, '');
+        findings.forEach(finding => {
+            const name = [finding.table, finding.object].filter(Boolean).join('.');
+            lines.push(`- **${name}** (${finding.issue}): ${finding.detail}`);
+        });
+        lines.push('');
+    });
+
+    lines.push('## Tables', '', '| Table | Rows (estimated) | Size (MB) | Copy time (s) |', '|-------|------------------|-----------|---------------|');
+    report.tables.forEach(table => {
+        lines.push(`| ${table.tableName} | ${table.estimatedRows.toLocaleString()} | ${table.sizeMb} | ${table.estimatedSeconds} |`);
+    });
+    lines.push('');
+
+    return lines.join('\n');
+};
+
+// Function to write the JSON report and its readable Markdown version next to it
+const writeAssessmentReport = async (filePath, report) => {
+    const jsonPath = path.resolve(filePath);
+    const markdownPath = jsonPath.replace(/\.json$/i, '') + '.md';
+
+    await fs.promises.mkdir(path.dirname(jsonPath), { recursive: true });
+    await fs.promises.writeFile(jsonPath, JSON.stringify(report, null, 2));
+    await fs.promises.writeFile(markdownPath, renderAssessmentReport(report));
+
+    return { jsonPath, markdownPath };
+};
+
+module.exports = {
+    SEVERITIES,
+    assessColumns,
+    assessDatabaseSchema,
+    renderAssessmentReport,
+    writeAssessmentReport
+};
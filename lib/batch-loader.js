@@ -0,0 +1,445 @@
+const { Readable, pipeline } = require('stream');
+const { promisify } = require('util');
+const { from: copyFrom } = require('pg-copy-streams');
+const { postgresPool, sessionTimezone } = require('../config/database');
+const { pgTable, pgColumn, pgColumnList, targetSchema, targetTableName, targetColumnName } = require('./identifiers');
+const { parseUtcOffset, parseDateTimeMicros } = require('./temporal');
+
+const pipelineAsync = promisify(pipeline);
+
+// PostgreSQL accepts at most 65535 bind parameters per statement
+const MAX_BIND_PARAMETERS = 65535;
+
+// Microseconds / days between the Unix epoch and the PostgreSQL epoch (2000-01-01)
+const POSTGRES_EPOCH_MS = Date.UTC(2000, 0, 1);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Session time zone in minutes east of UTC: PostgreSQL reads date-time text without an offset in it
+const SESSION_OFFSET = parseUtcOffset(sessionTimezone);
+
+// Error thrown when a value of a row cannot be encoded for binary COPY (the row is bad, not the connection)
+class RowEncodingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RowEncodingError';
+    }
+}
+
+// Function to convert a MySQL value for a parameterized INSERT
+const toInsertValue = (value) => {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    return value;
+};
+
+// Function to insert a batch with multi-row INSERT statements inside one transaction
+// (afterLoad(client) runs in the same transaction, e.g. to save a checkpoint)
+const insertBatch = async (tableName, columns, batch, afterLoad, settings = {}) => {
+    const columnNames = pgColumnList(tableName, columns.map(col => col.Field), settings);
+    const rowsPerStatement = Math.max(1, Math.floor(MAX_BIND_PARAMETERS / columns.length));
+    const client = await postgresPool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        for (let start = 0; start < batch.length; start += rowsPerStatement) {
+            const values = [];
+            const placeholders = [];
+            let parameterIndex = 1;
+
+            batch.slice(start, start + rowsPerStatement).forEach(row => {
+                const rowPlaceholders = [];
+                columns.forEach(col => {
+                    values.push(toInsertValue(row[col.Field]));
+                    rowPlaceholders.push(`$${parameterIndex++}`);
+                });
+                placeholders.push(`(${rowPlaceholders.join(', ')})`);
+            });
+
+            await client.query(`INSERT INTO ${pgTable(tableName, settings)} (${columnNames}) VALUES ${placeholders.join(', ')}`, values);
+        }
+
+        if (afterLoad) await afterLoad(client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Function to insert or update rows by key with INSERT ... ON CONFLICT on an open client
+const upsertRows = async (client, tableName, columns, keyColumns, rows, settings = {}) => {
+    const columnNames = pgColumnList(tableName, columns.map(col => col.Field), settings);
+    const updates = columns
+        .filter(col => !keyColumns.includes(col.Field))
+        .map(col => pgColumn(tableName, col.Field, settings))
+        .map(column => `${column} = EXCLUDED.${column}`);
+    const onConflict = updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+    const rowsPerStatement = Math.max(1, Math.floor(MAX_BIND_PARAMETERS / columns.length));
+
+    for (let start = 0; start < rows.length; start += rowsPerStatement) {
+        const values = [];
+        const placeholders = rows.slice(start, start + rowsPerStatement).map(row => {
+            const rowPlaceholders = columns.map(col => {
+                values.push(toInsertValue(row[col.Field]));
+                return `$${values.length}`;
+            });
+            return `(${rowPlaceholders.join(', ')})`;
+        });
+
+        await client.query(
+            `INSERT INTO ${pgTable(tableName, settings)} (${columnNames}) VALUES ${placeholders.join(', ')} ` +
+                `ON CONFLICT (${pgColumnList(tableName, keyColumns, settings)}) ${onConflict}`,
+            values
+        );
+    }
+};
+
+// Function to upsert a batch by primary key inside one transaction
+// (afterLoad(client) runs in the same transaction, e.g. to save a checkpoint)
+const upsertBatch = async (tableName, columns, keyColumns, batch, afterLoad, settings = {}) => {
+    const client = await postgresPool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await upsertRows(client, tableName, columns, keyColumns, batch, settings);
+        if (afterLoad) await afterLoad(client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Function to get the MySQL names of the primary key columns of the PostgreSQL table
+const getTargetPrimaryKey = async (tableName, columns, settings = {}) => {
+    const result = await postgresPool.query(`
+        SELECT a.attname AS name
+        FROM pg_index i
+        JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+        WHERE i.indrelid = to_regclass($1::text) AND i.indisprimary
+        ORDER BY array_position(i.indkey::int2[], a.attnum)
+    `, [pgTable(tableName, settings)]);
+
+    return result.rows.map(row => {
+        const col = columns.find(candidate => targetColumnName(tableName, candidate.Field, settings) === row.name);
+        if (!col) {
+            throw new Error(`Primary key column ${row.name} of ${pgTable(tableName, settings)} is not copied from MySQL`);
+        }
+        return col.Field;
+    });
+};
+
+// Function to format a JS array as a PostgreSQL array literal, e.g. {"a","b"}
+const toArrayLiteral = (values) => {
+    const elements = values.map(element => {
+        if (element === null || element === undefined) return 'NULL';
+        return `"${String(element).replace(/["\\]/g, '\\$&')}"`;
+    });
+    return `{${elements.join(',')}}`;
+};
+
+// Function to escape a value for COPY text format
+const toCopyText = (value) => {
+    if (value === null || value === undefined) return '\\N';
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (Buffer.isBuffer(value)) {
+        // bytea hex format; the backslash itself is escaped below
+        text = '\\x' + value.toString('hex');
+    } else if (typeof value === 'boolean') {
+        text = value ? 't' : 'f';
+    } else if (Array.isArray(value)) {
+        text = toArrayLiteral(value);
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+};
+
+// Function to encode a row as one line of COPY text format
+const encodeTextRow = (row, columns) => {
+    return columns.map(col => toCopyText(row[col.Field])).join('\t') + '\n';
+};
+
+// Function to encode a NUMERIC value (decimal string) in PostgreSQL binary format
+const encodeNumeric = (value) => {
+    const text = String(value).trim();
+    const match = text.match(/^([+-]?)(\d*)(?:\.(\d*))?$/);
+    if (!match) {
+        throw new RowEncodingError(`Cannot encode ${JSON.stringify(text)} as binary NUMERIC`);
+    }
+
+    const [, sign, integerPart, fractionPart = ''] = match;
+    const paddedInteger = integerPart.padStart(Math.ceil(integerPart.length / 4) * 4, '0');
+    const paddedFraction = fractionPart.padEnd(Math.ceil(fractionPart.length / 4) * 4, '0');
+
+    const integerGroups = paddedInteger.match(/\d{4}/g) || [];
+    const fractionGroups = paddedFraction.match(/\d{4}/g) || [];
+    let digits = [...integerGroups, ...fractionGroups].map(group => parseInt(group, 10));
+    let weight = integerGroups.length - 1;
+
+    // Strip leading and trailing zero groups (base 10000 digits)
+    while (digits.length > 0 && digits[0] === 0) {
+        digits.shift();
+        weight--;
+    }
+    while (digits.length > 0 && digits[digits.length - 1] === 0) {
+        digits.pop();
+    }
+    if (digits.length === 0) weight = 0;
+
+    const buffer = Buffer.alloc(8 + digits.length * 2);
+    buffer.writeInt16BE(digits.length, 0);
+    buffer.writeInt16BE(weight, 2);
+    buffer.writeUInt16BE(sign === '-' && digits.length > 0 ? 0x4000 : 0x0000, 4);
+    buffer.writeInt16BE(fractionPart.length, 6);
+    digits.forEach((digit, index) => buffer.writeInt16BE(digit, 8 + index * 2));
+
+    return buffer;
+};
+
+// Function to get the microseconds since the PostgreSQL epoch of a Date or of date-time text
+// (text without an offset is read at offsetMinutes east of UTC)
+const toPostgresMicros = (value, offsetMinutes) => {
+    const micros = value instanceof Date ? BigInt(value.getTime()) * 1000n : parseDateTimeMicros(value, offsetMinutes);
+    if (micros === null || (value instanceof Date && isNaN(value.getTime()))) {
+        throw new RowEncodingError(`Cannot encode ${JSON.stringify(value)} as a binary date / timestamp`);
+    }
+    return micros - BigInt(POSTGRES_EPOCH_MS) * 1000n;
+};
+
+// Function to parse a MySQL TIME string (a duration, may be negative) into microseconds
+const parseTimeMicros = (value) => {
+    const match = String(value).match(/^(-?)(\d+):(\d{2}):(\d{2})(?:\.(\d{1,6}))?$/);
+    if (!match) {
+        throw new RowEncodingError(`Cannot encode ${JSON.stringify(value)} as binary TIME / INTERVAL`);
+    }
+    const [, sign, hours, minutes, seconds, fraction = ''] = match;
+    const totalSeconds = parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+    const micros = BigInt(totalSeconds) * 1000000n + BigInt(fraction.padEnd(6, '0'));
+    return sign === '-' ? -micros : micros;
+};
+
+const MICROS_PER_DAY = BigInt(MS_PER_DAY) * 1000n;
+
+// Function to encode a MySQL TIME string as a PostgreSQL TIME (a time of day, tables created before
+// TIME was mapped to INTERVAL)
+const encodeTimeOfDay = (value) => {
+    const micros = parseTimeMicros(value);
+    if (micros < 0n || micros > MICROS_PER_DAY) {
+        throw new RowEncodingError(`Cannot encode ${JSON.stringify(value)} as binary TIME: not a time of day`);
+    }
+    return int64(micros);
+};
+
+// Function to encode a MySQL TIME string as a PostgreSQL INTERVAL (microseconds, days, months)
+const encodeInterval = (value) => {
+    const buffer = Buffer.alloc(16);
+    buffer.writeBigInt64BE(parseTimeMicros(value), 0);
+    return buffer;
+};
+
+const int64 = (value) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64BE(BigInt(value));
+    return buffer;
+};
+
+const utf8 = (value) => Buffer.from(typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value), 'utf8');
+
+// Binary encoders keyed by PostgreSQL udt_name
+const BINARY_ENCODERS = {
+    bool: (value) => Buffer.from([value === true || value === 1 || value === '1' || value === 't' ? 1 : 0]),
+    int2: (value) => {
+        const buffer = Buffer.alloc(2);
+        buffer.writeInt16BE(Number(value));
+        return buffer;
+    },
+    int4: (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(Number(value));
+        return buffer;
+    },
+    int8: (value) => int64(value),
+    float4: (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeFloatBE(Number(value));
+        return buffer;
+    },
+    float8: (value) => {
+        const buffer = Buffer.alloc(8);
+        buffer.writeDoubleBE(Number(value));
+        return buffer;
+    },
+    numeric: encodeNumeric,
+    text: utf8,
+    varchar: utf8,
+    bpchar: utf8,
+    json: utf8,
+    jsonb: (value) => Buffer.concat([Buffer.from([1]), utf8(value)]),
+    bytea: (value) => (Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8')),
+    date: (value) => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(Math.floor(Number(toPostgresMicros(value, 0)) / 1000 / MS_PER_DAY));
+        return buffer;
+    },
+    // TIMESTAMP holds the wall-clock text as is, TIMESTAMPTZ reads it in the session time zone
+    timestamp: (value) => int64(toPostgresMicros(value, 0)),
+    timestamptz: (value) => int64(toPostgresMicros(value, SESSION_OFFSET)),
+    time: encodeTimeOfDay,
+    interval: encodeInterval
+};
+
+// Function to encode a row as one tuple of COPY binary format
+const encodeBinaryRow = (row, columns, encoders) => {
+    const parts = [];
+    const fieldCount = Buffer.alloc(2);
+    fieldCount.writeInt16BE(columns.length);
+    parts.push(fieldCount);
+
+    columns.forEach((col, index) => {
+        const value = row[col.Field];
+        const length = Buffer.alloc(4);
+
+        if (value === null || value === undefined) {
+            length.writeInt32BE(-1);
+            parts.push(length);
+            return;
+        }
+
+        let encoded;
+        try {
+            encoded = encoders[index](value);
+        } catch (error) {
+            // Out of range integers (RangeError) and non-numeric BIGINT text (SyntaxError) are bad values too
+            if (error instanceof RowEncodingError) throw error;
+            throw new RowEncodingError(`Cannot encode ${col.Field} value ${JSON.stringify(String(value))}: ${error.message}`);
+        }
+        length.writeInt32BE(encoded.length);
+        parts.push(length, encoded);
+    });
+
+    return Buffer.concat(parts);
+};
+
+// COPY binary signature, flags and header extension length
+const BINARY_HEADER = Buffer.concat([
+    Buffer.from('PGCOPY\n\xff\r\n\0', 'latin1'),
+    Buffer.alloc(8)
+]);
+const BINARY_TRAILER = Buffer.from([0xff, 0xff]);
+
+// Function to get the PostgreSQL type (udt_name) of each target column, keyed by target column name
+const getPostgreSQLColumnTypes = async (tableName, settings = {}) => {
+    const result = await postgresPool.query(`
+        SELECT column_name, udt_name
+        FROM information_schema.columns
+        WHERE table_schema = $1 AND table_name = $2
+    `, [targetSchema(settings), targetTableName(tableName, settings)]);
+
+    return Object.fromEntries(result.rows.map(row => [row.column_name, row.udt_name]));
+};
+
+// Function to stream a batch into PostgreSQL with COPY ... FROM STDIN inside one transaction
+const copyBatch = async (tableName, columns, batch, format, encoders, afterLoad, settings = {}) => {
+    const columnNames = pgColumnList(tableName, columns.map(col => col.Field), settings);
+    const options = format === 'binary' ? ' WITH (FORMAT binary)' : '';
+    const client = await postgresPool.connect();
+
+    function* encodeRows() {
+        if (format === 'binary') {
+            yield BINARY_HEADER;
+            for (const row of batch) yield encodeBinaryRow(row, columns, encoders);
+            yield BINARY_TRAILER;
+        } else {
+            for (const row of batch) yield encodeTextRow(row, columns);
+        }
+    }
+
+    try {
+        await client.query('BEGIN');
+
+        const copyStream = client.query(copyFrom(`COPY ${pgTable(tableName, settings)} (${columnNames}) FROM STDIN${options}`));
+        await pipelineAsync(Readable.from(encodeRows(), { objectMode: false }), copyStream);
+
+        if (afterLoad) await afterLoad(client);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+// Function to create the batch loader selected by settings.LOADER ('insert' or 'copy')
+// Upserts (IF_EXISTS 'upsert') always use INSERT ... ON CONFLICT on the primary key of the PostgreSQL table
+const createBatchLoader = async (tableName, columns, settings) => {
+    if (settings.IF_EXISTS === 'upsert') {
+        const keyColumns = await getTargetPrimaryKey(tableName, columns, settings);
+        if (keyColumns.length === 0) {
+            throw new Error(`Upsert needs a primary key on ${pgTable(tableName, settings)}`);
+        }
+        return {
+            description: `INSERT ... ON CONFLICT (${keyColumns.join(', ')}) upsert`,
+            load: (batch, afterLoad) => upsertBatch(tableName, columns, keyColumns, batch, afterLoad, settings)
+        };
+    }
+
+    if (settings.LOADER !== 'copy') {
+        return {
+            description: 'multi-row INSERT',
+            load: (batch, afterLoad) => insertBatch(tableName, columns, batch, afterLoad, settings)
+        };
+    }
+
+    const format = settings.COPY_FORMAT === 'binary' ? 'binary' : 'text';
+    let encoders = null;
+
+    if (format === 'binary') {
+        // Binary COPY needs the exact target type of every column, so check them all up front
+        const targetTypes = await getPostgreSQLColumnTypes(tableName, settings);
+        encoders = columns.map(col => {
+            const type = targetTypes[targetColumnName(tableName, col.Field, settings)];
+            if (!BINARY_ENCODERS[type]) {
+                throw new Error(`Binary COPY does not support column ${col.Field} (${type}); use --copy-format text`);
+            }
+            return BINARY_ENCODERS[type];
+        });
+    }
+
+    return {
+        description: `COPY FROM STDIN (${format})`,
+        load: (batch, afterLoad) => copyBatch(tableName, columns, batch, format, encoders, afterLoad, settings)
+    };
+};
+
+module.exports = {
+    MAX_BIND_PARAMETERS,
+    RowEncodingError,
+    toCopyText,
+    encodeTextRow,
+    encodeNumeric,
+    encodeBinaryRow,
+    insertBatch,
+    upsertRows,
+    upsertBatch,
+    copyBatch,
+    getPostgreSQLColumnTypes,
+    createBatchLoader
+};
@@ -0,0 +1,394 @@
+const ZongJi = require('@vlasky/zongji');
+const { mysqlConnectionOptions, mysqlPromisePool, postgresPool } = require('../config/database');
+const { resolveKeyColumns, readRowsByKeys, buildReadOptions } = require('./source-reader');
+const { buildSelectList, createRowConverter } = require('./type-mapper');
+const { createRowSanitizer } = require('./sanitizer');
+const { upsertRows } = require('./batch-loader');
+const { pgTable, pgColumn } = require('./identifiers');
+const { parseUtcOffset, formatDateTimeMicros } = require('./temporal');
+const { log } = require('./logger');
+
+// Rows fetched from MySQL per key lookup
+const KEY_LOOKUP_SIZE = 1000;
+
+// Applied transactions queued before reading from the binlog is paused
+const MAX_QUEUED_TRANSACTIONS = 10;
+
+// Function to build a comparable string for key values (binlog and query results type numbers differently)
+const keyString = (values) => JSON.stringify(values.map(value => {
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    if (value instanceof Date) return value.getTime();
+    return value === null || value === undefined ? null : String(value);
+}));
+
+// Function to move a TIMESTAMP value from the binlog, text in the Node time zone, to the MySQL session
+// time zone the re-read rows are in (its fraction digits are kept as they are)
+const toSessionTimestamp = (text) => {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d+)?$/.exec(text);
+    if (!match || match[1] === '0000-00-00') return text;
+
+    const instant = new Date(`${match[1]}T${match[2]}`).getTime();
+    const sessionTime = instant + parseUtcOffset(mysqlConnectionOptions.timezone) * 60000;
+    return formatDateTimeMicros(BigInt(sessionTime) * 1000n) + (match[3] || '');
+};
+
+// Function to create the CDC state table in PostgreSQL if needed
+const ensureCdcTable = async (cdcTable) => {
+    await postgresPool.query(`
+        CREATE TABLE IF NOT EXISTS ${cdcTable} (
+            source_database TEXT PRIMARY KEY,
+            binlog_file     TEXT NOT NULL,
+            binlog_position BIGINT NOT NULL,
+            snapshot_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+            last_event_at   TIMESTAMPTZ,
+            updated_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+    `);
+};
+
+// Function to get the current binlog file and position of the MySQL server
+const getBinlogPosition = async () => {
+    let rows;
+    try {
+        // MySQL 8.2+ name; older servers only know SHOW MASTER STATUS
+        [rows] = await mysqlPromisePool.query('SHOW BINARY LOG STATUS');
+    } catch (error) {
+        [rows] = await mysqlPromisePool.query('SHOW MASTER STATUS');
+    }
+
+    if (rows.length === 0) {
+        throw new Error('Binary logging is disabled on the MySQL server; enable log_bin to use CDC');
+    }
+    return { file: rows[0].File, position: Number(rows[0].Position) };
+};
+
+// Function to check that the server writes row-based binlog events
+const checkBinlogFormat = async () => {
+    const [rows] = await mysqlPromisePool.query('SELECT @@global.binlog_format AS format, DATABASE() AS source');
+    if (rows[0].format !== 'ROW') {
+        throw new Error(`CDC needs binlog_format=ROW, the server uses ${rows[0].format}`);
+    }
+    return rows[0].source;
+};
+
+// Function to record the binlog position a snapshot copy starts from
+// A resumed copy keeps the position of the snapshot it continues
+const recordSnapshotPosition = async (cdcTable, keepExisting = false) => {
+    const source = await checkBinlogFormat();
+    const existing = keepExisting ? await loadBinlogPosition(source, cdcTable) : null;
+    if (existing) {
+        console.log(`📍 Keeping snapshot binlog position: ${existing.file}:${existing.position}`);
+        return existing;
+    }
+
+    const position = await getBinlogPosition();
+    await ensureCdcTable(cdcTable);
+
+    await postgresPool.query(`
+        INSERT INTO ${cdcTable} (source_database, binlog_file, binlog_position, snapshot_at, last_event_at, updated_at)
+        VALUES ($1, $2, $3, now(), NULL, now())
+        ON CONFLICT (source_database) DO UPDATE SET
+            binlog_file = EXCLUDED.binlog_file,
+            binlog_position = EXCLUDED.binlog_position,
+            snapshot_at = now(),
+            last_event_at = NULL,
+            updated_at = now()
+    `, [source, position.file, position.position]);
+
+    console.log(`📍 Snapshot binlog position: ${position.file}:${position.position}`);
+    return position;
+};
+
+// Function to load the saved binlog position of the source database
+const loadBinlogPosition = async (source, cdcTable) => {
+    await ensureCdcTable(cdcTable);
+    const result = await postgresPool.query(`SELECT * FROM ${cdcTable} WHERE source_database = $1`, [source]);
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return { file: row.binlog_file, position: parseInt(row.binlog_position), lastEventAt: row.last_event_at };
+};
+
+// Function to save the applied binlog position (on the client of the apply transaction when given)
+const saveBinlogPosition = async (client, source, position, lastEventAt, cdcTable) => {
+    await client.query(`
+        UPDATE ${cdcTable}
+        SET binlog_file = $2, binlog_position = $3, last_event_at = COALESCE($4, last_event_at), updated_at = now()
+        WHERE source_database = $1
+    `, [source, position.file, position.position, lastEventAt]);
+};
+
+// Function to prepare what applying changes needs per table: key, select list, row sanitizer and converter
+// tableColumns: Map of table name -> MySQL columns (DESCRIBE output)
+const prepareCdcTables = async (tableColumns, settings) => {
+    const tables = new Map();
+
+    for (const [tableName, columns] of tableColumns) {
+        const configuredColumns = (settings.KEY_COLUMNS || {})[tableName];
+        const keyColumns = await resolveKeyColumns(tableName, columns, configuredColumns);
+        if (keyColumns.length === 0) {
+            throw new Error(`CDC needs a primary key or unique NOT NULL index on ${tableName}`);
+        }
+
+        tables.set(tableName, {
+            columns,
+            keyColumns,
+            selectList: buildSelectList(tableName, columns, settings),
+            readOptions: buildReadOptions(columns, keyColumns),
+            sanitizeRow: createRowSanitizer(tableName, columns, settings, keyColumns).sanitize,
+            convertRow: createRowConverter(tableName, columns, settings, keyColumns)
+        });
+    }
+
+    return tables;
+};
+
+// Function to apply the changes of one binlog transaction
+// Changed keys are re-read from MySQL so values go through the same conversion as the bulk copy;
+// a key that no longer exists is deleted. Re-applying a transaction is therefore harmless.
+const applyTransaction = async (changes, tables, source, position, lastEventAt, settings) => {
+    const upserts = new Map();
+    const deletes = new Map();
+
+    for (const [tableName, keys] of changes) {
+        const table = tables.get(tableName);
+        const tableUpserts = [];
+        const tableDeletes = keys.filter(({ deleted }) => deleted).map(({ key }) => key);
+        const changedKeys = [...new Map(keys
+            .filter(({ deleted }) => !deleted)
+            .map(({ key }) => [keyString(table.keyColumns.map(column => key[column])), key])).values()];
+
+        for (let start = 0; start < changedKeys.length; start += KEY_LOOKUP_SIZE) {
+            const lookup = changedKeys.slice(start, start + KEY_LOOKUP_SIZE);
+            const rows = await readRowsByKeys(tableName, table.selectList, table.keyColumns, lookup, table.readOptions);
+            const found = new Set(rows.map(row => keyString(table.keyColumns.map(column => row[column]))));
+
+            lookup
+                .filter(key => !found.has(keyString(table.keyColumns.map(column => key[column]))))
+                .forEach(key => tableDeletes.push(key));
+            rows.forEach(row => {
+                const issue = table.sanitizeRow(row);
+                if (issue) {
+                    // The copy would have rejected the row too; PostgreSQL keeps its previous version
+                    log.warn(`⚠️  CDC: skipped ${tableName} ${keyString(table.keyColumns.map(column => row[column]))}: ${issue.message}`);
+                    return;
+                }
+                tableUpserts.push(table.convertRow(row));
+            });
+        }
+
+        upserts.set(tableName, tableUpserts);
+        deletes.set(tableName, tableDeletes);
+    }
+
+    const client = await postgresPool.connect();
+    try {
+        await client.query('BEGIN');
+        // Rows of one transaction arrive per table, so check foreign keys at commit
+        await client.query('SET CONSTRAINTS ALL DEFERRED');
+
+        for (const [tableName, keys] of deletes) {
+            const { keyColumns } = tables.get(tableName);
+            for (const key of keys) {
+                const conditions = keyColumns.map((column, index) => `${pgColumn(tableName, column, settings)} = $${index + 1}`).join(' AND ');
+                const params = keyColumns.map(column => (key[column] instanceof Date ? key[column].toISOString() : key[column]));
+                await client.query(`DELETE FROM ${pgTable(tableName, settings)} WHERE ${conditions}`, params);
+            }
+        }
+
+        for (const [tableName, rows] of upserts) {
+            if (rows.length === 0) continue;
+            const table = tables.get(tableName);
+            await upsertRows(client, tableName, table.columns, table.keyColumns, rows, settings);
+        }
+
+        await saveBinlogPosition(client, source, position, lastEventAt, settings.CDC_TABLE);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    let changed = 0;
+    upserts.forEach(rows => { changed += rows.length; });
+    deletes.forEach(keys => { changed += keys.length; });
+    return changed;
+};
+
+// Function to tail the binlog from the saved position and apply row changes of the prepared tables
+// Runs until SIGINT/SIGTERM or until applying a transaction fails
+const tailBinlog = async (tables, settings) => {
+    const source = await checkBinlogFormat();
+    const start = await loadBinlogPosition(source, settings.CDC_TABLE);
+    if (!start) {
+        throw new Error(`No snapshot position recorded for ${source}; run the copy with --cdc first`);
+    }
+
+    console.log(`\n📡 CDC: tailing ${source} from ${start.file}:${start.position} for ${tables.size} tables`);
+
+    // Date and time keys as text, like the rows re-read from MySQL (READ_OPTIONS.dateStrings)
+    const zongji = new ZongJi({ ...mysqlConnectionOptions, dateStrings: true });
+    const timestampKeys = new Map([...tables].map(([tableName, table]) => [tableName, table.keyColumns
+        .filter(column => /^timestamp/i.test(table.columns.find(col => col.Field === column).Type))]));
+    const stats = { transactions: 0, changes: 0, lastEventTimestamp: null };
+    // position: after the last event read; committedPosition: after the last complete transaction,
+    // the only place reading can restart from
+    let position = { file: start.file, position: start.position };
+    let committedPosition = { ...position };
+    let savedPosition = { ...position };
+    let changes = new Map();
+    let queue = Promise.resolve();
+    let queued = 0;
+    let failure = null;
+    let stopping = false;
+
+    const stop = () => {
+        if (stopping) return;
+        stopping = true;
+        console.log('\n🛑 Stopping CDC, finishing applied transactions...');
+        zongji.stop();
+    };
+
+    const keyOf = (tableName, row) => Object.fromEntries(tables.get(tableName).keyColumns.map(column => [
+        column,
+        timestampKeys.get(tableName).includes(column) && row[column] !== null ? toSessionTimestamp(row[column]) : row[column]
+    ]));
+
+    const recordChange = (tableName, row, deleted) => {
+        if (!changes.has(tableName)) changes.set(tableName, []);
+        changes.get(tableName).push({ key: keyOf(tableName, row), deleted });
+    };
+
+    // Transactions are applied one after another; reading pauses while too many are waiting
+    const enqueue = (transaction) => {
+        queued++;
+        if (queued > MAX_QUEUED_TRANSACTIONS) zongji.connection.pause();
+
+        queue = queue.then(async () => {
+            if (failure) return;
+            try {
+                stats.changes += await applyTransaction(
+                    transaction.changes, tables, source, transaction.position, transaction.eventAt, settings
+                );
+                stats.transactions++;
+                savedPosition = transaction.position;
+            } catch (error) {
+                failure = error;
+                stop();
+            } finally {
+                queued--;
+                if (queued <= MAX_QUEUED_TRANSACTIONS) zongji.connection.resume();
+            }
+        });
+    };
+
+    const onEvent = (event) => {
+        const eventName = event.getEventName();
+
+        if (eventName === 'rotate') {
+            position = { file: event.binlogName, position: event.position };
+            committedPosition = { ...position };
+            return;
+        }
+
+        if (event.nextPosition) position = { ...position, position: event.nextPosition };
+
+        if (eventName === 'writerows' || eventName === 'updaterows' || eventName === 'deleterows') {
+            const tableName = event.tableMap[event.tableId].tableName;
+            if (!tables.has(tableName)) return;
+
+            event.rows.forEach(row => {
+                if (eventName === 'updaterows') {
+                    // A changed key removes the old row and adds the new one
+                    const { keyColumns } = tables.get(tableName);
+                    if (keyString(keyColumns.map(column => row.before[column])) !== keyString(keyColumns.map(column => row.after[column]))) {
+                        recordChange(tableName, row.before, true);
+                    }
+                    recordChange(tableName, row.after, false);
+                } else {
+                    recordChange(tableName, row, eventName === 'deleterows');
+                }
+            });
+            stats.lastEventTimestamp = event.timestamp;
+            return;
+        }
+
+        // End of a transaction (XID) or of a non-transactional statement (COMMIT query)
+        if (eventName === 'xid' || (eventName === 'query' && /^COMMIT/i.test(event.query))) {
+            committedPosition = { ...position };
+            if (changes.size > 0) {
+                enqueue({ changes, position: committedPosition, eventAt: new Date(event.timestamp) });
+                changes = new Map();
+            }
+        }
+    };
+
+    // Function to report how far PostgreSQL is behind the MySQL binlog
+    const reportLag = async () => {
+        const head = await getBinlogPosition();
+        const inSync = head.file === savedPosition.file && head.position <= savedPosition.position;
+        const lagSeconds = inSync || !stats.lastEventTimestamp
+            ? 0
+            : Math.max(0, Math.round((Date.now() - stats.lastEventTimestamp) / 1000));
+
+        console.log(`📡 CDC: ${stats.changes.toLocaleString()} rows applied in ${stats.transactions.toLocaleString()} transactions | ` +
+            `at ${savedPosition.file}:${savedPosition.position}, server at ${head.file}:${head.position} | ` +
+            `lag ${lagSeconds}s ${inSync ? '✅ in sync, safe to cut over' : '⏳ catching up'}`);
+
+        // Keep the saved position moving while only other tables change
+        if (queued === 0 && changes.size === 0 &&
+            (committedPosition.file !== savedPosition.file || committedPosition.position !== savedPosition.position)) {
+            savedPosition = { ...committedPosition };
+            await saveBinlogPosition(postgresPool, source, savedPosition, null, settings.CDC_TABLE);
+        }
+
+        return { inSync, lagSeconds };
+    };
+
+    return new Promise((resolve, reject) => {
+        const lagTimer = setInterval(() => {
+            reportLag().catch(error => log.error(`❌ CDC lag check failed: ${error.message}`, { error: error.message }));
+        }, 5000);
+
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        zongji.on('binlog', onEvent);
+        zongji.on('error', error => {
+            failure = failure || error;
+            stop();
+        });
+        zongji.on('stopped', async () => {
+            clearInterval(lagTimer);
+            process.removeListener('SIGINT', stop);
+            process.removeListener('SIGTERM', stop);
+            await queue;
+
+            if (failure) {
+                log.error(`❌ CDC stopped at ${savedPosition.file}:${savedPosition.position}: ${failure.message}`, { error: failure.message, file: savedPosition.file, position: savedPosition.position });
+                reject(failure);
+                return;
+            }
+            console.log(`✅ CDC stopped at ${savedPosition.file}:${savedPosition.position}`);
+            resolve({ source, position: savedPosition, ...stats });
+        });
+
+        zongji.start({
+            serverId: settings.CDC_SERVER_ID,
+            filename: start.file,
+            position: start.position,
+            includeEvents: ['rotate', 'tablemap', 'writerows', 'updaterows', 'deleterows', 'xid', 'query'],
+            includeSchema: { [source]: [...tables.keys()] }
+        });
+    });
+};
+
+module.exports = {
+    getBinlogPosition,
+    recordSnapshotPosition,
+    loadBinlogPosition,
+    prepareCdcTables,
+    tailBinlog
+};
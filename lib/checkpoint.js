@@ -0,0 +1,215 @@
+const { postgresPool } = require('../config/database');
+
+// Control tables already created in this process
+const ensuredTables = new Set();
+
+// Function to create the checkpoint control table in PostgreSQL if needed
+const ensureCheckpointTable = async (checkpointTable) => {
+    if (ensuredTables.has(checkpointTable)) return;
+
+    await postgresPool.query(`
+        CREATE TABLE IF NOT EXISTS ${checkpointTable} (
+            table_name     TEXT PRIMARY KEY,
+            status         TEXT NOT NULL,
+            key_columns    JSONB NOT NULL DEFAULT '[]',
+            last_key       JSONB,
+            rows_copied    BIGINT NOT NULL DEFAULT 0,
+            batches_copied INTEGER NOT NULL DEFAULT 0,
+            failed_ranges  JSONB NOT NULL DEFAULT '[]',
+            started_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+            updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+    `);
+    // Added with parallel range copies; control tables from earlier runs get it here
+    await postgresPool.query(`ALTER TABLE ${checkpointTable} ADD COLUMN IF NOT EXISTS key_range JSONB`);
+    // Added with append / upsert loading (rows the table held before the copy)
+    await postgresPool.query(`ALTER TABLE ${checkpointTable} ADD COLUMN IF NOT EXISTS table_setup JSONB`);
+    ensuredTables.add(checkpointTable);
+};
+
+// Function to make key values JSON safe while keeping their MySQL types
+const serializeKey = (key) => {
+    if (!key) return null;
+
+    return Object.fromEntries(Object.entries(key).map(([column, value]) => {
+        if (value instanceof Date) return [column, { type: 'date', value: value.toISOString() }];
+        if (Buffer.isBuffer(value)) return [column, { type: 'buffer', value: value.toString('hex') }];
+        if (typeof value === 'bigint') return [column, { type: 'bigint', value: value.toString() }];
+        return [column, { type: 'value', value }];
+    }));
+};
+
+// Function to restore key values saved by serializeKey
+const deserializeKey = (key) => {
+    if (!key) return null;
+
+    return Object.fromEntries(Object.entries(key).map(([column, { type, value }]) => {
+        if (type === 'date') return [column, new Date(value)];
+        if (type === 'buffer') return [column, Buffer.from(value, 'hex')];
+        if (type === 'bigint') return [column, BigInt(value)];
+        return [column, value];
+    }));
+};
+
+// Function to convert a control table row into a checkpoint object
+const toCheckpoint = (row) => ({
+    tableName: row.table_name,
+    status: row.status,
+    keyColumns: row.key_columns,
+    lastKey: deserializeKey(row.last_key),
+    rowsCopied: parseInt(row.rows_copied),
+    batchesCopied: row.batches_copied,
+    failedRanges: row.failed_ranges,
+    keyRange: row.key_range || null,
+    tableSetup: row.table_setup || null,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at
+});
+
+// Function to name the checkpoint of one key range of a table copied in parallel ranges
+const rangeCheckpointName = (tableName, index) => `${tableName}#${index + 1}`;
+
+// Function to split a range checkpoint name into its table name and range number
+const parseRangeCheckpointName = (name) => {
+    const match = name.match(/^(.*)#(\d+)$/);
+    return match ? { tableName: match[1], rangeNumber: parseInt(match[2]) } : null;
+};
+
+// Function to fold the range checkpoints of a split table into the table's checkpoint
+// (the table's own row only holds the split; rows and batches are saved per range)
+const foldRangeCheckpoints = (checkpoint, rangeCheckpoints) => {
+    const ranges = [...rangeCheckpoints].sort((a, b) =>
+        parseRangeCheckpointName(a.tableName).rangeNumber - parseRangeCheckpointName(b.tableName).rangeNumber);
+
+    return {
+        ...checkpoint,
+        rowsCopied: ranges.reduce((sum, range) => sum + range.rowsCopied, checkpoint.rowsCopied),
+        batchesCopied: ranges.reduce((sum, range) => sum + range.batchesCopied, checkpoint.batchesCopied),
+        failedRanges: ranges.reduce((all, range) => all.concat(range.failedRanges), checkpoint.failedRanges),
+        ranges
+    };
+};
+
+// Function to load the checkpoint of one table (null when there is none)
+const loadCheckpoint = async (tableName, checkpointTable) => {
+    await ensureCheckpointTable(checkpointTable);
+    const result = await postgresPool.query(
+        `SELECT * FROM ${checkpointTable} WHERE table_name = $1 OR left(table_name, length($1) + 1) = $1 || '#'`,
+        [tableName]
+    );
+
+    const checkpoints = result.rows.map(toCheckpoint);
+    const checkpoint = checkpoints.find(row => row.tableName === tableName);
+    if (!checkpoint) return null;
+
+    return checkpoint.keyRange
+        ? foldRangeCheckpoints(checkpoint, checkpoints.filter(row => {
+            const range = parseRangeCheckpointName(row.tableName);
+            return range && range.tableName === tableName;
+        }))
+        : checkpoint;
+};
+
+// Function to load all checkpoints (range checkpoints folded into their table) without creating the control table
+const loadAllCheckpoints = async (checkpointTable) => {
+    const existsResult = await postgresPool.query('SELECT to_regclass($1) AS regclass', [checkpointTable]);
+    if (existsResult.rows[0].regclass === null) return new Map();
+
+    const result = await postgresPool.query(`SELECT * FROM ${checkpointTable}`);
+    const checkpoints = new Map();
+    const rangeCheckpoints = [];
+
+    result.rows.map(toCheckpoint).forEach(checkpoint => {
+        if (parseRangeCheckpointName(checkpoint.tableName)) {
+            rangeCheckpoints.push(checkpoint);
+        } else {
+            checkpoints.set(checkpoint.tableName, checkpoint);
+        }
+    });
+
+    checkpoints.forEach((checkpoint, tableName) => {
+        if (!checkpoint.keyRange) return;
+        const ranges = rangeCheckpoints.filter(range => parseRangeCheckpointName(range.tableName).tableName === tableName);
+        checkpoints.set(tableName, foldRangeCheckpoints(checkpoint, ranges));
+    });
+
+    return checkpoints;
+};
+
+// Function to start a fresh checkpoint for a table or key range (replaces any previous one)
+// keyRange: { column, parts } on the checkpoint of a split table, { column, from, to } on each range
+// tableSetup: { action, rowsBefore } of the table setup, so a resumed copy verifies against the rows kept then
+const startCheckpoint = async (tableName, keyColumns, checkpointTable, keyRange = null, tableSetup = null) => {
+    await ensureCheckpointTable(checkpointTable);
+    await postgresPool.query(`
+        INSERT INTO ${checkpointTable} (table_name, status, key_columns, key_range, table_setup)
+        VALUES ($1, 'in_progress', $2, $3, $4)
+        ON CONFLICT (table_name) DO UPDATE SET
+            status = 'in_progress',
+            key_columns = EXCLUDED.key_columns,
+            key_range = EXCLUDED.key_range,
+            table_setup = EXCLUDED.table_setup,
+            last_key = NULL,
+            rows_copied = 0,
+            batches_copied = 0,
+            failed_ranges = '[]',
+            started_at = now(),
+            updated_at = now()
+    `, [tableName, JSON.stringify(keyColumns), keyRange ? JSON.stringify(keyRange) : null, tableSetup ? JSON.stringify(tableSetup) : null]);
+};
+
+// Function to remove the range checkpoints a previous split copy of a table left behind
+const clearRangeCheckpoints = async (tableName, checkpointTable) => {
+    await ensureCheckpointTable(checkpointTable);
+    await postgresPool.query(
+        `DELETE FROM ${checkpointTable} WHERE left(table_name, length($1) + 1) = $1 || '#'`,
+        [tableName]
+    );
+};
+
+// Function to advance the checkpoint; runs on the loader's client inside the batch transaction
+const saveCheckpoint = async (client, tableName, lastKey, rowCount, checkpointTable) => {
+    await client.query(`
+        UPDATE ${checkpointTable}
+        SET last_key = $2,
+            rows_copied = rows_copied + $3,
+            batches_copied = batches_copied + 1,
+            updated_at = now()
+        WHERE table_name = $1
+    `, [tableName, JSON.stringify(serializeKey(lastKey)), rowCount]);
+};
+
+// Function to record a range of rows that could not be copied
+const recordFailedRange = async (tableName, range, checkpointTable) => {
+    await postgresPool.query(`
+        UPDATE ${checkpointTable}
+        SET failed_ranges = failed_ranges || $2::jsonb,
+            updated_at = now()
+        WHERE table_name = $1
+    `, [tableName, JSON.stringify([{
+        ...range,
+        firstKey: serializeKey(range.firstKey),
+        lastKey: serializeKey(range.lastKey)
+    }])]);
+};
+
+// Function to mark a table as completely copied
+const completeCheckpoint = async (tableName, checkpointTable) => {
+    await postgresPool.query(`
+        UPDATE ${checkpointTable} SET status = 'completed', updated_at = now() WHERE table_name = $1
+    `, [tableName]);
+};
+
+module.exports = {
+    ensureCheckpointTable,
+    serializeKey,
+    deserializeKey,
+    loadCheckpoint,
+    loadAllCheckpoints,
+    rangeCheckpointName,
+    startCheckpoint,
+    clearRangeCheckpoints,
+    saveCheckpoint,
+    recordFailedRange,
+    completeCheckpoint
+};
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { types } = require('pg');
+const { mysqlPromisePool, postgresPool, sessionTimezone } = require('../config/database');
+const { resolveKeyColumns, buildReadOptions } = require('./source-reader');
+const { parseMySQLType, getColumnMapping, buildSelectList, createRowConverter } = require('./type-mapper');
+const { createRowSanitizer } = require('./sanitizer');
+const { quoteMySQL, pgTable, pgColumn, pgColumnList } = require('./identifiers');
+const { parseUtcOffset, parseDateTimeMicros, formatDateTimeMicros } = require('./temporal');
+const { log } = require('./logger');
+
+// Date and time values are read back from PostgreSQL as text, like they are read from MySQL
+// (pg's default Date parsing would apply the Node time zone and drop the microseconds)
+const TEXT_DATE_TYPES = [types.builtins.DATE, types.builtins.TIMESTAMP, types.builtins.TIMESTAMPTZ, types.builtins.INTERVAL];
+const TARGET_TYPES = {
+    getTypeParser: (oid, format) => (TEXT_DATE_TYPES.includes(oid) ? (value => value) : types.getTypeParser(oid, format))
+};
+
+// Function to serialize JSON with sorted keys (JSONB does not keep the key order of the document)
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+// Function to build the normalizer of a column from its PostgreSQL type, so a value read from MySQL
+// (after the copy's row conversion) and the value read back from PostgreSQL compare as the same text
+const createNormalizer = (pgType) => {
+    const baseType = pgType.replace(/\(.*$/, '').trim().toUpperCase();
+    // Timestamps compare as UTC text; text without an offset (MySQL's) is in the session time zone
+    const sessionOffset = baseType === 'TIMESTAMPTZ' ? parseUtcOffset(sessionTimezone) : 0;
+
+    return (value) => {
+        if (value === null || value === undefined) return null;
+        if (Buffer.isBuffer(value)) return value.toString('hex');
+        if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+
+        if (baseType === 'JSON' || baseType === 'JSONB') {
+            try {
+                return canonicalJson(typeof value === 'string' ? JSON.parse(value) : value);
+            } catch (error) {
+                return String(value);
+            }
+        }
+
+        if (Array.isArray(value)) return canonicalJson(value);
+        if (typeof value === 'boolean') return value ? 't' : 'f';
+        // Compare floating point values at the precision PostgreSQL stores
+        if (baseType === 'REAL') return Number(value).toPrecision(6);
+        if (baseType === 'DOUBLE PRECISION') return Number(value).toPrecision(15);
+        // MySQL strips CHAR padding, PostgreSQL returns it
+        if (baseType === 'CHAR') return String(value).replace(/ +$/, '');
+        if (baseType === 'TIMESTAMP' || baseType === 'TIMESTAMPTZ') {
+            const micros = parseDateTimeMicros(value, sessionOffset);
+            return micros === null ? String(value) : formatDateTimeMicros(micros);
+        }
+        // PostgreSQL drops trailing zeros of fractional seconds
+        if (baseType === 'TIME' || baseType === 'INTERVAL') return String(value).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+
+        return String(value);
+    };
+};
+
+const sha1 = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+// Chunks that differ are re-read this many at a time; a chunk holds STREAM_LIMIT / CHUNKS_PER_READ
+// rows on average, so a re-read holds about STREAM_LIMIT rows per side
+const CHUNKS_PER_READ = 10;
+
+// Function to build the SQL expressions that read a column as the same text from MySQL and
+// PostgreSQL when it was copied unchanged ({ mysql, postgres }; NULL stays NULL)
+const buildColumnText = (tableName, col, settings) => {
+    const mapping = getColumnMapping(tableName, col, settings);
+    const mysql = mapping.select ? mapping.select(quoteMySQL(col.Field)) : quoteMySQL(col.Field);
+    const postgres = pgColumn(tableName, col.Field, settings);
+    const baseType = mapping.type.replace(/\(.*$/, '').trim().toUpperCase();
+
+    switch (baseType) {
+        case 'BOOLEAN':
+            return { mysql: `CASE WHEN ${mysql} <> 0 THEN 't' WHEN ${mysql} = 0 THEN 'f' END`, postgres: `CASE WHEN ${postgres} THEN 't' WHEN NOT ${postgres} THEN 'f' END` };
+        case 'BIT':
+            return { mysql: `LPAD(BIN(${mysql}), ${parseMySQLType(col.Type).args[0] || 1}, '0')`, postgres: `${postgres}::text` };
+        case 'DATE':
+            return { mysql: `DATE_FORMAT(${mysql}, '%Y-%m-%d')`, postgres: `to_char(${postgres}, 'YYYY-MM-DD')` };
+        // Both sessions use the same time zone (see config/database.js)
+        case 'TIMESTAMP':
+        case 'TIMESTAMPTZ':
+            return { mysql: `DATE_FORMAT(${mysql}, '%Y-%m-%d %H:%i:%s.%f')`, postgres: `to_char(${postgres}, 'YYYY-MM-DD HH24:MI:SS.US')` };
+        case 'TIME':
+            return { mysql: `TIME_FORMAT(${mysql}, '%H:%i:%s.%f')`, postgres: `to_char(${postgres}, 'HH24:MI:SS.US')` };
+        // to_char formats every field of a negative interval with its own sign (-01:-30:00)
+        case 'INTERVAL':
+            return {
+                mysql: `TIME_FORMAT(${mysql}, '%H:%i:%s.%f')`,
+                postgres: `CASE WHEN ${postgres} < INTERVAL '0' THEN '-' || to_char(-${postgres}, 'HH24:MI:SS.US') ELSE to_char(${postgres}, 'HH24:MI:SS.US') END`
+            };
+        case 'BYTEA':
+            return { mysql: `HEX(${mysql})`, postgres: `upper(encode(${postgres}, 'hex'))` };
+        case 'TEXT[]':
+            return { mysql, postgres: `array_to_string(${postgres}, ',')` };
+        default:
+            // CHAR padding is dropped by MySQL and by the cast to text
+            return { mysql: `CAST(${mysql} AS CHAR)`, postgres: `${postgres}::text` };
+    }
+};
+
+// Function to build the integer of the first `digits` hex digits of the MD5 of column texts,
+// length-prefixed so neighbouring values cannot run into each other
+const hashExpression = {
+    mysql: (texts, digits) => `CAST(CONV(SUBSTRING(MD5(CONCAT(${texts.map(text => {
+        const value = `CONVERT(${text} USING utf8mb4)`;
+        return `COALESCE(CONCAT(CHAR_LENGTH(${value}), ':', ${value}), '-')`;
+    }).join(', ')})), 1, ${digits}), 16, 10) AS UNSIGNED)`,
+    postgres: (texts, digits) => `('x' || lpad(substr(md5(${texts
+        .map(text => `COALESCE(length(${text}) || ':' || ${text}, '-')`)
+        .join(' || ')}), 1, ${digits}), 16, '0'))::bit(64)::bigint`
+};
+
+// Function to find the columns the SQL digests leave out because the copy changes them on the way:
+// transformed columns (every non-key column when a module transform may set any of them) and columns
+// with a columnTypes override. They are still compared in the chunks that are re-read.
+const findChangedColumns = (tableName, columns, keyColumns, settings) => {
+    const transforms = Object.entries(settings.TRANSFORMS || {}).filter(([target]) => target.startsWith(`${tableName}.`));
+    if (transforms.some(([, specs]) => specs.some(spec => spec.type === 'module'))) {
+        return columns.map(col => col.Field).filter(column => !keyColumns.includes(column));
+    }
+
+    const transformed = transforms.map(([target]) => target.slice(tableName.length + 1));
+    return columns
+        .filter(col => transformed.includes(col.Field) || getColumnMapping(tableName, col, settings).overridden)
+        .map(col => col.Field);
+};
+
+// Function to compare the rows of one table between MySQL and PostgreSQL with per-chunk checksums
+// Rows are split into chunks by a hash of their key, which needs no key order, so the collations of
+// the two databases do not matter. Each database computes the row count and digest of every chunk in
+// one GROUP BY; only the rows of the chunks that differ are read and compared row by row.
+const verifyTableChecksums = async (tableName, columns, settings) => {
+    console.log(`\n🔐 Checksum verification: ${tableName}`);
+    const startTime = Date.now();
+
+    const keyColumns = await resolveKeyColumns(tableName, columns, (settings.KEY_COLUMNS || {})[tableName]);
+    if (keyColumns.length === 0) {
+        throw new Error(`${tableName} has no primary key or unique NOT NULL index to compare by; set keyColumns for it`);
+    }
+
+    const filter = (settings.SOURCE_FILTERS || {})[tableName] || null;
+    const keyIndexes = keyColumns.map(column => columns.findIndex(col => col.Field === column));
+    const normalizers = columns.map(col => createNormalizer(getColumnMapping(tableName, col, settings).type));
+    const convertRow = createRowConverter(tableName, columns, settings, keyColumns);
+    const sanitizer = createRowSanitizer(tableName, columns, settings, keyColumns);
+    const maxDiffRows = settings.VERIFY_MAX_DIFF_ROWS;
+
+    const changedColumns = findChangedColumns(tableName, columns, keyColumns, settings);
+    if (changedColumns.length > 0) {
+        console.log(`📋 ${changedColumns.join(', ')} changed by the copy: compared in the chunks re-read only`);
+    }
+
+    // Chunk of a row: a hash of its key texts; digest: the sum of its row hashes (independent of row order)
+    const texts = columns.map(col => buildColumnText(tableName, col, settings));
+    const keyTexts = keyIndexes.map(index => texts[index]);
+    const digestTexts = texts.filter((text, index) => !changedColumns.includes(columns[index].Field));
+    const sourceWhere = (condition) => {
+        const conditions = [filter, condition].filter(Boolean);
+        return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    };
+    const [[{ total }]] = await mysqlPromisePool.query(`SELECT COUNT(*) AS total FROM ${quoteMySQL(tableName)}${sourceWhere(null)}`);
+    const chunkCount = Math.max(1, Math.ceil(Number(total) / Math.max(1, Math.floor(settings.STREAM_LIMIT / CHUNKS_PER_READ))));
+    const chunkOf = {
+        mysql: `${hashExpression.mysql(keyTexts.map(text => text.mysql), 8)} % ${chunkCount}`,
+        postgres: `${hashExpression.postgres(keyTexts.map(text => text.postgres), 8)} % ${chunkCount}`
+    };
+    const [[sourceDigests], targetDigests] = await Promise.all([
+        mysqlPromisePool.query(
+            `SELECT ${chunkOf.mysql} AS chunk, COUNT(*) AS rowCount, SUM(${hashExpression.mysql(digestTexts.map(text => text.mysql), 15)}) AS digest ` +
+            `FROM ${quoteMySQL(tableName)}${sourceWhere(null)} GROUP BY chunk`
+        ),
+        postgresPool.query(
+            `SELECT ${chunkOf.postgres} AS chunk, count(*) AS "rowCount", sum(${hashExpression.postgres(digestTexts.map(text => text.postgres), 15)}) AS digest ` +
+            `FROM ${pgTable(tableName, settings)} GROUP BY 1`
+        )
+    ]);
+
+    const toDigests = (rows) => new Map(rows.map(row => [Number(row.chunk), { rows: Number(row.rowCount), digest: String(row.digest) }]));
+    const source = toDigests(sourceDigests);
+    const target = toDigests(targetDigests.rows);
+    const chunks = [...new Set([...source.keys(), ...target.keys()])].sort((a, b) => a - b);
+    const mismatched = chunks.filter(chunk => {
+        const sourceChunk = source.get(chunk);
+        const targetChunk = target.get(chunk);
+        return !sourceChunk || !targetChunk || sourceChunk.rows !== targetChunk.rows || sourceChunk.digest !== targetChunk.digest;
+    });
+
+    const summary = {
+        chunks: chunks.length,
+        mismatchedChunks: mismatched.length,
+        uncheckedChunks: 0,
+        sourceRows: [...source.values()].reduce((sum, chunk) => sum + chunk.rows, 0),
+        targetRows: [...target.values()].reduce((sum, chunk) => sum + chunk.rows, 0),
+        missingRows: 0,
+        extraRows: 0,
+        differentRows: 0
+    };
+    const diffs = [];
+
+    const toEntries = (rows, getValues) => {
+        const entries = new Map();
+        rows.forEach(row => {
+            const values = getValues(row).map((value, index) => normalizers[index](value));
+            const keyValues = keyIndexes.map(index => values[index]);
+            entries.set(JSON.stringify(keyValues), { keyValues, values, hash: sha1(JSON.stringify(values)) });
+        });
+        return entries;
+    };
+
+    const describeKey = (entry) => Object.fromEntries(keyColumns.map((column, index) => [column, entry.keyValues[index]]));
+    const describeRow = (values) => Object.fromEntries(columns.map((col, index) => [col.Field, values[index]]));
+
+    const recordDiff = (status, diff) => {
+        summary[`${status}Rows`]++;
+        if (diffs.length < maxDiffRows) diffs.push({ status, ...diff });
+    };
+
+    const compareRows = (sourceEntry, targetEntry) => {
+        if (sourceEntry.hash === targetEntry.hash) return;
+        const differences = columns
+            .map((col, index) => ({ column: col.Field, mysql: sourceEntry.values[index], postgres: targetEntry.values[index] }))
+            .filter(difference => difference.mysql !== difference.postgres);
+        recordDiff('different', { key: describeKey(sourceEntry), columns: differences });
+    };
+
+    // Re-read the rows of the differing chunks until the diff report is full; the chunks left
+    // are counted as unchecked rather than guessed at
+    const readOptions = buildReadOptions(columns, keyColumns);
+    const selectList = buildSelectList(tableName, columns, settings);
+    let lastProgressTime = Date.now();
+
+    for (let index = 0; index < mismatched.length; index += CHUNKS_PER_READ) {
+        if (diffs.length >= maxDiffRows) {
+            summary.uncheckedChunks = mismatched.length - index;
+            break;
+        }
+
+        const group = mismatched.slice(index, index + CHUNKS_PER_READ).join(', ');
+        const [[sourceRows], targetRows] = await Promise.all([
+            mysqlPromisePool.query({ sql: `SELECT ${selectList} FROM ${quoteMySQL(tableName)}${sourceWhere(`${chunkOf.mysql} IN (${group})`)}`, ...readOptions }),
+            postgresPool.query({
+                text: `SELECT ${pgColumnList(tableName, columns.map(col => col.Field), settings)} FROM ${pgTable(tableName, settings)} ` +
+                    `WHERE ${chunkOf.postgres} IN (${group})`,
+                rowMode: 'array',
+                types: TARGET_TYPES
+            })
+        ]);
+
+        // Rows the copy rejected while sanitizing are not expected in PostgreSQL
+        const rows = sourceRows.filter(row => sanitizer.sanitize(row) === null).map(convertRow);
+        summary.sourceRows -= sourceRows.length - rows.length;
+
+        const sourceEntries = toEntries(rows, row => columns.map(col => row[col.Field]));
+        const targetEntries = toEntries(targetRows.rows, row => row);
+        sourceEntries.forEach((sourceEntry, rowKey) => {
+            const targetEntry = targetEntries.get(rowKey);
+            if (targetEntry) {
+                targetEntries.delete(rowKey);
+                compareRows(sourceEntry, targetEntry);
+            } else {
+                recordDiff('missing', { key: describeKey(sourceEntry), mysql: describeRow(sourceEntry.values) });
+            }
+        });
+        targetEntries.forEach(targetEntry => recordDiff('extra', { key: describeKey(targetEntry), postgres: describeRow(targetEntry.values) }));
+
+        if (Date.now() - lastProgressTime > 5000) {
+            console.log(`📈 Re-read ${Math.min(index + CHUNKS_PER_READ, mismatched.length)}/${mismatched.length} differing chunks`);
+            lastProgressTime = Date.now();
+        }
+    }
+
+    const match = summary.missingRows === 0 && summary.extraRows === 0 && summary.differentRows === 0 && summary.uncheckedChunks === 0;
+    const reportPath = path.resolve(settings.VERIFY_DIR, `${tableName}.json`);
+
+    if (match) {
+        await fs.promises.rm(reportPath, { force: true });
+        console.log(`✅ ${tableName}: ${summary.sourceRows.toLocaleString()} rows identical in ${summary.chunks} chunks`);
+    } else {
+        await fs.promises.mkdir(path.dirname(reportPath), { recursive: true });
+        await fs.promises.writeFile(reportPath, JSON.stringify({
+            table: tableName,
+            keyColumns,
+            checkedAt: new Date().toISOString(),
+            ...summary,
+            truncated: summary.uncheckedChunks > 0 || diffs.length < summary.missingRows + summary.extraRows + summary.differentRows,
+            rows: diffs
+        }, null, 2));
+
+        log.warn(`⚠️  ${tableName}: ${summary.mismatchedChunks}/${summary.chunks} chunks differ - ` +
+            `${summary.missingRows} missing, ${summary.extraRows} extra, ${summary.differentRows} different rows` +
+            (summary.uncheckedChunks > 0 ? ` (${summary.uncheckedChunks} chunks not re-read, the diff report is full)` : ''),
+            { missingRows: summary.missingRows, extraRows: summary.extraRows, differentRows: summary.differentRows });
+        console.log(`📝 Diff report: ${reportPath}`);
+    }
+
+    return {
+        tableName,
+        mode: 'checksum',
+        ...summary,
+        mysqlCount: summary.sourceRows,
+        postgresCount: summary.targetRows,
+        match,
+        reportPath: match ? null : reportPath,
+        duration: Date.now() - startTime
+    };
+};
+
+module.exports = {
+    canonicalJson,
+    createNormalizer,
+    verifyTableChecksums
+};
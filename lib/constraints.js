@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { mysqlPromisePool, postgresPool } = require('../config/database');
+const { getColumnMapping } = require('./type-mapper');
+const { quotePostgres, pgTable, pgColumn, pgColumnList, targetTableName } = require('./identifiers');
+const { log } = require('./logger');
+
+// PostgreSQL truncates identifiers longer than 63 bytes
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// Function to build a PostgreSQL object name that stays unique when it has to be shortened
+const buildObjectName = (...parts) => {
+    const name = parts.join('_').toLowerCase();
+    if (Buffer.byteLength(name) <= MAX_IDENTIFIER_LENGTH) return name;
+
+    const hash = crypto.createHash('md5').update(name).digest('hex').slice(0, 8);
+    return `${name.slice(0, MAX_IDENTIFIER_LENGTH - 9)}_${hash}`;
+};
+
+// Function to get all indexes of a MySQL table (except the primary key) grouped by index
+const getTableIndexes = async (tableName) => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT
+            index_name AS indexName,
+            non_unique AS nonUnique,
+            column_name AS columnName,
+            sub_part AS subPart,
+            collation AS collation,
+            index_type AS indexType
+        FROM information_schema.statistics
+        WHERE table_schema = DATABASE() AND table_name = ? AND index_name <> 'PRIMARY'
+        ORDER BY index_name, seq_in_index
+    `, [tableName]);
+
+    const indexes = new Map();
+    rows.forEach(row => {
+        if (!indexes.has(row.indexName)) {
+            indexes.set(row.indexName, {
+                name: row.indexName,
+                unique: Number(row.nonUnique) === 0,
+                type: row.indexType,
+                parts: []
+            });
+        }
+        indexes.get(row.indexName).parts.push({
+            column: row.columnName, // NULL for functional index parts
+            prefixLength: row.subPart,
+            descending: row.collation === 'D'
+        });
+    });
+
+    return [...indexes.values()];
+};
+
+// Function to get the foreign keys of a MySQL table grouped by constraint
+const getTableForeignKeys = async (tableName) => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT
+            kcu.constraint_name AS constraintName,
+            kcu.column_name AS columnName,
+            kcu.referenced_table_schema AS referencedSchema,
+            kcu.referenced_table_name AS referencedTable,
+            kcu.referenced_column_name AS referencedColumn,
+            rc.update_rule AS updateRule,
+            rc.delete_rule AS deleteRule
+        FROM information_schema.key_column_usage kcu
+        JOIN information_schema.referential_constraints rc
+            ON rc.constraint_schema = kcu.constraint_schema
+           AND rc.constraint_name = kcu.constraint_name
+           AND rc.table_name = kcu.table_name
+        WHERE kcu.table_schema = DATABASE() AND kcu.table_name = ? AND kcu.referenced_table_name IS NOT NULL
+        ORDER BY kcu.constraint_name, kcu.ordinal_position
+    `, [tableName]);
+
+    const foreignKeys = new Map();
+    rows.forEach(row => {
+        if (!foreignKeys.has(row.constraintName)) {
+            foreignKeys.set(row.constraintName, {
+                name: row.constraintName,
+                referencedSchema: row.referencedSchema,
+                referencedTable: row.referencedTable,
+                columns: [],
+                referencedColumns: [],
+                onUpdate: row.updateRule,
+                onDelete: row.deleteRule
+            });
+        }
+        const foreignKey = foreignKeys.get(row.constraintName);
+        foreignKey.columns.push(row.columnName);
+        foreignKey.referencedColumns.push(row.referencedColumn);
+    });
+
+    return [...foreignKeys.values()];
+};
+
+// Function to translate one index part; prefix parts become expressions so long values
+// cannot exceed the btree row limit and prefix uniqueness keeps its meaning
+const buildIndexPart = (tableName, part, pgTypes, settings) => {
+    const column = pgColumn(tableName, part.column, settings);
+    let expression = column;
+    if (part.prefixLength) {
+        expression = pgTypes[part.column] === 'BYTEA'
+            ? `(substring(${column} from 1 for ${part.prefixLength}))`
+            : `(left(${column}, ${part.prefixLength}))`;
+    }
+    return part.descending ? `${expression} DESC` : expression;
+};
+
+// Function to build the post-load index statements of a table
+// Returns { statements: [{ name, sql, constraintName? }], report: [{ table, object, status, detail }] }
+const buildIndexStatements = (tableName, indexes, columns, settings = {}) => {
+    const statements = [];
+    const report = [];
+    const pgTypes = Object.fromEntries(columns.map(col => [col.Field, getColumnMapping(tableName, col, settings).type]));
+    const textSearchConfig = settings.FULLTEXT_CONFIG || 'simple';
+    const table = pgTable(tableName, settings);
+
+    indexes.forEach(index => {
+        const name = buildObjectName(targetTableName(tableName, settings), index.name);
+
+        if (index.parts.some(part => part.column === null)) {
+            report.push({ table: tableName, object: index.name, status: 'skipped', detail: 'functional index: recreate it manually' });
+            return;
+        }
+
+        if (index.type === 'SPATIAL') {
+            report.push({ table: tableName, object: index.name, status: 'skipped', detail: 'SPATIAL index needs PostGIS geometry columns' });
+            return;
+        }
+
+        if (index.type === 'FULLTEXT') {
+            const document = index.parts.map(part => `coalesce(${pgColumn(tableName, part.column, settings)}, '')`).join(` || ' ' || `);
+            statements.push({
+                name: index.name,
+                sql: `CREATE INDEX IF NOT EXISTS ${quotePostgres(name)} ON ${table} USING GIN (to_tsvector('${textSearchConfig}', ${document}))`
+            });
+            report.push({
+                table: tableName,
+                object: index.name,
+                status: 'translated',
+                detail: `FULLTEXT → GIN on to_tsvector('${textSearchConfig}', ...); MATCH ... AGAINST queries must use @@`
+            });
+            return;
+        }
+
+        const parts = index.parts.map(part => buildIndexPart(tableName, part, pgTypes, settings)).join(', ');
+        const isPlainUnique = index.unique && index.parts.every(part => !part.prefixLength && !part.descending);
+
+        if (isPlainUnique) {
+            statements.push({
+                name: index.name,
+                constraintName: name,
+                sql: `ALTER TABLE ${table} ADD CONSTRAINT ${quotePostgres(name)} UNIQUE (${parts})`
+            });
+        } else {
+            statements.push({
+                name: index.name,
+                sql: `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${quotePostgres(name)} ON ${table} (${parts})`
+            });
+        }
+
+        if (index.parts.some(part => part.prefixLength)) {
+            report.push({ table: tableName, object: index.name, status: 'translated', detail: 'prefix index → expression index on the prefix' });
+        }
+    });
+
+    return { statements, report };
+};
+
+// Function to build the foreign key statements of a table
+// availableTables: MySQL names of the tables that exist (or will exist) in PostgreSQL
+const buildForeignKeyStatements = (tableName, foreignKeys, availableTables, settings = {}) => {
+    const statements = [];
+    const report = [];
+
+    foreignKeys.forEach(foreignKey => {
+        if (!availableTables.has(foreignKey.referencedTable)) {
+            report.push({
+                table: tableName,
+                object: foreignKey.name,
+                status: 'skipped',
+                detail: `references ${foreignKey.referencedSchema}.${foreignKey.referencedTable}, which is not part of this run`
+            });
+            return;
+        }
+
+        const constraintName = buildObjectName(foreignKey.name);
+        statements.push({
+            name: foreignKey.name,
+            constraintName,
+            sql: `ALTER TABLE ${pgTable(tableName, settings)} ADD CONSTRAINT ${quotePostgres(constraintName)} ` +
+                `FOREIGN KEY (${pgColumnList(tableName, foreignKey.columns, settings)}) ` +
+                `REFERENCES ${pgTable(foreignKey.referencedTable, settings)} ` +
+                `(${pgColumnList(foreignKey.referencedTable, foreignKey.referencedColumns, settings)}) ` +
+                `ON UPDATE ${foreignKey.onUpdate} ON DELETE ${foreignKey.onDelete} ` +
+                // Deferrable so CDC can apply a transaction's rows table by table
+                'DEFERRABLE INITIALLY IMMEDIATE'
+        });
+    });
+
+    return { statements, report };
+};
+
+// Function to check whether a constraint already exists on the PostgreSQL table of a MySQL table
+const constraintExists = async (tableName, constraintName, settings) => {
+    const result = await postgresPool.query(
+        'SELECT 1 FROM pg_constraint WHERE conrelid = to_regclass($1::text) AND conname = $2',
+        [pgTable(tableName, settings), constraintName]
+    );
+    return result.rows.length > 0;
+};
+
+// Function to run index/constraint statements, skipping constraints that already exist (resumed runs)
+const executeStatements = async (tableName, statements, report, settings = {}) => {
+    for (const statement of statements) {
+        if (statement.constraintName && await constraintExists(tableName, statement.constraintName, settings)) {
+            continue;
+        }
+
+        try {
+            await postgresPool.query(statement.sql);
+            console.log(`   ✅ ${statement.sql}`);
+        } catch (error) {
+            log.error(`   ❌ ${statement.sql}: ${error.message}`, { error: error.message });
+            report.push({ table: tableName, object: statement.name, status: 'failed', detail: error.message });
+        }
+    }
+};
+
+// Function to print the index / constraint report lines that need attention
+const printConstraintReport = (report) => {
+    const icons = { translated: '🔁', skipped: '⚠️ ', failed: '❌' };
+    report.forEach(entry => {
+        console.log(`   ${icons[entry.status]} ${entry.table}.${entry.object} (${entry.status}): ${entry.detail}`);
+    });
+};
+
+// Function to create the secondary indexes and UNIQUE constraints of a table after its data load
+const createTableIndexes = async (tableName, columns, settings) => {
+    console.log(`\n🗂️  Creating indexes for: ${tableName}`);
+    const indexes = await getTableIndexes(tableName);
+    const { statements, report } = buildIndexStatements(tableName, indexes, columns, settings);
+
+    await executeStatements(tableName, statements, report, settings);
+    printConstraintReport(report);
+
+    return report;
+};
+
+// Function to create the foreign keys of the given tables once all of them are loaded
+const createForeignKeys = async (tables, settings = {}) => {
+    console.log('\n🔗 Creating foreign keys...');
+    const availableTables = new Set(tables);
+    const report = [];
+
+    for (const tableName of tables) {
+        const foreignKeys = await getTableForeignKeys(tableName);
+        const built = buildForeignKeyStatements(tableName, foreignKeys, availableTables, settings);
+        report.push(...built.report);
+        await executeStatements(tableName, built.statements, report, settings);
+    }
+
+    printConstraintReport(report);
+    return report;
+};
+
+module.exports = {
+    buildObjectName,
+    getTableIndexes,
+    getTableForeignKeys,
+    buildIndexStatements,
+    buildForeignKeyStatements,
+    createTableIndexes,
+    createForeignKeys
+};
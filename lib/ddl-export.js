@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { mysqlPromisePool } = require('../config/database');
+
+// Copy throughput assumed for estimates (records/second, as in the copy's large table banner)
+const ESTIMATED_ROWS_PER_SECOND = 5000;
+
+// Function to get row and size estimates of every table from information_schema (no COUNT(*) scans)
+const getTableEstimates = async () => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT
+            table_name AS tableName,
+            table_rows AS estimatedRows,
+            ROUND(((data_length + index_length) / 1024 / 1024), 2) AS sizeMb
+        FROM information_schema.tables
+        WHERE table_schema = DATABASE()
+    `);
+
+    return new Map(rows.map(row => [row.tableName, {
+        estimatedRows: Number(row.estimatedRows) || 0,
+        sizeMb: Number(row.sizeMb) || 0
+    }]));
+};
+
+// Function to estimate the copy of the given tables
+const estimateCopy = (tables, estimates) => {
+    return tables.map(tableName => {
+        const { estimatedRows, sizeMb } = estimates.get(tableName) || { estimatedRows: 0, sizeMb: 0 };
+        return {
+            tableName,
+            estimatedRows,
+            sizeMb,
+            estimatedSeconds: Math.ceil(estimatedRows / ESTIMATED_ROWS_PER_SECOND)
+        };
+    });
+};
+
+// Function to render one section of the script, one statement per paragraph
+const renderSection = (title, statements) => {
+    if (statements.length === 0) return [];
+    return [`-- ${'='.repeat(60)}`, `-- ${title}`, `-- ${'='.repeat(60)}`, '', ...statements.map(sql => `${sql};\n`)];
+};
+
+// Function to render the ordered schema script:
+// tables (parents first), then indexes and UNIQUE constraints, foreign keys, sequence setup and the
+// translated routines, views and triggers, the order a live run applies them in
+// definitions: [{ tableName, drop, create, indexes, foreignKeys, sequences, report }]
+// createSchema: statement creating the target schema (null when the tables go to public)
+// objects: translated views, routines and triggers (see buildObjectStatements in schema-objects.js)
+const renderSchemaScript = (definitions, estimate, createSchema = null, objects = { definitions: [], report: [] }, generatedAt = new Date()) => {
+    const totalRows = estimate.reduce((sum, table) => sum + table.estimatedRows, 0);
+    const totalSeconds = estimate.reduce((sum, table) => sum + table.estimatedSeconds, 0);
+    const report = definitions.flatMap(definition => definition.report);
+
+    const lines = [
+        '-- MySQL → PostgreSQL schema (generated by db-migrate --dry-run)',
+        `-- Generated: ${generatedAt.toISOString()}`,
+        `-- Tables: ${definitions.length}`,
+        `-- Estimated copy: ~${totalRows.toLocaleString()} rows, ~${totalSeconds.toLocaleString()}s at ${ESTIMATED_ROWS_PER_SECOND.toLocaleString()} rows/s`,
+        '--',
+        ...estimate.map(table => `--   ${table.tableName}: ~${table.estimatedRows.toLocaleString()} rows, ${table.sizeMb}MB, ~${table.estimatedSeconds}s`),
+        ''
+    ];
+
+    if (report.length > 0) {
+        lines.push('-- Indexes and constraints needing attention:');
+        report.forEach(entry => lines.push(`--   ${entry.table}.${entry.object} (${entry.status}): ${entry.detail}`));
+        lines.push('');
+    }
+
+    const manualObjects = objects.report.filter(entry => entry.status === 'manual');
+    if (manualObjects.length > 0) {
+        lines.push('-- Views, routines and triggers needing manual work (not in this script):');
+        manualObjects.forEach(entry => lines.push(`--   ${[entry.table, entry.object].filter(Boolean).join('.')}: ${entry.detail}`));
+        lines.push('');
+    }
+
+    lines.push('BEGIN;', '');
+    lines.push(...renderSection('Schema', createSchema ? [createSchema] : []));
+    lines.push(...renderSection('Tables', definitions.flatMap(definition => [definition.drop, definition.create]).filter(Boolean)));
+    lines.push(...renderSection('Indexes and UNIQUE constraints (a live run builds these after the data load)',
+        definitions.flatMap(definition => definition.indexes.map(statement => statement.sql))));
+    lines.push(...renderSection('Foreign keys',
+        definitions.flatMap(definition => definition.foreignKeys.map(statement => statement.sql))));
+    lines.push(...renderSection('Sequences (run again after loading data to move past the copied ids)',
+        definitions.flatMap(definition => definition.sequences)));
+    lines.push(...renderSection('Routines, views and triggers (a live run creates these after the data load)',
+        objects.definitions.flatMap(definition => definition.statements)));
+    lines.push('COMMIT;', '');
+
+    return lines.join('\n');
+};
+
+// Function to write the schema script, creating its directory if needed
+const writeSchemaScript = async (filePath, script) => {
+    const resolvedPath = path.resolve(filePath);
+    await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+    await fs.promises.writeFile(resolvedPath, script);
+    return resolvedPath;
+};
+
+module.exports = {
+    ESTIMATED_ROWS_PER_SECOND,
+    getTableEstimates,
+    estimateCopy,
+    renderSchemaScript,
+    writeSchemaScript
+};
@@ -0,0 +1,79 @@
+// Function to quote a MySQL identifier (reserved words and odd characters included)
+const quoteMySQL = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+// Function to quote a PostgreSQL identifier; quoted names keep their case
+const quotePostgres = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// Function to convert camelCase / PascalCase / odd characters to snake_case
+const toSnakeCase = (name) => name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+
+// How MySQL names become PostgreSQL names (settings.NAME_CASE); 'lower' matches what PostgreSQL
+// does to unquoted names, so existing queries keep working
+const NAME_CASES = {
+    lower: (name) => name.toLowerCase(),
+    snake: toSnakeCase,
+    preserve: (name) => name
+};
+
+// Function to apply NAME_CASE to a MySQL name (tables and columns also have renames, see below)
+const applyNameCase = (name, settings) => NAME_CASES[settings.NAME_CASE || 'lower'](name);
+
+// Function to get the PostgreSQL name of a MySQL table (TABLE_NAMES renames first, then NAME_CASE)
+const targetTableName = (tableName, settings = {}) => {
+    return (settings.TABLE_NAMES || {})[tableName] || applyNameCase(tableName, settings);
+};
+
+// Function to get the PostgreSQL name of a MySQL column (COLUMN_NAMES "table.column" renames first, then NAME_CASE)
+const targetColumnName = (tableName, column, settings = {}) => {
+    return (settings.COLUMN_NAMES || {})[`${tableName}.${column}`] || applyNameCase(column, settings);
+};
+
+// Function to get the target schema (settings.TARGET_SCHEMA, default public)
+const targetSchema = (settings = {}) => settings.TARGET_SCHEMA || 'public';
+
+// Function to get the quoted, schema-qualified PostgreSQL table of a MySQL table
+// (also valid as the text argument of to_regclass() and pg_get_serial_sequence())
+const pgTable = (tableName, settings = {}) => {
+    return `${quotePostgres(targetSchema(settings))}.${quotePostgres(targetTableName(tableName, settings))}`;
+};
+
+// Function to get the quoted PostgreSQL column of a MySQL column
+const pgColumn = (tableName, column, settings = {}) => quotePostgres(targetColumnName(tableName, column, settings));
+
+// Function to get the quoted PostgreSQL column list for MySQL column names
+const pgColumnList = (tableName, columnNames, settings = {}) => {
+    return columnNames.map(column => pgColumn(tableName, column, settings)).join(', ');
+};
+
+// Function to check that no two MySQL names map to the same PostgreSQL name
+// names: MySQL names, toTarget: name -> PostgreSQL name, what: description for the error
+const assertUniqueTargetNames = (names, toTarget, what) => {
+    const seen = new Map();
+    names.forEach(name => {
+        const target = toTarget(name);
+        if (seen.has(target)) {
+            throw new Error(`${what} ${seen.get(target)} and ${name} both map to ${target} in PostgreSQL; rename one of them`);
+        }
+        seen.set(target, name);
+    });
+};
+
+module.exports = {
+    NAME_CASES,
+    quoteMySQL,
+    quotePostgres,
+    toSnakeCase,
+    applyNameCase,
+    targetTableName,
+    targetColumnName,
+    targetSchema,
+    pgTable,
+    pgColumn,
+    pgColumnList,
+    assertUniqueTargetNames
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const { mysqlPool, postgresPool } = require('../config/database');
+const { ConfigError, validateConfig } = require('./migration-config');
+const { loadAllCheckpoints } = require('./checkpoint');
+const { createJob, updateJob, loadJob, listJobs, markInterruptedJobs } = require('./jobs');
+const { log } = require('./logger');
+
+// Error raised for job requests that cannot be served; statusCode is the HTTP status to answer with
+class JobError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'JobError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Options a job cannot set: raw SQL run on the databases, and paths on the server that files are written to
+const CLI_ONLY_OPTIONS = {
+    COLUMN_TYPES: 'columnTypes',
+    FILTERS: 'filters',
+    DDL_FILE: 'ddlFile',
+    ASSESSMENT_FILE: 'assessmentFile',
+    REJECTS_DIR: 'rejectsDir',
+    VERIFY_DIR: 'verifyDir',
+    REPORT_DIR: 'reportDir'
+};
+
+// Function to validate the tables and options of a job request into copy settings
+// Options use the config file keys (batchSize, loader, resume, ...); connections are fixed by the server
+const buildJobSettings = ({ tables, options = {} }) => {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new ConfigError('options must be an object');
+    }
+
+    const { settings, connections } = validateConfig(options, 'options');
+    if (Object.values(connections).some(connection => Object.keys(connection).length > 0)) {
+        throw new ConfigError('connection settings come from the server environment and cannot be set per job');
+    }
+    if (settings.CDC) {
+        throw new ConfigError('cdc runs until stopped and is not available as a job; use the cdc command');
+    }
+    // Logging is set up once for the whole server process
+    if (settings.LOG_FORMAT || settings.LOG_LEVEL) {
+        throw new ConfigError('logFormat and logLevel are set for the server (LOG_FORMAT / LOG_LEVEL) and cannot be set per job');
+    }
+    // A module transform runs any file on the server, so it is not accepted over HTTP
+    if (Object.values(settings.TRANSFORMS || {}).some(specs => specs.some(spec => spec.type === 'module'))) {
+        throw new ConfigError('module transforms can only be used from the CLI');
+    }
+    const cliOnly = Object.keys(CLI_ONLY_OPTIONS).filter(key => settings[key] !== undefined);
+    if (cliOnly.length > 0) {
+        throw new ConfigError(`${cliOnly.map(key => CLI_ONLY_OPTIONS[key]).join(', ')} can only be used from the CLI`);
+    }
+
+    if (tables !== undefined) {
+        settings.INCLUDE_TABLES = validateConfig({ include: tables }, 'tables').settings.INCLUDE_TABLES;
+    }
+
+    // The pools were sized when the server started, so a job cannot ask for more workers than they hold
+    const workers = (settings.CONCURRENCY || 1) * (settings.RANGE_WORKERS || 1);
+    const poolSize = Math.min(mysqlPool.config.connectionLimit, postgresPool.options.max);
+    if (workers + 2 > poolSize) {
+        throw new ConfigError(`concurrency × rangeWorkers needs ${workers + 2} connections but the pools hold ${poolSize}; ` +
+            'raise MYSQL_POOL_SIZE / POSTGRES_POOL_SIZE and restart the server');
+    }
+
+    return settings;
+};
+
+// Function to describe per-table progress of a job: finished tables from its results,
+// the others from the copy checkpoints written since the job started
+const describeTableProgress = (job, checkpoints) => {
+    const results = new Map((job.results || []).map(result => [result.tableName, result]));
+
+    return job.tables.map(tableName => {
+        const result = results.get(tableName);
+        if (result) {
+            return {
+                tableName,
+                state: result.status,
+                totalRows: result.totalRows,
+                rowsCopied: result.copiedRows,
+                rejectedRows: result.rejectedRows,
+                error: result.error || null
+            };
+        }
+
+        const checkpoint = checkpoints.get(tableName);
+        if (checkpoint && job.startedAt && checkpoint.updatedAt >= job.startedAt) {
+            return {
+                tableName,
+                state: checkpoint.status === 'completed' ? 'copied' : 'copying',
+                rowsCopied: checkpoint.rowsCopied,
+                failedRanges: checkpoint.failedRanges.length,
+                keyRanges: checkpoint.ranges ? checkpoint.ranges.length : null
+            };
+        }
+
+        return { tableName, state: 'pending' };
+    });
+};
+
+// Function to map copy results to a job status (the same rules as the CLI exit codes)
+const jobStatus = (results) => {
+    if (results.some(result => result.status === 'failed')) return 'failed';
+    if (results.some(result => result.status === 'partial')) return 'partial';
+    return 'succeeded';
+};
+
+// Function to create the runner that executes migration jobs in the background
+// migration: the copy-table-mysql-to-postgres module; jobs are stored in jobsTable
+const createJobRunner = (migration, jobsTable) => {
+    // Jobs running in this process and the controllers that cancel them
+    const running = new Map();
+
+    // Function to execute a job; every state change is stored so it outlives the process
+    const execute = async (job, settings, controller) => {
+        try {
+            await updateJob(jobsTable, job.id, { status: 'running', startedAt: new Date() });
+            const tables = await migration.resolveTables(settings);
+            await updateJob(jobsTable, job.id, { tables });
+
+            // The job id is the run id of its logs and run report
+            const runSettings = { ...settings, INCLUDE_TABLES: tables, SIGNAL: controller.signal, RUN_ID: job.id };
+            if (settings.DRY_RUN) {
+                const exported = await migration.exportDatabaseSchema(runSettings);
+                await updateJob(jobsTable, job.id, { status: 'succeeded', results: exported, finishedAt: new Date() });
+                return;
+            }
+
+            const results = await migration.copyDatabase(runSettings);
+            await updateJob(jobsTable, job.id, {
+                status: controller.signal.aborted ? 'cancelled' : jobStatus(results),
+                results,
+                finishedAt: new Date()
+            });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                console.log(`🛑 Migration job ${job.id} cancelled`);
+            } else {
+                log.error(`❌ Migration job ${job.id} failed: ${error.message}`, { error: error.message });
+            }
+            await updateJob(jobsTable, job.id, {
+                status: controller.signal.aborted ? 'cancelled' : 'failed',
+                error: error.message,
+                finishedAt: new Date()
+            });
+        } finally {
+            running.delete(job.id);
+        }
+    };
+
+    return {
+        // Function to mark jobs left running by a previous server process as interrupted
+        recover: async () => {
+            const interrupted = await markInterruptedJobs(jobsTable);
+            if (interrupted.length > 0) {
+                log.warn(`⚠️  Marked ${interrupted.length} migration job(s) interrupted by the last shutdown`);
+            }
+        },
+
+        // Function to start a job in the background; one job runs at a time
+        start: async (request) => {
+            const settings = buildJobSettings(request);
+            if (running.size > 0) {
+                throw new JobError(`Migration job ${[...running.keys()][0]} is still running`, 409);
+            }
+
+            // The slot is taken before the first await, so two requests cannot both start a job
+            const id = crypto.randomUUID();
+            const controller = new AbortController();
+            running.set(id, controller);
+
+            let job;
+            try {
+                job = await createJob(jobsTable, { id, tables: settings.INCLUDE_TABLES || [], options: request.options || {} });
+            } catch (error) {
+                running.delete(id);
+                throw error;
+            }
+
+            console.log(`🚀 Migration job ${job.id} started`);
+            execute(job, settings, controller).catch(error => {
+                log.error(`❌ Could not record the outcome of migration job ${job.id}: ${error.message}`, { error: error.message });
+            });
+
+            return job;
+        },
+
+        // Function to get a job with its per-table progress
+        get: async (id) => {
+            const job = await loadJob(jobsTable, id);
+            if (!job) throw new JobError(`Migration job ${id} not found`, 404);
+
+            const { settings } = validateConfig(job.options, 'options');
+            const checkpoints = await loadAllCheckpoints(settings.CHECKPOINT_TABLE || migration.CONFIG.CHECKPOINT_TABLE);
+            return { ...job, progress: describeTableProgress(job, checkpoints) };
+        },
+
+        // Function to cancel a running job; the copy stops after its current chunk and keeps its checkpoints
+        cancel: async (id) => {
+            const job = await loadJob(jobsTable, id);
+            if (!job) throw new JobError(`Migration job ${id} not found`, 404);
+
+            const controller = running.get(id);
+            if (!controller) throw new JobError(`Migration job ${id} is ${job.status}`, 409);
+
+            // Only a job still queued or running becomes cancelling, so its final status is never overwritten
+            const cancelling = await updateJob(jobsTable, id, { status: 'cancelling' }, ['queued', 'running']);
+            controller.abort(new Error('Migration job cancelled'));
+            return cancelling || loadJob(jobsTable, id);
+        },
+
+        // Function to list past and current jobs, newest first
+        list: (limit = 50) => listJobs(jobsTable, limit)
+    };
+};
+
+module.exports = {
+    JobError,
+    buildJobSettings,
+    describeTableProgress,
+    createJobRunner
+};
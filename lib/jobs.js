@@ -0,0 +1,126 @@
+const { postgresPool } = require('../config/database');
+
+// Control tables already created in this process
+const ensuredTables = new Set();
+
+// Job fields that can be updated and their columns
+const JOB_COLUMNS = {
+    status: 'status',
+    tables: 'tables',
+    results: 'results',
+    error: 'error',
+    startedAt: 'started_at',
+    finishedAt: 'finished_at'
+};
+
+// Columns stored as JSONB
+const JSON_COLUMNS = new Set(['tables', 'options', 'results']);
+
+// Function to create the job control table in PostgreSQL if needed
+const ensureJobsTable = async (jobsTable) => {
+    if (ensuredTables.has(jobsTable)) return;
+
+    await postgresPool.query(`
+        CREATE TABLE IF NOT EXISTS ${jobsTable} (
+            id          TEXT PRIMARY KEY,
+            status      TEXT NOT NULL,
+            tables      JSONB NOT NULL DEFAULT '[]',
+            options     JSONB NOT NULL DEFAULT '{}',
+            results     JSONB,
+            error       TEXT,
+            created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+            started_at  TIMESTAMPTZ,
+            finished_at TIMESTAMPTZ,
+            updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+    `);
+    ensuredTables.add(jobsTable);
+};
+
+// Function to convert a control table row into a job object
+const toJob = (row) => ({
+    id: row.id,
+    status: row.status,
+    tables: row.tables,
+    options: row.options,
+    results: row.results,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at
+});
+
+// Function to store a new queued job
+const createJob = async (jobsTable, { id, tables, options }) => {
+    await ensureJobsTable(jobsTable);
+    const result = await postgresPool.query(`
+        INSERT INTO ${jobsTable} (id, status, tables, options)
+        VALUES ($1, 'queued', $2, $3)
+        RETURNING *
+    `, [id, JSON.stringify(tables), JSON.stringify(options)]);
+    return toJob(result.rows[0]);
+};
+
+// Function to update fields of a job (see JOB_COLUMNS)
+// onlyIfStatus: statuses the job must be in for the update to apply (null when it does not matter)
+const updateJob = async (jobsTable, id, changes, onlyIfStatus = null) => {
+    const assignments = [];
+    const params = [id];
+
+    Object.entries(changes).forEach(([field, value]) => {
+        const column = JOB_COLUMNS[field];
+        if (!column) throw new Error(`Unknown job field: ${field}`);
+        params.push(JSON_COLUMNS.has(column) ? JSON.stringify(value) : value);
+        assignments.push(`${column} = $${params.length}`);
+    });
+
+    let condition = '';
+    if (onlyIfStatus) {
+        params.push(onlyIfStatus);
+        condition = ` AND status = ANY($${params.length})`;
+    }
+
+    const result = await postgresPool.query(`
+        UPDATE ${jobsTable} SET ${assignments.join(', ')}, updated_at = now() WHERE id = $1${condition} RETURNING *
+    `, params);
+    return result.rows[0] ? toJob(result.rows[0]) : null;
+};
+
+// Function to load one job (null when there is none)
+const loadJob = async (jobsTable, id) => {
+    await ensureJobsTable(jobsTable);
+    const result = await postgresPool.query(`SELECT * FROM ${jobsTable} WHERE id = $1`, [id]);
+    return result.rows[0] ? toJob(result.rows[0]) : null;
+};
+
+// Function to list jobs, newest first
+const listJobs = async (jobsTable, limit) => {
+    await ensureJobsTable(jobsTable);
+    const result = await postgresPool.query(`SELECT * FROM ${jobsTable} ORDER BY created_at DESC LIMIT $1`, [limit]);
+    return result.rows.map(toJob);
+};
+
+// Function to mark jobs that were queued or running when the process stopped as interrupted
+const markInterruptedJobs = async (jobsTable) => {
+    await ensureJobsTable(jobsTable);
+    const result = await postgresPool.query(`
+        UPDATE ${jobsTable}
+        SET status = 'interrupted',
+            error = 'the server stopped while the job was running; start a new job with resume to continue',
+            finished_at = now(),
+            updated_at = now()
+        WHERE status IN ('queued', 'running', 'cancelling')
+        RETURNING id
+    `);
+    return result.rows.map(row => row.id);
+};
+
+module.exports = {
+    ensureJobsTable,
+    createJob,
+    updateJob,
+    loadJob,
+    listJobs,
+    markInterruptedJobs
+};
@@ -0,0 +1,130 @@
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Log levels, least serious first; messages below the configured level are dropped
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Run, table, range and batch of the code that is logging (see withLogContext)
+const logContext = new AsyncLocalStorage();
+
+// The console methods as they were before configureLogging replaced them
+const consoleMethods = {
+    log: console.log.bind(console),
+    info: console.info.bind(console),
+    debug: console.debug.bind(console),
+    warn: console.warn.bind(console),
+    error: console.error.bind(console),
+    table: console.table.bind(console)
+};
+
+// Leading emoji and spacing of the console messages; JSON messages are written without them
+const LEADING_ICONS = /^[\s\p{Extended_Pictographic}\u{FE0F}\u{200D}]+/u;
+// Separator lines (====, ####) only structure the text output
+const SEPARATOR = /^[=#-]*$/;
+
+// Function to create the id of a run: start time plus a random suffix, so ids sort by time
+const createRunId = () => `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Function to run fn with fields added to the context of every message it (and the code it awaits) logs
+const withLogContext = (fields, fn) => logContext.run({ ...(logContext.getStore() || {}), ...fields }, fn);
+
+// Function to change fields of the innermost context (e.g. the batch a copy loop is on)
+const setLogContext = (fields) => {
+    const store = logContext.getStore();
+    if (store) Object.assign(store, fields);
+};
+
+// Function to get the fields of the current log context
+const getLogContext = () => ({ ...(logContext.getStore() || {}) });
+
+// Output format and minimum level, set by configureLogging
+const output = { format: 'text', minimum: LOG_LEVELS.indexOf('info') };
+
+// Function to get the level of a console call from its method (console.log is info)
+const levelOf = (method) => (LOG_LEVELS.includes(method) ? method : 'info');
+
+const enabled = (level) => LOG_LEVELS.indexOf(level) >= output.minimum;
+
+// BigInts and Buffers (key values, rejected rows) are not JSON by themselves
+const jsonValue = (key, value) => {
+    if (typeof value === 'bigint') return value.toString();
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) return '\\x' + Buffer.from(value.data).toString('hex');
+    return value;
+};
+
+// Function to write one JSON log line: time, level, message, context fields and extra fields
+const writeJson = (level, message, extra = {}) => {
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...getLogContext(), ...extra }, jsonValue);
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(line + '\n');
+};
+
+// Function to write a message at a level: as it is in the text format, without its leading emoji
+// and with the fields in the json format (the text message should already say what the fields hold)
+const write = (level, message, fields = {}) => {
+    if (!enabled(level)) return;
+    if (output.format === 'text') {
+        consoleMethods[level === 'info' ? 'log' : level](message);
+        return;
+    }
+
+    const text = message.replace(LEADING_ICONS, '').trim();
+    if (SEPARATOR.test(text)) return;
+    writeJson(level, text, fields);
+};
+
+// Logger of the migration: log.error(message, fields) etc., the level is explicit
+const log = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+// Function to set the log level and format and route the console methods through them
+// settings: LOG_FORMAT ('text' keeps the console output as it is, 'json' writes one JSON object per line)
+// and LOG_LEVEL. Console calls of the progress output and of libraries log at the level of their
+// method (console.log is info); their context comes from withLogContext.
+const configureLogging = (settings = {}) => {
+    const format = settings.LOG_FORMAT || 'text';
+    const minimum = LOG_LEVELS.indexOf(settings.LOG_LEVEL || 'info');
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format: ${format}`);
+    if (minimum < 0) throw new Error(`Unknown log level: ${settings.LOG_LEVEL}`);
+    Object.assign(output, { format, minimum });
+
+    ['log', 'info', 'debug', 'warn', 'error'].forEach(method => {
+        console[method] = (...args) => {
+            const level = levelOf(method);
+            if (!enabled(level)) return;
+            if (format === 'text') {
+                consoleMethods[method](...args);
+                return;
+            }
+
+            const text = util.format(...args).replace(LEADING_ICONS, '').trim();
+            if (SEPARATOR.test(text)) return;
+            writeJson(level, text);
+        };
+    });
+
+    console.table = (data, properties) => {
+        if (!enabled('info')) return;
+        if (format === 'text') {
+            consoleMethods.table(data, properties);
+            return;
+        }
+        writeJson('info', 'table', { rows: data });
+    };
+};
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    createRunId,
+    withLogContext,
+    setLogContext,
+    getLogContext,
+    log,
+    configureLogging
+};
@@ -0,0 +1,136 @@
+const client = require('prom-client');
+const { mysqlPool, postgresPool } = require('../config/database');
+
+// Registry served by the /metrics endpoint (process CPU, memory and event loop metrics included)
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const tableRowsTotal = new client.Gauge({
+    name: 'migration_table_rows_total',
+    help: 'Rows in the MySQL table when its copy started',
+    labelNames: ['table'],
+    registers: [registry]
+});
+
+const tableRowsCopied = new client.Gauge({
+    name: 'migration_table_rows_copied',
+    help: 'Rows copied into the PostgreSQL table so far (resumed copies include earlier runs)',
+    labelNames: ['table'],
+    registers: [registry]
+});
+
+const tableRowsPerSecond = new client.Gauge({
+    name: 'migration_table_rows_per_second',
+    help: 'Copy speed of the table since its copy started',
+    labelNames: ['table'],
+    registers: [registry]
+});
+
+const rowsCopied = new client.Counter({
+    name: 'migration_rows_copied_total',
+    help: 'Rows copied by this process',
+    labelNames: ['table'],
+    registers: [registry]
+});
+
+const batchRetries = new client.Counter({
+    name: 'migration_batch_retries_total',
+    help: 'Failed batch attempts that were retried or isolated',
+    labelNames: ['table'],
+    registers: [registry]
+});
+
+const rowsRejected = new client.Counter({
+    name: 'migration_rows_rejected_total',
+    help: 'Rows PostgreSQL refused, written to the reject sink',
+    labelNames: ['table'],
+    registers: [registry]
+});
+
+const batchDuration = new client.Histogram({
+    name: 'migration_batch_duration_seconds',
+    help: 'Time to load one batch into PostgreSQL, checkpoint included',
+    labelNames: ['table', 'loader'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+});
+
+const throttleWait = new client.Counter({
+    name: 'migration_source_throttle_seconds_total',
+    help: 'Time copy workers waited before reading from MySQL, by reason (rate, load, quietHours)',
+    labelNames: ['reason'],
+    registers: [registry]
+});
+
+// Function to get the length of an internal queue of the mysql2 pool (null when this mysql2 version
+// keeps it elsewhere, so a mysql2 upgrade drops the series instead of failing the scrape)
+const mysqlPoolQueueLength = (field) => {
+    const queue = mysqlPool[field];
+    return queue && typeof queue.length === 'number' ? queue.length : null;
+};
+
+// Pool usage is read when Prometheus scrapes (mysql2 keeps its pool state in internal fields)
+new client.Gauge({
+    name: 'migration_pool_connections',
+    help: 'Connections of the database pools by state (size is the configured limit)',
+    labelNames: ['pool', 'state'],
+    registers: [registry],
+    collect() {
+        this.reset();
+        this.set({ pool: 'mysql', state: 'size' }, mysqlPool.config.connectionLimit);
+        [['open', '_allConnections'], ['idle', '_freeConnections'], ['waiting', '_connectionQueue']].forEach(([state, field]) => {
+            const length = mysqlPoolQueueLength(field);
+            if (length !== null) this.set({ pool: 'mysql', state }, length);
+        });
+        this.set({ pool: 'postgres', state: 'size' }, postgresPool.options.max);
+        this.set({ pool: 'postgres', state: 'open' }, postgresPool.totalCount);
+        this.set({ pool: 'postgres', state: 'idle' }, postgresPool.idleCount);
+        this.set({ pool: 'postgres', state: 'waiting' }, postgresPool.waitingCount);
+    }
+});
+
+// Function to record the start of a table copy
+const recordCopyStart = (tableName, totalRows, copiedBefore) => {
+    tableRowsTotal.set({ table: tableName }, totalRows);
+    tableRowsCopied.set({ table: tableName }, copiedBefore);
+    tableRowsPerSecond.set({ table: tableName }, 0);
+};
+
+// Function to record a loaded batch; copiedRows is the table's running total
+const recordBatch = (tableName, loader, rowCount, seconds, copiedRows) => {
+    batchDuration.observe({ table: tableName, loader }, seconds);
+    rowsCopied.inc({ table: tableName }, rowCount);
+    tableRowsCopied.set({ table: tableName }, copiedRows);
+};
+
+// Function to record the copy speed of a table
+const recordCopySpeed = (tableName, rowsPerSecond) => {
+    tableRowsPerSecond.set({ table: tableName }, rowsPerSecond);
+};
+
+// Function to record a failed batch attempt
+const recordBatchRetry = (tableName) => {
+    batchRetries.inc({ table: tableName });
+};
+
+// Function to record rows that were isolated from a failed batch (loaded and rejected ones)
+const recordIsolatedRows = (tableName, loadedRows, rejectedRows, copiedRows) => {
+    rowsCopied.inc({ table: tableName }, loadedRows);
+    rowsRejected.inc({ table: tableName }, rejectedRows);
+    tableRowsCopied.set({ table: tableName }, copiedRows);
+};
+
+// Function to record time a copy worker waited on the source throttle
+const recordThrottleWait = (reason, seconds) => {
+    throttleWait.inc({ reason }, seconds);
+};
+
+module.exports = {
+    registry,
+    recordCopyStart,
+    recordBatch,
+    recordCopySpeed,
+    recordBatchRetry,
+    recordIsolatedRows,
+    recordThrottleWait
+};
@@ -0,0 +1,431 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { TRANSFORM_TYPES, FAKERS } = require('./transforms');
+const { NAME_CASES } = require('./identifiers');
+const { SANITIZE_POLICIES } = require('./sanitizer');
+const { UTC_OFFSET_PATTERN, TIME_WINDOW_PATTERN } = require('./temporal');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+// Error raised for invalid command line flags or migration config values
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// Value parsers shared by the config file and the command line flags
+const parsers = {
+    string: (value, name) => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw new ConfigError(`${name} must be a string`);
+        }
+        return String(value);
+    },
+    positiveInteger: (value, name) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (!Number.isInteger(number) || number < 1) {
+            throw new ConfigError(`${name} must be a positive integer (got ${JSON.stringify(value)})`);
+        }
+        return number;
+    },
+    nonNegativeInteger: (value, name) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (!Number.isInteger(number) || number < 0) {
+            throw new ConfigError(`${name} must be a non-negative integer (got ${JSON.stringify(value)})`);
+        }
+        return number;
+    },
+    nonNegativeNumber: (value, name) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+            throw new ConfigError(`${name} must be a non-negative number (got ${JSON.stringify(value)})`);
+        }
+        return number;
+    },
+    port: (value, name) => {
+        const port = parsers.positiveInteger(value, name);
+        if (port > 65535) {
+            throw new ConfigError(`${name} must be a valid port number (got ${port})`);
+        }
+        return port;
+    },
+    tableList: (value, name) => {
+        const list = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+            throw new ConfigError(`${name} must be a list of table names`);
+        }
+        return list.map(item => item.trim()).filter(item => item.length > 0);
+    },
+    boolean: (value, name) => {
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        throw new ConfigError(`${name} must be true or false (got ${JSON.stringify(value)})`);
+    },
+    identifier: (value, name) => {
+        const text = parsers.string(value, name);
+        if (!/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/.test(text)) {
+            throw new ConfigError(`${name} must be a plain (optionally schema-qualified) table name`);
+        }
+        return text;
+    },
+    // 'Z' and 'UTC' are accepted for +00:00
+    utcOffset: (value, name) => {
+        const text = ['Z', 'UTC'].includes(value) ? '+00:00' : parsers.string(value, name);
+        if (!UTC_OFFSET_PATTERN.test(text)) {
+            throw new ConfigError(`${name} must be a UTC offset such as +00:00 or -05:30 (got ${JSON.stringify(value)})`);
+        }
+        return text;
+    },
+    choice: (value, name, option) => {
+        if (!option.choices.includes(value)) {
+            throw new ConfigError(`${name} must be one of ${option.choices.join(', ')} (got ${JSON.stringify(value)})`);
+        }
+        return value;
+    },
+    stringMap: (value, name) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ConfigError(`${name} must be an object`);
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, parsers.string(item, `${name}.${key}`)]));
+    },
+    columnListMap: (value, name) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ConfigError(`${name} must map table names to column lists`);
+        }
+        return Object.fromEntries(Object.entries(value).map(([tableName, columns]) => [
+            tableName,
+            parsers.tableList(columns, `${name}.${tableName}`)
+        ]));
+    },
+    percent: (value, name) => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof number !== 'number' || !(number > 0 && number <= 100)) {
+            throw new ConfigError(`${name} must be a percentage above 0 and up to 100 (got ${JSON.stringify(value)})`);
+        }
+        return number;
+    },
+    // Daily local-time windows such as '22:00-06:00' (a list, or comma separated)
+    timeWindows: (value, name) => {
+        const list = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+            throw new ConfigError(`${name} must be a list of time windows such as 22:00-06:00`);
+        }
+        return list.map(item => item.trim()).filter(item => item.length > 0).map(item => {
+            if (!TIME_WINDOW_PATTERN.test(item)) {
+                throw new ConfigError(`${name} must be time windows such as 22:00-06:00 (got ${JSON.stringify(item)})`);
+            }
+            return item;
+        });
+    },
+    // A percentage for every table ("*") or table -> percentage
+    sampleMap: (value, name) => {
+        if (typeof value === 'number' || typeof value === 'string') {
+            return { '*': parsers.percent(value, name) };
+        }
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ConfigError(`${name} must be a percentage or map table names to percentages`);
+        }
+        return Object.fromEntries(Object.entries(value).map(([tableName, percent]) => [
+            tableName,
+            parsers.percent(percent, `${name}.${tableName}`)
+        ]));
+    },
+    // Issue type -> policy, e.g. { zeroDate: 'clamp', nulBytes: 'reject' }
+    sanitizePolicies: (value, name) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ConfigError(`${name} must map issue types to policies`);
+        }
+        return Object.fromEntries(Object.entries(value).map(([issue, policy]) => {
+            if (!SANITIZE_POLICIES[issue]) {
+                throw new ConfigError(`${name}: unknown issue ${issue} (expected one of ${Object.keys(SANITIZE_POLICIES).join(', ')})`);
+            }
+            return [issue, parsers.choice(policy, `${name}.${issue}`, { choices: SANITIZE_POLICIES[issue] })];
+        }));
+    },
+    // "table.column" -> transform spec or list of specs, applied in order ("hash" is short for { type: 'hash' })
+    transformMap: (value, name) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ConfigError(`${name} must map table.column names to transforms`);
+        }
+        return Object.fromEntries(Object.entries(value).map(([target, specs]) => {
+            if (!/^[^.]+\.[^.]+$/.test(target)) {
+                throw new ConfigError(`${name}: ${target} must be written as table.column`);
+            }
+            const list = Array.isArray(specs) ? specs : [specs];
+            return [target, list.map((spec, index) => parseTransform(spec, `${name}.${target}[${index}]`))];
+        }));
+    }
+};
+
+// Function to validate one transform spec
+const parseTransform = (spec, name) => {
+    const transform = typeof spec === 'string' ? { type: spec } : spec;
+    if (transform === null || typeof transform !== 'object' || Array.isArray(transform)) {
+        throw new ConfigError(`${name} must be a transform name or object`);
+    }
+    const type = parsers.choice(transform.type, `${name}.type`, { choices: TRANSFORM_TYPES });
+
+    switch (type) {
+        case 'hash':
+            return {
+                type,
+                salt: transform.salt === undefined ? '' : parsers.string(transform.salt, `${name}.salt`),
+                length: transform.length === undefined ? 64 : parsers.positiveInteger(transform.length, `${name}.length`)
+            };
+        case 'fake':
+            return {
+                type,
+                kind: parsers.choice(transform.kind, `${name}.kind`, { choices: Object.keys(FAKERS) }),
+                salt: transform.salt === undefined ? '' : parsers.string(transform.salt, `${name}.salt`)
+            };
+        case 'truncate':
+            return { type, length: parsers.positiveInteger(transform.length, `${name}.length`) };
+        case 'replace': {
+            const pattern = parsers.string(transform.pattern, `${name}.pattern`);
+            const flags = transform.flags === undefined ? 'g' : parsers.string(transform.flags, `${name}.flags`);
+            try {
+                new RegExp(pattern, flags);
+            } catch (error) {
+                throw new ConfigError(`${name}.pattern: ${error.message}`);
+            }
+            const replacement = transform.replacement === undefined ? '' : parsers.string(transform.replacement, `${name}.replacement`);
+            return { type, pattern, flags, replacement };
+        }
+        case 'module':
+            return {
+                type,
+                path: parsers.string(transform.path, `${name}.path`),
+                options: transform.options === undefined ? {} : transform.options
+            };
+        default:
+            return { type };
+    }
+};
+
+// Migration settings: config file key / camelCased flag -> CONFIG key
+const SETTINGS_SCHEMA = {
+    batchSize: { key: 'BATCH_SIZE', type: 'positiveInteger' },
+    streamLimit: { key: 'STREAM_LIMIT', type: 'positiveInteger' },
+    maxRetries: { key: 'MAX_RETRIES', type: 'positiveInteger' },
+    checkpointInterval: { key: 'CHECKPOINT_INTERVAL', type: 'positiveInteger' },
+    memoryCheckInterval: { key: 'MEMORY_CHECK_INTERVAL', type: 'positiveInteger' },
+    include: { key: 'INCLUDE_TABLES', type: 'tableList' },
+    exclude: { key: 'EXCLUDE_TABLES', type: 'tableList' },
+    keyColumns: { key: 'KEY_COLUMNS', type: 'columnListMap' },
+    loader: { key: 'LOADER', type: 'choice', choices: ['insert', 'copy'] },
+    copyFormat: { key: 'COPY_FORMAT', type: 'choice', choices: ['text', 'binary'] },
+    resume: { key: 'RESUME', type: 'boolean' },
+    ifExists: { key: 'IF_EXISTS', type: 'choice', choices: ['fail', 'drop', 'truncate', 'append', 'upsert'] },
+    checkpointTable: { key: 'CHECKPOINT_TABLE', type: 'identifier' },
+    rejectsFormat: { key: 'REJECTS_FORMAT', type: 'choice', choices: ['jsonl', 'csv', 'table'] },
+    rejectsDir: { key: 'REJECTS_DIR', type: 'string' },
+    rejectsTable: { key: 'REJECTS_TABLE', type: 'identifier' },
+    maxRejectedRows: { key: 'MAX_REJECTED_ROWS', type: 'nonNegativeInteger' },
+    columnTypes: { key: 'COLUMN_TYPES', type: 'stringMap' },
+    identityStyle: { key: 'IDENTITY_STYLE', type: 'choice', choices: ['identity', 'serial'] },
+    fulltextConfig: { key: 'FULLTEXT_CONFIG', type: 'identifier' },
+    checksum: { key: 'VERIFY_CHECKSUM', type: 'boolean' },
+    verifyDir: { key: 'VERIFY_DIR', type: 'string' },
+    maxDiffRows: { key: 'VERIFY_MAX_DIFF_ROWS', type: 'positiveInteger' },
+    cdc: { key: 'CDC', type: 'boolean' },
+    cdcTable: { key: 'CDC_TABLE', type: 'identifier' },
+    serverId: { key: 'CDC_SERVER_ID', type: 'positiveInteger' },
+    dryRun: { key: 'DRY_RUN', type: 'boolean' },
+    ddlFile: { key: 'DDL_FILE', type: 'string' },
+    assessmentFile: { key: 'ASSESSMENT_FILE', type: 'string' },
+    createObjects: { key: 'CREATE_OBJECTS', type: 'boolean' },
+    concurrency: { key: 'CONCURRENCY', type: 'positiveInteger' },
+    rangeWorkers: { key: 'RANGE_WORKERS', type: 'positiveInteger' },
+    rangeMinRows: { key: 'RANGE_MIN_ROWS', type: 'nonNegativeInteger' },
+    transforms: { key: 'TRANSFORMS', type: 'transformMap' },
+    targetSchema: { key: 'TARGET_SCHEMA', type: 'string' },
+    nameCase: { key: 'NAME_CASE', type: 'choice', choices: Object.keys(NAME_CASES) },
+    tableNames: { key: 'TABLE_NAMES', type: 'stringMap' },
+    columnNames: { key: 'COLUMN_NAMES', type: 'stringMap' },
+    filters: { key: 'FILTERS', type: 'stringMap' },
+    sample: { key: 'SAMPLES', type: 'sampleMap' },
+    subset: { key: 'SUBSET', type: 'boolean' },
+    sanitize: { key: 'SANITIZE', type: 'sanitizePolicies' },
+    timestampType: { key: 'TIMESTAMP_TYPE', type: 'choice', choices: ['timestamptz', 'timestamp'] },
+    datetimeType: { key: 'DATETIME_TYPE', type: 'choice', choices: ['timestamp', 'timestamptz'] },
+    logFormat: { key: 'LOG_FORMAT', type: 'choice', choices: LOG_FORMATS },
+    logLevel: { key: 'LOG_LEVEL', type: 'choice', choices: LOG_LEVELS },
+    reportDir: { key: 'REPORT_DIR', type: 'string' },
+    reportHtml: { key: 'REPORT_HTML', type: 'boolean' },
+    maxRowsPerSecond: { key: 'MAX_ROWS_PER_SECOND', type: 'nonNegativeInteger' },
+    maxMbPerSecond: { key: 'MAX_MB_PER_SECOND', type: 'nonNegativeNumber' },
+    maxThreadsRunning: { key: 'MAX_THREADS_RUNNING', type: 'nonNegativeInteger' },
+    maxReplicaLag: { key: 'MAX_REPLICA_LAG', type: 'nonNegativeInteger' },
+    quietHours: { key: 'QUIET_HOURS', type: 'timeWindows' },
+    throttleCheckInterval: { key: 'THROTTLE_CHECK_INTERVAL', type: 'positiveInteger' }
+};
+
+// Connection settings for both databases and the environment variables they map to
+const CONNECTION_SCHEMA = {
+    host: 'string',
+    port: 'port',
+    user: 'string',
+    password: 'string',
+    database: 'string'
+};
+
+// Settings only the MySQL connection has (timezone: session time zone of both databases, see config/database.js)
+const CONNECTION_SCHEMAS = {
+    mysql: { ...CONNECTION_SCHEMA, timezone: 'utcOffset' },
+    postgres: CONNECTION_SCHEMA
+};
+
+const CONNECTION_ENV_PREFIX = {
+    mysql: 'MYSQL',
+    postgres: 'POSTGRES'
+};
+
+// Function to read a JSON or YAML migration config file
+const loadConfigFile = (filePath) => {
+    const resolvedPath = path.resolve(filePath);
+    let content;
+
+    try {
+        content = fs.readFileSync(resolvedPath, 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read config file ${resolvedPath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+        const extension = path.extname(resolvedPath).toLowerCase();
+        parsed = extension === '.yml' || extension === '.yaml'
+            ? yaml.load(content)
+            : JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError(`Invalid config file ${resolvedPath}: ${error.message}`);
+    }
+
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError(`Config file ${resolvedPath} must contain an object`);
+    }
+
+    return parsed;
+};
+
+// Function to validate a connection section ({ host, port, ... })
+const validateConnection = (connection, section, schema) => {
+    if (connection === null || typeof connection !== 'object' || Array.isArray(connection)) {
+        throw new ConfigError(`${section} must be an object`);
+    }
+
+    const validated = {};
+    Object.entries(connection).forEach(([key, value]) => {
+        const type = schema[key];
+        if (!type) {
+            throw new ConfigError(`Unknown option ${section}.${key}`);
+        }
+        if (value !== undefined && value !== null) {
+            validated[key] = parsers[type](value, `${section}.${key}`);
+        }
+    });
+
+    return validated;
+};
+
+// Function to validate a raw config object into CONFIG settings and connection settings
+const validateConfig = (raw, source = 'config') => {
+    const settings = {};
+    const connections = { mysql: {}, postgres: {} };
+
+    Object.entries(raw).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+
+        if (CONNECTION_ENV_PREFIX[key]) {
+            connections[key] = validateConnection(value, `${source}: ${key}`, CONNECTION_SCHEMAS[key]);
+            return;
+        }
+
+        const option = SETTINGS_SCHEMA[key];
+        if (!option) {
+            throw new ConfigError(`${source}: unknown option "${key}"`);
+        }
+        settings[option.key] = parsers[option.type](value, `${source}: ${key}`, option);
+    });
+
+    return { settings, connections };
+};
+
+// Function to turn parsed command line flags into the config file layout
+const flagsToConfig = (flags) => {
+    const config = { mysql: {}, postgres: {} };
+
+    Object.entries(flags).forEach(([flag, value]) => {
+        if (value === undefined || flag === 'config') return;
+
+        const connectionMatch = flag.match(/^(mysql|pg)([A-Z]\w*)$/);
+        if (connectionMatch) {
+            const section = connectionMatch[1] === 'pg' ? 'postgres' : 'mysql';
+            const key = connectionMatch[2].charAt(0).toLowerCase() + connectionMatch[2].slice(1);
+            config[section][key] = value;
+            return;
+        }
+
+        config[flag] = value;
+    });
+
+    return config;
+};
+
+// Function to build the final migration config: defaults < config file < flags
+const buildMigrationConfig = (flags = {}, tableArgs = []) => {
+    const fileConfig = flags.config
+        ? validateConfig(loadConfigFile(flags.config), path.basename(flags.config))
+        : { settings: {}, connections: { mysql: {}, postgres: {} } };
+    const flagConfig = validateConfig(flagsToConfig(flags), 'command line');
+
+    const settings = { ...fileConfig.settings, ...flagConfig.settings };
+    if (tableArgs.length > 0) {
+        settings.INCLUDE_TABLES = parsers.tableList(tableArgs, 'tables');
+    }
+
+    return {
+        settings,
+        connections: {
+            mysql: { ...fileConfig.connections.mysql, ...flagConfig.connections.mysql },
+            postgres: { ...fileConfig.connections.postgres, ...flagConfig.connections.postgres }
+        }
+    };
+};
+
+// Function to expose connection settings to config/database.js (must run before it is required)
+const applyConnectionSettings = (connections) => {
+    Object.entries(connections).forEach(([section, connection]) => {
+        Object.entries(connection).forEach(([key, value]) => {
+            process.env[`${CONNECTION_ENV_PREFIX[section]}_${key.toUpperCase()}`] = String(value);
+        });
+    });
+};
+
+// Spare connections on top of the copy workers (checkpoints, rejects, counts)
+const SPARE_CONNECTIONS = 2;
+
+// Function to grow both connection pools to the number of copy workers (must run before config/database.js
+// is required); every worker holds one MySQL and one PostgreSQL connection. Explicit pool sizes are kept.
+const applyPoolSize = (settings) => {
+    const workers = (settings.CONCURRENCY || 1) * (settings.RANGE_WORKERS || 1);
+    const poolSize = Math.max(10, workers + SPARE_CONNECTIONS);
+
+    ['MYSQL_POOL_SIZE', 'POSTGRES_POOL_SIZE'].forEach(name => {
+        if (!process.env[name]) {
+            process.env[name] = String(poolSize);
+        }
+    });
+};
+
+module.exports = {
+    ConfigError,
+    SETTINGS_SCHEMA,
+    loadConfigFile,
+    validateConfig,
+    buildMigrationConfig,
+    applyConnectionSettings,
+    applyPoolSize
+};
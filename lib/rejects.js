@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { postgresPool } = require('../config/database');
+const { RowEncodingError } = require('./batch-loader');
+
+// Function to check whether an error is caused by the rows themselves (bad data)
+// rather than by the connection or the server, which must not turn rows into rejects
+const isRowLevelError = (error) => {
+    // Values that could not be encoded locally (binary COPY)
+    if (error instanceof RowEncodingError) return true;
+
+    // SQLSTATE class 22 (data exception), class 23 (integrity constraint violation), datatype mismatch
+    return typeof error.code === 'string' && /^(22|23)[0-9A-Z]{3}$|^42804$/.test(error.code);
+};
+
+// Function to make a row JSON safe (dates as ISO strings, binary data in bytea hex format)
+const toRejectValue = (value) => {
+    // MySQL zero dates arrive as invalid Dates
+    if (value instanceof Date) return isNaN(value.getTime()) ? String(value) : value.toISOString();
+    if (Buffer.isBuffer(value)) return '\\x' + value.toString('hex');
+    if (typeof value === 'bigint') return value.toString();
+    return value;
+};
+
+const toRejectRow = (row) => Object.fromEntries(Object.entries(row).map(([column, value]) => [column, toRejectValue(value)]));
+
+// Function to quote a CSV field
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_HEADER = 'table_name,row_key,error,sqlstate,detail,rejected_at,row_data\n';
+
+// Function to create the rejects table in PostgreSQL if needed
+const ensureRejectsTable = async (rejectsTable) => {
+    await postgresPool.query(`
+        CREATE TABLE IF NOT EXISTS ${rejectsTable} (
+            id          BIGSERIAL PRIMARY KEY,
+            table_name  TEXT NOT NULL,
+            row_key     JSONB,
+            row_data    JSONB NOT NULL,
+            error       TEXT NOT NULL,
+            sqlstate    TEXT,
+            detail      TEXT,
+            rejected_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )
+    `);
+};
+
+// Function to build a reject record for a row and the error PostgreSQL returned for it
+const buildRejectRecord = (tableName, row, key, error) => ({
+    table: tableName,
+    key: key ? toRejectRow(key) : null,
+    error: error.message,
+    sqlstate: error.code || null,
+    detail: error.detail || null,
+    rejectedAt: new Date().toISOString(),
+    row: toRejectRow(row)
+});
+
+// Function to open the reject sink for a table (settings.REJECTS_FORMAT: jsonl, csv or table)
+// A fresh run clears earlier rejects of the table, a resumed run appends to them
+const createRejectSink = async (tableName, settings, fresh = true) => {
+    const format = settings.REJECTS_FORMAT;
+
+    if (format === 'table') {
+        await ensureRejectsTable(settings.REJECTS_TABLE);
+        if (fresh) {
+            await postgresPool.query(`DELETE FROM ${settings.REJECTS_TABLE} WHERE table_name = $1`, [tableName]);
+        }
+
+        return {
+            location: `${settings.REJECTS_TABLE} (table_name = '${tableName}')`,
+            write: async (record) => {
+                await postgresPool.query(`
+                    INSERT INTO ${settings.REJECTS_TABLE} (table_name, row_key, row_data, error, sqlstate, detail, rejected_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [record.table, JSON.stringify(record.key), JSON.stringify(record.row), record.error, record.sqlstate, record.detail, record.rejectedAt]);
+            }
+        };
+    }
+
+    const filePath = path.resolve(settings.REJECTS_DIR, `${tableName}.${format}`);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    if (fresh) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+
+    // Parallel key ranges of a table share the file; appends run one at a time so the CSV header is written once
+    let pending = Promise.resolve();
+
+    const append = async (record) => {
+        if (format === 'csv') {
+            const exists = fs.existsSync(filePath);
+            const line = [
+                record.table,
+                JSON.stringify(record.key),
+                record.error,
+                record.sqlstate,
+                record.detail,
+                record.rejectedAt,
+                JSON.stringify(record.row)
+            ].map(csvField).join(',') + '\n';
+            await fs.promises.appendFile(filePath, exists ? line : CSV_HEADER + line);
+        } else {
+            await fs.promises.appendFile(filePath, JSON.stringify(record) + '\n');
+        }
+    };
+
+    return {
+        location: filePath,
+        write: (record) => {
+            pending = pending.catch(() => {}).then(() => append(record));
+            return pending;
+        }
+    };
+};
+
+// Function to split a failed batch until the rows PostgreSQL rejects are isolated:
+// load(rows) loads a sub-batch, reject(row, error) handles a single bad row
+const isolateRejectedRows = async (batch, load, reject) => {
+    const split = async (rows) => {
+        const middle = Math.ceil(rows.length / 2);
+        const first = await attempt(rows.slice(0, middle));
+        const second = await attempt(rows.slice(middle));
+        return { loaded: first.loaded + second.loaded, rejected: first.rejected + second.rejected };
+    };
+
+    const attempt = async (rows) => {
+        if (rows.length === 0) return { loaded: 0, rejected: 0 };
+
+        try {
+            await load(rows);
+            return { loaded: rows.length, rejected: 0 };
+        } catch (error) {
+            if (!isRowLevelError(error)) throw error;
+
+            if (rows.length === 1) {
+                await reject(rows[0], error);
+                return { loaded: 0, rejected: 1 };
+            }
+            return split(rows);
+        }
+    };
+
+    // The whole batch has already failed, so start by splitting it
+    if (batch.length === 1) return attempt(batch);
+    return split(batch);
+};
+
+// Function to read the rejects of a table back for replay
+const readRejects = async (tableName, settings) => {
+    if (settings.REJECTS_FORMAT === 'table') {
+        const result = await postgresPool.query(
+            `SELECT id, row_data FROM ${settings.REJECTS_TABLE} WHERE table_name = $1 ORDER BY id`,
+            [tableName]
+        );
+        return result.rows.map(row => ({ id: row.id, row: row.row_data }));
+    }
+
+    if (settings.REJECTS_FORMAT !== 'jsonl') {
+        throw new Error('Replay supports jsonl and table rejects; CSV rejects are for review only');
+    }
+
+    const filePath = path.resolve(settings.REJECTS_DIR, `${tableName}.jsonl`);
+    if (!fs.existsSync(filePath)) return [];
+
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    return content.split('\n').filter(line => line.trim().length > 0).map((line, index) => {
+        const record = JSON.parse(line);
+        return { id: index, record, row: record.row };
+    });
+};
+
+// Function to replay (fixed) rejects of a table; rows that fail again stay in the rejects
+const replayRejects = async (tableName, settings, insertRow) => {
+    const rejects = await readRejects(tableName, settings);
+    const remaining = [];
+    let replayed = 0;
+
+    for (const reject of rejects) {
+        try {
+            await insertRow(reject.row);
+            replayed++;
+            if (settings.REJECTS_FORMAT === 'table') {
+                await postgresPool.query(`DELETE FROM ${settings.REJECTS_TABLE} WHERE id = $1`, [reject.id]);
+            }
+        } catch (error) {
+            remaining.push({ ...reject, error });
+            if (settings.REJECTS_FORMAT === 'table') {
+                await postgresPool.query(
+                    `UPDATE ${settings.REJECTS_TABLE} SET error = $2, sqlstate = $3, detail = $4, rejected_at = now() WHERE id = $1`,
+                    [reject.id, error.message, error.code || null, error.detail || null]
+                );
+            }
+        }
+    }
+
+    if (settings.REJECTS_FORMAT === 'jsonl') {
+        const filePath = path.resolve(settings.REJECTS_DIR, `${tableName}.jsonl`);
+        const lines = remaining.map(({ record, error }) => JSON.stringify({
+            ...record,
+            error: error.message,
+            sqlstate: error.code || null,
+            detail: error.detail || null,
+            rejectedAt: new Date().toISOString()
+        }) + '\n');
+        await fs.promises.writeFile(filePath, lines.join(''));
+    }
+
+    return { replayed, remaining: remaining.length };
+};
+
+module.exports = {
+    isRowLevelError,
+    buildRejectRecord,
+    createRejectSink,
+    isolateRejectedRows,
+    readRejects,
+    replayRejects
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+// Run report: the audit record of one database-wide copy, written to REPORT_DIR/<run id>.json
+// (and .html with REPORT_HTML). Built from the copyTable results, so it adds no queries.
+
+// Settings recorded with every run (connections and secrets are left out)
+const REPORTED_SETTINGS = [
+    'LOADER', 'COPY_FORMAT', 'BATCH_SIZE', 'STREAM_LIMIT', 'MAX_RETRIES', 'CONCURRENCY', 'RANGE_WORKERS',
+    'RESUME', 'IF_EXISTS', 'VERIFY_CHECKSUM', 'TARGET_SCHEMA', 'NAME_CASE', 'CDC',
+    'MAX_ROWS_PER_SECOND', 'MAX_MB_PER_SECOND', 'MAX_THREADS_RUNNING', 'MAX_REPLICA_LAG', 'QUIET_HOURS'
+];
+
+// Function to get the rows per second of a number of rows copied in a duration (milliseconds)
+const rowsPerSecond = (rows, duration) => Math.round(rows / Math.max(duration / 1000, 0.001));
+
+// Function to build the report entry of one copyTable result
+const buildTableEntry = (result) => ({
+    tableName: result.tableName,
+    status: result.status,
+    totalRows: result.totalRows,
+    copiedRows: result.copiedRows,
+    postgresCount: result.postgresCount,
+    rejectedRows: result.rejectedRows,
+    rejectsLocation: result.rejectsLocation || null,
+    retries: result.retries || 0,
+    sanitizedValues: (result.sanitized || []).reduce((sum, entry) => sum + entry.rows, 0),
+    checksumMatch: result.checksum ? result.checksum.match : null,
+    tableSetup: result.tableSetup ? result.tableSetup.action : null,
+    duration: result.duration,
+    steps: result.steps || null,
+    rowsPerSecond: result.rowsPerSecond !== undefined ? result.rowsPerSecond : rowsPerSecond(result.copiedRows, result.duration),
+    peakMemory: result.peakMemory || null,
+    error: result.error || null
+});
+
+// Function to build the report of a run from its copyTable results
+// throttleWaits: seconds the workers waited on the source throttle per reason
+const buildRunReport = ({ runId, startTime, endTime, settings, results, throttleWaits = null }) => {
+    const tables = results.map(buildTableEntry);
+    const sum = (field) => tables.reduce((total, table) => total + table[field], 0);
+    const count = (status) => tables.filter(table => table.status === status).length;
+    const peak = (field) => Math.max(0, ...tables.map(table => (table.peakMemory ? table.peakMemory[field] : 0)));
+    const duration = endTime - startTime;
+
+    return {
+        runId,
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: new Date(endTime).toISOString(),
+        duration,
+        status: count('failed') > 0 ? 'failed' : count('partial') > 0 ? 'partial' : 'success',
+        settings: Object.fromEntries(REPORTED_SETTINGS.map(key => [key, settings[key]])),
+        totals: {
+            tables: tables.length,
+            succeeded: count('success'),
+            partial: count('partial'),
+            failed: count('failed'),
+            totalRows: sum('totalRows'),
+            copiedRows: sum('copiedRows'),
+            rejectedRows: sum('rejectedRows'),
+            retries: sum('retries'),
+            rowsPerSecond: rowsPerSecond(sum('copiedRows'), duration),
+            peakMemory: { heapUsed: peak('heapUsed'), rss: peak('rss') },
+            throttleWaits
+        },
+        tables
+    };
+};
+
+// Function to escape text for HTML
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Function to render the readable (HTML) version of a run report
+const renderRunReportHtml = (report) => {
+    const { totals } = report;
+    const stepNames = ['analysis', 'tableSetup', 'dataCopy', 'indexes', 'verification'];
+    const cell = (value) => `<td>${escapeHtml(value)}</td>`;
+    const seconds = (milliseconds) => (milliseconds === undefined ? '' : (milliseconds / 1000).toFixed(1));
+
+    const rows = report.tables.map(table => '<tr>' + [
+        cell(table.tableName),
+        `<td class="${escapeHtml(table.status)}">${escapeHtml(table.status)}</td>`,
+        cell(`${table.copiedRows.toLocaleString()}/${table.totalRows.toLocaleString()}`),
+        cell(table.rejectedRows),
+        cell(table.retries),
+        cell(table.rowsPerSecond.toLocaleString()),
+        ...stepNames.map(step => cell(table.steps ? seconds(table.steps[step]) : '')),
+        cell(seconds(table.duration)),
+        cell(table.peakMemory ? `${table.peakMemory.heapUsed} / ${table.peakMemory.rss}` : ''),
+        cell(table.error || '')
+    ].join('') + '</tr>');
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>Migration run ${escapeHtml(report.runId)}</title>`,
+        '<style>',
+        'body { font-family: sans-serif; margin: 2em; }',
+        'table { border-collapse: collapse; }',
+        'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: right; }',
+        'td:first-child, td:last-child { text-align: left; }',
+        '.success { color: #080; } .partial { color: #b60; } .failed { color: #c00; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        `<h1>Migration run ${escapeHtml(report.runId)}</h1>`,
+        '<ul>',
+        `<li>Status: <span class="${escapeHtml(report.status)}">${escapeHtml(report.status)}</span></li>`,
+        `<li>Started: ${escapeHtml(report.startedAt)}, finished: ${escapeHtml(report.finishedAt)} (${seconds(report.duration)}s)</li>`,
+        `<li>Tables: ${totals.tables} (${totals.succeeded} succeeded, ${totals.partial} partial, ${totals.failed} failed)</li>`,
+        `<li>Rows: ${totals.copiedRows.toLocaleString()}/${totals.totalRows.toLocaleString()} copied, ` +
+            `${totals.rejectedRows.toLocaleString()} rejected, ${totals.retries} batch retries</li>`,
+        `<li>Average speed: ${totals.rowsPerSecond.toLocaleString()} rows/s</li>`,
+        `<li>Peak memory: ${totals.peakMemory.heapUsed} MB heap, ${totals.peakMemory.rss} MB RSS</li>`,
+        ...(totals.throttleWaits ? [`<li>Source throttle waits: ${Object.entries(totals.throttleWaits)
+            .map(([reason, seconds]) => `${escapeHtml(reason)} ${seconds}s`).join(', ')}</li>`] : []),
+        '</ul>',
+        '<table>',
+        '<tr><th>Table</th><th>Status</th><th>Rows</th><th>Rejected</th><th>Retries</th><th>Rows/s</th>' +
+            '<th>Analysis (s)</th><th>Setup (s)</th><th>Copy (s)</th><th>Indexes (s)</th><th>Verification (s)</th>' +
+            '<th>Total (s)</th><th>Peak heap / RSS (MB)</th><th>Error</th></tr>',
+        ...rows,
+        '</table>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+};
+
+// Function to write the JSON report, and its HTML version next to it when html is set
+const writeRunReport = async (directory, report, html = false) => {
+    const jsonPath = path.resolve(directory, `${report.runId}.json`);
+    const htmlPath = html ? jsonPath.replace(/\.json$/, '.html') : null;
+
+    await fs.promises.mkdir(path.dirname(jsonPath), { recursive: true });
+    await fs.promises.writeFile(jsonPath, JSON.stringify(report, null, 2));
+    if (htmlPath) {
+        await fs.promises.writeFile(htmlPath, renderRunReportHtml(report));
+    }
+
+    return { jsonPath, htmlPath };
+};
+
+module.exports = {
+    buildRunReport,
+    renderRunReportHtml,
+    writeRunReport
+};
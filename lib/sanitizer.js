@@ -0,0 +1,292 @@
+const { isUtf8 } = require('buffer');
+const { parseMySQLType, getColumnMapping } = require('./type-mapper');
+
+// Policies per issue type (settings.SANITIZE); the first one is the default
+// null: store NULL, strip: drop the offending characters, clamp: nearest valid value,
+// reencode: repair the text, replace: U+FFFD for every invalid byte, reject: send the row to the rejects,
+// keep: leave the value alone (PostgreSQL may still refuse it)
+const SANITIZE_POLICIES = {
+    zeroDate: ['null', 'clamp', 'reject', 'keep'],
+    nulBytes: ['strip', 'null', 'reject', 'keep'],
+    invalidUtf8: ['reencode', 'strip', 'replace', 'null', 'reject'],
+    mojibake: ['keep', 'reencode', 'null', 'reject'],
+    unsignedOverflow: ['reject', 'clamp', 'null', 'keep']
+};
+
+const DEFAULT_POLICIES = Object.fromEntries(Object.entries(SANITIZE_POLICIES).map(([issue, policies]) => [issue, policies[0]]));
+
+// Text whose bytes are not valid UTF-8 (read raw by createTextTypeCast, decoded by the sanitizer)
+class InvalidText {
+    constructor(bytes) {
+        this.bytes = bytes;
+    }
+
+    toString() {
+        return this.bytes.toString('utf8');
+    }
+
+    toJSON() {
+        return '\\x' + this.bytes.toString('hex');
+    }
+}
+
+const TEXT_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext', 'enum', 'set'];
+const DATE_TYPES = ['date', 'datetime', 'timestamp'];
+
+// Function to build the mysql2 typeCast that reads text columns as bytes, so invalid UTF-8 reaches
+// the sanitizer instead of being replaced silently. Key columns are read as usual, since the copy
+// seeks and checkpoints on their values. Returns undefined when no column needs it.
+const createTextTypeCast = (columns, keyColumns = []) => {
+    const textColumns = new Set(columns
+        .filter(col => TEXT_TYPES.includes(parseMySQLType(col.Type).base) && !keyColumns.includes(col.Field))
+        .map(col => col.Field));
+    if (textColumns.size === 0) return undefined;
+
+    return (field, next) => {
+        if (!textColumns.has(field.name)) return next();
+        const bytes = field.buffer();
+        if (bytes === null) return null;
+        return isUtf8(bytes) ? bytes.toString('utf8') : new InvalidText(bytes);
+    };
+};
+
+// Windows-1252 characters of bytes 0x80-0x9F (MySQL's latin1 is Windows-1252)
+const CP1252_HIGH = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+    0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘',
+    0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+    0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+const CP1252_BYTES = new Map(Object.entries(CP1252_HIGH).map(([byte, char]) => [char, Number(byte)]));
+
+const decodeCp1252Byte = (byte) => CP1252_HIGH[byte] || String.fromCharCode(byte);
+
+// Function to get the length of the valid UTF-8 sequence starting at index (0 when invalid)
+const utf8SequenceLength = (bytes, index) => {
+    const first = bytes[index];
+    if (first < 0x80) return 1;
+
+    let length;
+    if (first >= 0xC2 && first <= 0xDF) length = 2;
+    else if (first >= 0xE0 && first <= 0xEF) length = 3;
+    else if (first >= 0xF0 && first <= 0xF4) length = 4;
+    else return 0;
+
+    if (index + length > bytes.length) return 0;
+    for (let offset = 1; offset < length; offset++) {
+        if ((bytes[index + offset] & 0xC0) !== 0x80) return 0;
+    }
+
+    // Overlong forms, UTF-16 surrogates and code points above U+10FFFF
+    const second = bytes[index + 1];
+    if ((first === 0xE0 && second < 0xA0) || (first === 0xED && second > 0x9F) ||
+        (first === 0xF0 && second < 0x90) || (first === 0xF4 && second > 0x8F)) {
+        return 0;
+    }
+    return length;
+};
+
+// Function to decode mostly-UTF-8 bytes, replacing every invalid byte with replaceByte(byte)
+const decodeInvalidUtf8 = (bytes, replaceByte) => {
+    let text = '';
+    let start = 0;
+    let index = 0;
+    while (index < bytes.length) {
+        const length = utf8SequenceLength(bytes, index);
+        if (length > 0) {
+            index += length;
+            continue;
+        }
+        text += bytes.toString('utf8', start, index) + replaceByte(bytes[index]);
+        index++;
+        start = index;
+    }
+    return text + bytes.toString('utf8', start);
+};
+
+// Function to undo double encoding (UTF-8 bytes decoded as Windows-1252 and stored again as UTF-8),
+// e.g. "cafÃ©" -> "café". Returns null when the text does not look double-encoded.
+const repairMojibake = (text) => {
+    if (!/[Â-ô]/.test(text)) return null;
+
+    const bytes = [];
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code <= 0xFF) {
+            bytes.push(code);
+        } else if (CP1252_BYTES.has(char)) {
+            bytes.push(CP1252_BYTES.get(char));
+        } else {
+            return null;
+        }
+    }
+
+    const buffer = Buffer.from(bytes);
+    if (!isUtf8(buffer)) return null;
+    const repaired = buffer.toString('utf8');
+    return repaired !== text ? repaired : null;
+};
+
+// Function to apply a string function to every string of a parsed JSON document
+const mapJsonStrings = (value, fn) => {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(item => mapJsonStrings(item, fn));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [fn(key), mapJsonStrings(item, fn)]));
+    }
+    return value;
+};
+
+// Function to check whether a date value is a MySQL zero date (0000-00-00, or a zero month or day)
+// Dates are read as text (see READ_OPTIONS in source-reader.js); an invalid Date counts as well
+const isZeroDate = (value) => {
+    if (value instanceof Date) return Number.isNaN(value.getTime());
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    return Boolean(match) && (match[1] === '0000' || match[2] === '00' || match[3] === '00');
+};
+
+// Function to replace the zero parts of a zero date with the lowest valid ones
+const clampZeroDate = (value) => {
+    if (value instanceof Date) return new Date('0001-01-01T00:00:00Z');
+    return value.replace(/^(\d{4})-(\d{2})-(\d{2})/, (match, year, month, day) =>
+        `${year === '0000' ? '0001' : year}-${month === '00' ? '01' : month}-${day === '00' ? '01' : day}`);
+};
+
+// Ranges of the PostgreSQL integer types
+const INTEGER_RANGES = {
+    SMALLINT: [-32768n, 32767n],
+    INTEGER: [-2147483648n, 2147483647n],
+    BIGINT: [-9223372036854775808n, 9223372036854775807n]
+};
+const INTEGER_ALIASES = {
+    INT2: 'SMALLINT', SMALLSERIAL: 'SMALLINT', INT: 'INTEGER', INT4: 'INTEGER', SERIAL: 'INTEGER', INT8: 'BIGINT', BIGSERIAL: 'BIGINT'
+};
+
+// Function to get the range of a column's PostgreSQL integer type (null for other types)
+// AUTO_INCREMENT columns always get an integer type (see buildAutoIncrementType in sequences.js):
+// bigint unsigned becomes BIGINT there, which is where values overflow. sequences.js is not required
+// here since it opens the database pools, and the config parser needs this module before they exist.
+const getIntegerRange = (tableName, col, settings) => {
+    const mapping = getColumnMapping(tableName, col, settings);
+    const baseType = String(mapping.type).trim().split(/\s+/)[0].toUpperCase();
+    const integerType = INTEGER_ALIASES[baseType] || baseType;
+
+    if (/auto_increment/i.test(col.Extra || '') && !mapping.overridden) {
+        return INTEGER_RANGES[integerType] || INTEGER_RANGES.BIGINT;
+    }
+    return INTEGER_RANGES[integerType] || null;
+};
+
+const toBigInt = (value) => {
+    try {
+        return BigInt(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+// Issue types: which columns they apply to, how a value is detected and fixed per policy
+const ISSUES = {
+    invalidUtf8: {
+        applies: ({ base }) => TEXT_TYPES.includes(base),
+        detect: (value) => value instanceof InvalidText,
+        fix: {
+            reencode: (value) => decodeInvalidUtf8(value.bytes, decodeCp1252Byte),
+            strip: (value) => decodeInvalidUtf8(value.bytes, () => ''),
+            replace: (value) => value.toString()
+        }
+    },
+    nulBytes: {
+        applies: ({ base }) => TEXT_TYPES.includes(base) || base === 'json',
+        detect: (value) => (typeof value === 'string' ? value.includes('\0') : !Buffer.isBuffer(value) && JSON.stringify(value).includes('\\u0000')),
+        fix: {
+            strip: (value) => mapJsonStrings(value, text => text.replace(/\0/g, ''))
+        }
+    },
+    mojibake: {
+        applies: ({ base }) => TEXT_TYPES.includes(base),
+        detect: (value) => typeof value === 'string' && repairMojibake(value) !== null,
+        fix: {
+            reencode: repairMojibake
+        }
+    },
+    zeroDate: {
+        applies: ({ base }) => DATE_TYPES.includes(base),
+        detect: isZeroDate,
+        fix: {
+            clamp: clampZeroDate
+        }
+    },
+    unsignedOverflow: {
+        applies: ({ range }) => range !== null,
+        detect: (value, { range }) => {
+            const number = toBigInt(value);
+            return number !== null && (number < range[0] || number > range[1]);
+        },
+        fix: {
+            clamp: (value, { range }) => (toBigInt(value) < range[0] ? range[0] : range[1]).toString()
+        }
+    }
+};
+
+// Issues are checked in this order, so repaired text is checked for NUL bytes too
+const ISSUE_ORDER = ['invalidUtf8', 'nulBytes', 'mojibake', 'zeroDate', 'unsignedOverflow'];
+
+// Function to create the row sanitizer of a table from SANITIZE (issue -> policy)
+// sanitize(row) fixes the row in place and returns null, or returns { column, issue, message } when a
+// reject policy applies; report() lists the changed values per column and issue.
+// Key columns are left alone, since the copy seeks, checkpoints and verifies on their MySQL values.
+const createRowSanitizer = (tableName, columns, settings = {}, keyColumns = []) => {
+    const policies = { ...DEFAULT_POLICIES, ...(settings.SANITIZE || {}) };
+    const counts = new Map();
+
+    const checks = columns
+        .filter(col => !keyColumns.includes(col.Field))
+        .map(col => {
+            const context = { base: parseMySQLType(col.Type).base, range: getIntegerRange(tableName, col, settings) };
+            const steps = ISSUE_ORDER
+                .filter(issue => policies[issue] !== 'keep' && ISSUES[issue].applies(context))
+                .map(issue => ({ issue, policy: policies[issue], ...ISSUES[issue] }));
+            return { column: col.Field, context, steps };
+        })
+        .filter(check => check.steps.length > 0);
+
+    const count = (column, issue, policy) => {
+        const key = `${column}\0${issue}`;
+        const entry = counts.get(key) || { column, issue, policy, rows: 0 };
+        entry.rows++;
+        counts.set(key, entry);
+    };
+
+    const sanitize = (row) => {
+        for (const { column, context, steps } of checks) {
+            for (const { issue, policy, detect, fix } of steps) {
+                const value = row[column];
+                if (value === null || value === undefined || !detect(value, context)) continue;
+
+                count(column, issue, policy);
+                if (policy === 'reject') {
+                    return { column, issue, message: `${issue} in column ${column} (sanitize policy: reject)` };
+                }
+                row[column] = policy === 'null' ? null : fix[policy](value, context);
+            }
+        }
+        return null;
+    };
+
+    return {
+        sanitize,
+        report: () => [...counts.values()]
+    };
+};
+
+module.exports = {
+    SANITIZE_POLICIES,
+    InvalidText,
+    createTextTypeCast,
+    decodeInvalidUtf8,
+    repairMojibake,
+    isZeroDate,
+    getIntegerRange,
+    createRowSanitizer
+};
@@ -0,0 +1,29 @@
+// Function to run worker(item, index) over items with at most `limit` running at once
+// Results keep the order of the items. After a failure no new items are started, and the
+// first error is thrown once the running ones have finished.
+const runConcurrently = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const runWorker = async () => {
+        while (next < items.length && !failure) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+    if (failure) throw failure;
+    return results;
+};
+
+module.exports = {
+    runConcurrently
+};
@@ -0,0 +1,152 @@
+const { postgresPool } = require('../config/database');
+const { quotePostgres, pgTable } = require('./identifiers');
+
+// Temporary table the MySQL definition is created as, so PostgreSQL spells out types and defaults
+// the same way for both sides of the comparison
+const DIFF_TABLE = 'migration_schema_diff';
+
+// Function to read the columns of a PostgreSQL table as PostgreSQL prints them
+const getTableColumns = async (client, regclass) => {
+    const result = await client.query(`
+        SELECT
+            a.attname AS name,
+            format_type(a.atttypid, a.atttypmod) AS type,
+            a.attnotnull AS "notNull",
+            a.attidentity AS identity,
+            pg_get_expr(d.adbin, d.adrelid) AS "default"
+        FROM pg_attribute a
+        LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+        WHERE a.attrelid = to_regclass($1::text) AND a.attnum > 0 AND NOT a.attisdropped
+        ORDER BY a.attnum
+    `, [regclass]);
+    return result.rows;
+};
+
+// Function to read the primary key columns of a PostgreSQL table in key order (empty when it has none)
+const getPrimaryKeyColumns = async (client, regclass) => {
+    const result = await client.query(`
+        SELECT a.attname AS name
+        FROM pg_index i
+        CROSS JOIN LATERAL unnest(i.indkey) WITH ORDINALITY AS k(attnum, position)
+        JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+        WHERE i.indrelid = to_regclass($1::text) AND i.indisprimary
+        ORDER BY k.position
+    `, [regclass]);
+    return result.rows.map(row => row.name);
+};
+
+// Sequence defaults name their own sequence, so serial columns are compared by type only
+const isSequenceDefault = (expression) => /^nextval\(/.test(expression || '');
+
+// Function to build the ALTER statements that bring the existing columns in line with the expected ones
+// Columns only PostgreSQL has are kept and reported. hasRows: NOT NULL is not added to new columns
+// without a default, since the existing rows have no value for them.
+// primaryKeys: { expected, actual } key columns; a different primary key is reported, not changed,
+// since the existing rows may not be unique on the new key.
+// Returns { statements, report: [{ table, object, status, detail }] }
+const buildSchemaDiff = (tableName, expected, actual, hasRows, settings = {}, primaryKeys = { expected: [], actual: [] }) => {
+    const table = pgTable(tableName, settings);
+    const statements = [];
+    const report = [];
+    const actualColumns = new Map(actual.map(col => [col.name, col]));
+
+    expected.forEach(col => {
+        const column = quotePostgres(col.name);
+        const current = actualColumns.get(col.name);
+        const defaultValue = isSequenceDefault(col.default) ? null : col.default;
+
+        if (!current) {
+            let definition = `${column} ${col.type}`;
+            if (col.identity) definition += ` GENERATED ${col.identity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY`;
+            if (defaultValue !== null) definition += ` DEFAULT ${defaultValue}`;
+            if (col.notNull && !col.identity && hasRows && defaultValue === null) {
+                report.push({ table: tableName, object: col.name, status: 'skipped', detail: 'NOT NULL left out: the existing rows have no value' });
+            } else if (col.notNull && !col.identity) {
+                definition += ' NOT NULL';
+            }
+            statements.push(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+            report.push({ table: tableName, object: col.name, status: 'added', detail: definition });
+            return;
+        }
+
+        const changes = [];
+        const defaultChanged = !isSequenceDefault(col.default) && !isSequenceDefault(current.default) &&
+            (col.default || null) !== (current.default || null);
+
+        if (col.type !== current.type) {
+            if (defaultChanged && current.default !== null) {
+                statements.push(`ALTER TABLE ${table} ALTER COLUMN ${column} DROP DEFAULT`);
+            }
+            statements.push(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE ${col.type} USING ${column}::${col.type}`);
+            changes.push(`type ${current.type} → ${col.type}`);
+        }
+        if (defaultChanged) {
+            statements.push(defaultValue === null
+                ? `ALTER TABLE ${table} ALTER COLUMN ${column} DROP DEFAULT`
+                : `ALTER TABLE ${table} ALTER COLUMN ${column} SET DEFAULT ${defaultValue}`);
+            changes.push(`default ${current.default || 'none'} → ${defaultValue || 'none'}`);
+        }
+        if (col.notNull !== current.notNull) {
+            statements.push(`ALTER TABLE ${table} ALTER COLUMN ${column} ${col.notNull ? 'SET' : 'DROP'} NOT NULL`);
+            changes.push(col.notNull ? 'NOT NULL added' : 'NOT NULL dropped');
+        }
+        // An AUTO_INCREMENT column without an identity or sequence gives new rows no id; the copy
+        // moves the new identity past the copied ids afterwards
+        const generated = (column) => Boolean(column.identity) || isSequenceDefault(column.default);
+        if (generated(col) && !generated(current)) {
+            if (col.identity && current.default === null) {
+                statements.push(`ALTER TABLE ${table} ALTER COLUMN ${column} ADD GENERATED ${col.identity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY`);
+                changes.push('identity added');
+            } else {
+                report.push({ table: tableName, object: col.name, status: 'skipped', detail: 'AUTO_INCREMENT column has no identity or sequence in PostgreSQL; add one by hand' });
+            }
+        }
+        if (changes.length > 0) {
+            report.push({ table: tableName, object: col.name, status: 'changed', detail: changes.join(', ') });
+        }
+    });
+
+    const expectedNames = new Set(expected.map(col => col.name));
+    actual.filter(col => !expectedNames.has(col.name)).forEach(col => {
+        report.push({ table: tableName, object: col.name, status: 'kept', detail: 'not in the MySQL table; left as it is' });
+    });
+
+    if (primaryKeys.expected.join(',') !== primaryKeys.actual.join(',')) {
+        report.push({
+            table: tableName,
+            object: 'PRIMARY KEY',
+            status: 'skipped',
+            detail: `PostgreSQL has ${primaryKeys.actual.length > 0 ? `(${primaryKeys.actual.join(', ')})` : 'none'}, ` +
+                `MySQL has ${primaryKeys.expected.length > 0 ? `(${primaryKeys.expected.join(', ')})` : 'none'}; change it by hand`
+        });
+    }
+
+    return { statements, report };
+};
+
+// Function to compare an existing PostgreSQL table with the table MySQL's definition would create
+// client: a client inside the caller's transaction; createTemporaryTable: the CREATE TEMP TABLE statement
+// for DIFF_TABLE built from the MySQL columns (it only lives inside a rolled back savepoint)
+const diffTableSchema = async (client, tableName, createTemporaryTable, hasRows, settings = {}) => {
+    await client.query('SAVEPOINT schema_diff');
+    try {
+        await client.query(createTemporaryTable);
+        const expectedTable = `pg_temp.${quotePostgres(DIFF_TABLE)}`;
+        const actualTable = pgTable(tableName, settings);
+        const expected = await getTableColumns(client, expectedTable);
+        const actual = await getTableColumns(client, actualTable);
+        const primaryKeys = {
+            expected: await getPrimaryKeyColumns(client, expectedTable),
+            actual: await getPrimaryKeyColumns(client, actualTable)
+        };
+        return buildSchemaDiff(tableName, expected, actual, hasRows, settings, primaryKeys);
+    } finally {
+        await client.query('ROLLBACK TO SAVEPOINT schema_diff');
+    }
+};
+
+module.exports = {
+    DIFF_TABLE,
+    buildSchemaDiff,
+    diffTableSchema
+};
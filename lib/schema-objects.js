@@ -0,0 +1,255 @@
+const { mysqlPromisePool, postgresPool } = require('../config/database');
+const { convertDataType } = require('./type-mapper');
+const { buildObjectName } = require('./constraints');
+const { translateSql, translateRoutineBody } = require('./sql-translator');
+const { quotePostgres, applyNameCase, targetSchema, targetTableName, pgTable, pgColumn } = require('./identifiers');
+
+// Views, triggers and stored routines: read from information_schema, translated by sql-translator.js
+// and created after the tables are loaded (triggers would otherwise fire for every copied row).
+
+// Local variables win over columns of the same name, as in MySQL
+const PLPGSQL_OPTIONS = '#variable_conflict use_variable';
+
+// MySQL data types whose values PostgreSQL sorts as text as well
+const TEXT_DATA_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext', 'enum', 'set'];
+
+// Function to read the views, triggers and stored routines of the MySQL database,
+// plus the column names every translation maps (views included)
+const getSchemaObjects = async () => {
+    const [[[{ database }]], [columnRows], [views], [triggers], [routines], [parameters]] = await Promise.all([
+        mysqlPromisePool.query('SELECT DATABASE() AS `database`'),
+        mysqlPromisePool.execute(`
+            SELECT table_name AS tableName, column_name AS columnName, data_type AS dataType, extra AS extra
+            FROM information_schema.columns
+            WHERE table_schema = DATABASE()
+            ORDER BY table_name, ordinal_position
+        `),
+        mysqlPromisePool.execute(`
+            SELECT table_name AS name, view_definition AS definition, check_option AS checkOption
+            FROM information_schema.views
+            WHERE table_schema = DATABASE()
+            ORDER BY table_name
+        `),
+        mysqlPromisePool.execute(`
+            SELECT
+                trigger_name AS name,
+                event_object_table AS tableName,
+                action_timing AS timing,
+                event_manipulation AS event,
+                action_statement AS body
+            FROM information_schema.triggers
+            WHERE trigger_schema = DATABASE()
+            ORDER BY event_object_table, action_timing, event_manipulation, action_order
+        `),
+        mysqlPromisePool.execute(`
+            SELECT routine_name AS name, routine_type AS type, dtd_identifier AS returnType, routine_definition AS body
+            FROM information_schema.routines
+            WHERE routine_schema = DATABASE()
+            ORDER BY routine_type, routine_name
+        `),
+        mysqlPromisePool.execute(`
+            SELECT specific_name AS routineName, parameter_mode AS mode, parameter_name AS name, dtd_identifier AS type
+            FROM information_schema.parameters
+            WHERE specific_schema = DATABASE() AND ordinal_position > 0
+            ORDER BY specific_name, ordinal_position
+        `)
+    ]);
+
+    const columns = new Map();
+    const textColumns = new Map();
+    const onUpdateColumns = new Map();
+    columnRows.forEach(({ tableName, columnName, dataType, extra }) => {
+        if (!columns.has(tableName)) columns.set(tableName, []);
+        columns.get(tableName).push(columnName);
+        if (TEXT_DATA_TYPES.includes(String(dataType).toLowerCase())) {
+            if (!textColumns.has(tableName)) textColumns.set(tableName, []);
+            textColumns.get(tableName).push(columnName);
+        }
+        if (/on update current_timestamp/i.test(extra || '')) {
+            if (!onUpdateColumns.has(tableName)) onUpdateColumns.set(tableName, []);
+            onUpdateColumns.get(tableName).push(columnName);
+        }
+    });
+
+    routines.forEach(routine => {
+        routine.parameters = parameters.filter(parameter => parameter.routineName === routine.name);
+    });
+
+    return { database, columns, textColumns, onUpdateColumns, views, triggers, routines };
+};
+
+// Function to get the quoted, schema-qualified PostgreSQL name of a routine or trigger function
+const pgRoutine = (name, settings) => `${quotePostgres(targetSchema(settings))}.${quotePostgres(name)}`;
+
+// Function to wrap a PL/pgSQL body in dollar quotes
+const plpgsqlBody = (body) => `$body$\n${PLPGSQL_OPTIONS}\n${body}\n$body$`;
+
+// Function to build the statements of a view
+const buildViewDefinition = (view, context, settings) => {
+    if (!view.definition) {
+        return { issues: ['definition not readable (needs the SHOW VIEW privilege)'] };
+    }
+    const { sql, issues } = translateSql(view.definition, context);
+    const checkOption = view.checkOption && view.checkOption !== 'NONE' ? ` WITH ${view.checkOption} CHECK OPTION` : '';
+    return { issues, statements: [`CREATE OR REPLACE VIEW ${pgTable(view.name, settings)} AS ${sql}${checkOption}`] };
+};
+
+// Function to build the statements of a stored procedure or function
+const buildRoutineDefinition = (routine, context, settings) => {
+    if (!routine.body) {
+        return { issues: ['body not readable (needs to be the definer or have SELECT on mysql.proc / SHOW_ROUTINE)'] };
+    }
+    const { body, issues } = translateRoutineBody(routine.body, context);
+    const isFunction = routine.type === 'FUNCTION';
+    const parameters = routine.parameters.map(parameter => {
+        const declaration = `${applyNameCase(parameter.name, settings)} ${convertDataType(parameter.type, settings)}`;
+        return isFunction ? declaration : `${parameter.mode} ${declaration}`;
+    }).join(', ');
+
+    // Unqualified table names in the body resolve in the target schema
+    const searchPath = targetSchema(settings) !== 'public' ? ` SET search_path = ${quotePostgres(targetSchema(settings))}, public` : '';
+    const signature = `${pgRoutine(applyNameCase(routine.name, settings), settings)}(${parameters})`;
+    const returns = isFunction ? ` RETURNS ${convertDataType(routine.returnType, settings)}` : '';
+
+    return {
+        issues,
+        statements: [`CREATE OR REPLACE ${routine.type} ${signature}${returns} LANGUAGE plpgsql${searchPath} AS ${plpgsqlBody(body)}`]
+    };
+};
+
+// Function to build the trigger function and trigger statements of a table
+const buildTriggerStatements = (tableName, triggerName, timing, event, body, settings) => {
+    const functionName = pgRoutine(buildObjectName(triggerName, 'fn'), settings);
+    return [
+        `CREATE OR REPLACE FUNCTION ${functionName}() RETURNS trigger LANGUAGE plpgsql AS ${plpgsqlBody(body)}`,
+        `DROP TRIGGER IF EXISTS ${quotePostgres(triggerName)} ON ${pgTable(tableName, settings)}`,
+        `CREATE TRIGGER ${quotePostgres(triggerName)} ${timing} ${event} ON ${pgTable(tableName, settings)} ` +
+            `FOR EACH ROW EXECUTE FUNCTION ${functionName}()`
+    ];
+};
+
+// Function to build the statements of a MySQL trigger
+const buildTriggerDefinition = (trigger, context, settings) => {
+    // BEFORE triggers return the (changed) row; the return value of AFTER triggers is ignored
+    const returnValue = trigger.timing === 'AFTER' ? 'NULL' : trigger.event === 'DELETE' ? 'OLD' : 'NEW';
+    const { body, issues } = translateRoutineBody(trigger.body, { ...context, defaultTable: trigger.tableName, returnValue });
+    const triggerName = applyNameCase(trigger.name, settings);
+    return { issues, statements: buildTriggerStatements(trigger.tableName, triggerName, trigger.timing, trigger.event, body, settings) };
+};
+
+// Function to build the BEFORE UPDATE trigger that emulates ON UPDATE CURRENT_TIMESTAMP columns:
+// like MySQL, the column is set when the row changes and the UPDATE does not set the column itself
+const buildOnUpdateDefinition = (tableName, columnNames, settings) => {
+    const assignments = columnNames.map(columnName => {
+        const column = pgColumn(tableName, columnName, settings);
+        return [
+            `    IF NEW IS DISTINCT FROM OLD AND NEW.${column} IS NOT DISTINCT FROM OLD.${column} THEN`,
+            `        NEW.${column} := CURRENT_TIMESTAMP;`,
+            '    END IF;'
+        ].join('\n');
+    });
+    const body = ['BEGIN', ...assignments, '    RETURN NEW;', 'END;'].join('\n');
+    const triggerName = buildObjectName(targetTableName(tableName, settings), 'on_update');
+    return { issues: [], statements: buildTriggerStatements(tableName, triggerName, 'BEFORE', 'UPDATE', body, settings) };
+};
+
+// Function to order views so that views used by other views come first
+const orderViews = (views) => {
+    const ordered = [];
+    let pending = views;
+    while (pending.length > 0) {
+        const ready = pending.filter(view => !pending.some(other =>
+            other !== view && String(view.definition || '').includes(`\`${other.name}\``)));
+        // Views referencing each other cannot be ordered; they are created as they come
+        const next = ready.length > 0 ? ready : pending;
+        ordered.push(...next);
+        pending = pending.filter(view => !next.includes(view));
+    }
+    return ordered;
+};
+
+// Function to translate the views, routines and triggers of the given tables
+// Returns { definitions: [{ kind, name, table, statements }], report: [{ table, object, status, detail }] }
+// Objects that need manual work are only reported; routines come first, then views, then triggers.
+const buildObjectStatements = (objects, tables, settings = {}) => {
+    const availableTables = new Set(tables);
+    const context = {
+        settings,
+        database: objects.database,
+        tables: objects.columns,
+        textColumns: objects.textColumns,
+        routines: new Set(objects.routines.map(routine => routine.name))
+    };
+    const definitions = [];
+    const report = [];
+
+    const add = (kind, name, table, built) => {
+        const object = `${kind} ${name}`;
+        if (built.issues.length > 0) {
+            report.push({ table, object, status: 'manual', detail: `needs manual work: ${built.issues.join('; ')}` });
+            return;
+        }
+        definitions.push({ kind, name, table, statements: built.statements });
+        report.push({ table, object, status: 'translated', detail: 'translated to PostgreSQL' });
+    };
+
+    objects.routines.forEach(routine => add(routine.type.toLowerCase(), routine.name, null, buildRoutineDefinition(routine, context, settings)));
+    orderViews(objects.views).forEach(view => add('view', view.name, null, buildViewDefinition(view, context, settings)));
+    objects.triggers
+        .filter(trigger => availableTables.has(trigger.tableName))
+        .forEach(trigger => add('trigger', trigger.name, trigger.tableName, buildTriggerDefinition(trigger, context, settings)));
+    [...objects.onUpdateColumns]
+        .filter(([tableName]) => availableTables.has(tableName))
+        .forEach(([tableName, columnNames]) => {
+            add('trigger', `ON UPDATE CURRENT_TIMESTAMP (${columnNames.join(', ')})`, tableName,
+                buildOnUpdateDefinition(tableName, columnNames, settings));
+        });
+
+    return { definitions, report };
+};
+
+// Function to run the statements of one object; returns the error message or null
+const executeDefinition = async (definition) => {
+    try {
+        for (const sql of definition.statements) {
+            await postgresPool.query(sql);
+        }
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+// Function to print the object report lines that need attention
+const printObjectReport = (report) => {
+    const icons = { manual: '✍️ ', failed: '❌' };
+    report.filter(entry => entry.status !== 'translated').forEach(entry => {
+        console.log(`   ${icons[entry.status]} ${[entry.table, entry.object].filter(Boolean).join('.')} (${entry.status}): ${entry.detail}`);
+    });
+};
+
+// Function to create the translated views, routines and triggers of the given tables in PostgreSQL
+const createSchemaObjects = async (tables, settings = {}) => {
+    console.log('\n🧩 Creating views, routines and triggers...');
+    const { definitions, report } = buildObjectStatements(await getSchemaObjects(), tables, settings);
+
+    for (const definition of definitions) {
+        const error = await executeDefinition(definition);
+        if (error) {
+            Object.assign(report.find(entry => entry.object === `${definition.kind} ${definition.name}` && entry.table === definition.table),
+                { status: 'failed', detail: error });
+        }
+    }
+
+    const created = report.filter(entry => entry.status === 'translated').length;
+    console.log(`   ✅ ${created} object(s) created`);
+    printObjectReport(report);
+
+    return report;
+};
+
+module.exports = {
+    getSchemaObjects,
+    buildObjectStatements,
+    createSchemaObjects
+};
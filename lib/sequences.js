@@ -0,0 +1,92 @@
+const { mysqlPromisePool, postgresPool } = require('../config/database');
+const { pgTable, pgColumn, quotePostgres, targetColumnName } = require('./identifiers');
+
+// Integer types PostgreSQL accepts for identity columns, and their serial equivalents
+const SERIAL_TYPES = {
+    SMALLINT: 'SMALLSERIAL',
+    INTEGER: 'SERIAL',
+    BIGINT: 'BIGSERIAL'
+};
+
+// Function to check whether a MySQL column is AUTO_INCREMENT (from DESCRIBE's Extra column)
+const isAutoIncrement = (col) => /auto_increment/i.test(col.Extra || '');
+
+// Function to build the type clause of an auto-increment column
+// style 'identity' -> INTEGER GENERATED BY DEFAULT AS IDENTITY, style 'serial' -> SERIAL
+const buildAutoIncrementType = (pgType, style) => {
+    // Identity and serial columns must be integers; bigint unsigned (NUMERIC(20,0)) falls back to BIGINT
+    const integerType = SERIAL_TYPES[pgType] ? pgType : 'BIGINT';
+
+    if (style === 'serial') {
+        return SERIAL_TYPES[integerType];
+    }
+    return `${integerType} GENERATED BY DEFAULT AS IDENTITY`;
+};
+
+// Function to get MySQL's next AUTO_INCREMENT value for a table (null when it has none)
+const getMySQLAutoIncrement = async (tableName) => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT auto_increment AS autoIncrement
+        FROM information_schema.tables
+        WHERE table_schema = DATABASE() AND table_name = ?
+    `, [tableName]);
+
+    return rows[0] && rows[0].autoIncrement !== null ? Number(rows[0].autoIncrement) : null;
+};
+
+// Function to list the sequence-backed (identity or serial) columns of the PostgreSQL table of a MySQL table
+// (column_name is the PostgreSQL column name)
+const getSequenceColumns = async (tableName, settings = {}) => {
+    const result = await postgresPool.query(`
+        SELECT a.attname AS column_name, pg_get_serial_sequence($1::text, a.attname) AS sequence_name
+        FROM pg_attribute a
+        WHERE a.attrelid = to_regclass($1::text)
+          AND a.attnum > 0
+          AND NOT a.attisdropped
+          AND pg_get_serial_sequence($1::text, a.attname) IS NOT NULL
+    `, [pgTable(tableName, settings)]);
+
+    return result.rows;
+};
+
+// Function to build the statement that does what resyncTableSequences does for one column,
+// for DDL scripts that run without a connection to MySQL
+// (columnName is the MySQL column name)
+const buildSequenceSetupStatement = (tableName, columnName, mysqlNext, settings = {}) => {
+    const table = pgTable(tableName, settings);
+    // pg_get_serial_sequence() parses its table argument as SQL but takes the column name literally
+    const tableLiteral = `'${table.replace(/'/g, "''")}'`;
+    const columnLiteral = `'${targetColumnName(tableName, columnName, settings).replace(/'/g, "''")}'`;
+    return `SELECT setval(pg_get_serial_sequence(${tableLiteral}, ${columnLiteral}), ` +
+        `GREATEST(COALESCE((SELECT MAX(${pgColumn(tableName, columnName, settings)}) FROM ${table}), 0) + 1, ${mysqlNext || 1}), false)`;
+};
+
+// Function to move every sequence of a table past MAX(column) and MySQL's AUTO_INCREMENT counter
+const resyncTableSequences = async (tableName, settings = {}) => {
+    const [sequenceColumns, mysqlNext] = await Promise.all([
+        getSequenceColumns(tableName, settings),
+        getMySQLAutoIncrement(tableName).catch(() => null)
+    ]);
+
+    const results = [];
+    for (const { column_name: columnName, sequence_name: sequenceName } of sequenceColumns) {
+        const result = await postgresPool.query(`
+            SELECT setval($1, GREATEST(COALESCE((SELECT MAX(${quotePostgres(columnName)}) FROM ${pgTable(tableName, settings)}), 0) + 1, $2::bigint), false) AS next_value
+        `, [sequenceName, mysqlNext || 1]);
+
+        const nextValue = parseInt(result.rows[0].next_value);
+        console.log(`🔢 ${tableName}.${columnName}: sequence ${sequenceName} next value ${nextValue.toLocaleString()}`);
+        results.push({ tableName, columnName, sequenceName, nextValue });
+    }
+
+    return results;
+};
+
+module.exports = {
+    isAutoIncrement,
+    buildAutoIncrementType,
+    getMySQLAutoIncrement,
+    getSequenceColumns,
+    buildSequenceSetupStatement,
+    resyncTableSequences
+};
@@ -0,0 +1,252 @@
+const { mysqlPool, mysqlPromisePool } = require('../config/database');
+const { buildSelectList } = require('./type-mapper');
+const { quoteMySQL } = require('./identifiers');
+const { createTextTypeCast } = require('./sanitizer');
+
+// Read BIGINT values as strings so unsigned and large values keep every digit, and DATE / DATETIME /
+// TIMESTAMP values as text so they keep their microseconds and are not shifted by the Node time zone
+const READ_OPTIONS = {
+    supportBigNumbers: true,
+    bigNumberStrings: true,
+    dateStrings: true
+};
+
+// Function to build the read options of a table (text columns read as bytes for the sanitizer)
+const buildReadOptions = (columns, keyColumns = []) => {
+    const typeCast = createTextTypeCast(columns, keyColumns);
+    return typeCast ? { ...READ_OPTIONS, typeCast } : READ_OPTIONS;
+};
+
+// Function to get the primary key columns in key order
+const getPrimaryKeyColumns = async (tableName) => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT column_name AS columnName
+        FROM information_schema.statistics
+        WHERE table_schema = DATABASE() AND table_name = ? AND index_name = 'PRIMARY'
+        ORDER BY seq_in_index
+    `, [tableName]);
+
+    return rows.map(row => row.columnName);
+};
+
+// Function to find a unique index whose columns are all NOT NULL (usable as a seek key)
+const getUniqueNotNullKeyColumns = async (tableName) => {
+    const [rows] = await mysqlPromisePool.execute(`
+        SELECT index_name AS indexName, column_name AS columnName, nullable AS nullable, sub_part AS subPart
+        FROM information_schema.statistics
+        WHERE table_schema = DATABASE() AND table_name = ? AND non_unique = 0 AND index_name <> 'PRIMARY'
+        ORDER BY index_name, seq_in_index
+    `, [tableName]);
+
+    const indexes = new Map();
+    rows.forEach(row => {
+        if (!indexes.has(row.indexName)) indexes.set(row.indexName, []);
+        indexes.get(row.indexName).push(row);
+    });
+
+    // Prefix indexes only guarantee uniqueness of the prefix, so they cannot order rows
+    const usable = [...indexes.values()]
+        .filter(parts => parts.every(part => part.nullable !== 'YES' && part.subPart === null))
+        .sort((a, b) => a.length - b.length);
+
+    return usable.length > 0 ? usable[0].map(part => part.columnName) : [];
+};
+
+// Function to pick the seek key for a table: configured columns, primary key, or unique NOT NULL index
+const resolveKeyColumns = async (tableName, columns, configuredColumns) => {
+    if (configuredColumns && configuredColumns.length > 0) {
+        const fieldNames = columns.map(col => col.Field);
+        const missing = configuredColumns.filter(column => !fieldNames.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`Key column(s) ${missing.join(', ')} do not exist in ${tableName}`);
+        }
+        return configuredColumns;
+    }
+
+    const primaryKey = await getPrimaryKeyColumns(tableName);
+    if (primaryKey.length > 0) return primaryKey;
+
+    return getUniqueNotNullKeyColumns(tableName);
+};
+
+// Function to build the seek condition for a composite key:
+// (a, b) > (x, y)  =>  a > x OR (a = x AND b > y)
+const buildSeekCondition = (keyColumns) => {
+    const terms = keyColumns.map((column, index) => {
+        const equalities = keyColumns.slice(0, index).map(previous => `${quoteMySQL(previous)} = ?`);
+        return `(${[...equalities, `${quoteMySQL(column)} > ?`].join(' AND ')})`;
+    });
+
+    return terms.join(' OR ');
+};
+
+// Function to build the parameters matching buildSeekCondition for the last key seen
+const buildSeekParams = (keyColumns, lastKey) => {
+    const params = [];
+    keyColumns.forEach((column, index) => {
+        keyColumns.slice(0, index).forEach(previous => params.push(lastKey[previous]));
+        params.push(lastKey[column]);
+    });
+    return params;
+};
+
+// Integer MySQL types a table can be split into key ranges on
+const INTEGER_TYPE = /^(tinyint|smallint|mediumint|int|integer|bigint)\b/i;
+
+// Function to split a table into `parts` ranges of its leading key column ({ column, from, to },
+// from inclusive, to exclusive, outer bounds open). The span between MIN and MAX is divided evenly,
+// so skewed keys give uneven ranges. Returns null when the key is not an integer or the table is empty.
+// filter: MySQL condition limiting the rows that are copied (null = every row)
+const planKeyRanges = async (tableName, columns, keyColumns, parts, filter = null) => {
+    const column = keyColumns[0];
+    const keyColumn = columns.find(col => col.Field === column);
+    if (!keyColumn || !INTEGER_TYPE.test(keyColumn.Type) || parts < 2) return null;
+
+    const [rows] = await mysqlPromisePool.query({
+        sql: `SELECT MIN(${quoteMySQL(column)}) AS low, MAX(${quoteMySQL(column)}) AS high ` +
+            `FROM ${quoteMySQL(tableName)}${filter ? ` WHERE ${filter}` : ''}`,
+        ...READ_OPTIONS
+    });
+    if (rows[0].low === null) return null;
+
+    const low = BigInt(rows[0].low);
+    const span = BigInt(rows[0].high) - low + 1n;
+    const count = span < BigInt(parts) ? span : BigInt(parts);
+    if (count < 2n) return null;
+
+    const step = span / count;
+    const ranges = [];
+    for (let index = 0n; index < count; index++) {
+        ranges.push({
+            column,
+            from: index === 0n ? null : (low + step * index).toString(),
+            to: index === count - 1n ? null : (low + step * (index + 1n)).toString()
+        });
+    }
+    return ranges;
+};
+
+// Function to build the WHERE conditions limiting a read to a key range
+const buildRangeConditions = (range) => {
+    const conditions = [];
+    const params = [];
+    if (range && range.from !== null) {
+        conditions.push(`${quoteMySQL(range.column)} >= ?`);
+        params.push(range.from);
+    }
+    if (range && range.to !== null) {
+        conditions.push(`${quoteMySQL(range.column)} < ?`);
+        params.push(range.to);
+    }
+    return { conditions, params };
+};
+
+// Function to read a table (or one key range of it) in key order, one chunk at a time, seeking past the last key
+// (filter: MySQL condition limiting the rows read, null = every row)
+async function* readKeysetChunks(tableName, selectList, keyColumns, chunkSize, startAfter = null, range = null, filter = null, readOptions = READ_OPTIONS) {
+    const orderBy = keyColumns.map(quoteMySQL).join(', ');
+    const seekCondition = buildSeekCondition(keyColumns);
+    const rangeConditions = buildRangeConditions(range);
+    let lastKey = startAfter;
+
+    while (true) {
+        const conditions = filter ? [filter, ...rangeConditions.conditions] : [...rangeConditions.conditions];
+        const params = [...rangeConditions.params];
+        if (lastKey) {
+            conditions.push(`(${seekCondition})`);
+            params.push(...buildSeekParams(keyColumns, lastKey));
+        }
+
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const sql = `SELECT ${selectList} FROM ${quoteMySQL(tableName)}${where} ORDER BY ${orderBy} LIMIT ${chunkSize}`;
+
+        const [rows] = await mysqlPromisePool.query({ sql, ...readOptions }, params);
+        if (rows.length === 0) return;
+
+        const lastRow = rows[rows.length - 1];
+        lastKey = Object.fromEntries(keyColumns.map(column => [column, lastRow[column]]));
+
+        yield rows;
+
+        if (rows.length < chunkSize) return;
+    }
+}
+
+// Function to read a table through a server-side streaming cursor, grouped into chunks
+async function* readStreamChunks(tableName, selectList, chunkSize, filter = null, readOptions = READ_OPTIONS) {
+    const connection = await new Promise((resolve, reject) => {
+        mysqlPool.getConnection((error, conn) => (error ? reject(error) : resolve(conn)));
+    });
+
+    const stream = connection
+        .query({ sql: `SELECT ${selectList} FROM ${quoteMySQL(tableName)}${filter ? ` WHERE ${filter}` : ''}`, ...readOptions })
+        .stream({ highWaterMark: chunkSize });
+
+    try {
+        let chunk = [];
+        for await (const row of stream) {
+            chunk.push(row);
+            if (chunk.length >= chunkSize) {
+                yield chunk;
+                chunk = [];
+            }
+        }
+        if (chunk.length > 0) yield chunk;
+    } finally {
+        // Abandoning a half-read stream leaves the connection mid-result, so drop it
+        if (stream.readableEnded) {
+            connection.release();
+        } else {
+            connection.destroy();
+        }
+    }
+}
+
+// Function to read the current rows for a list of keys ({ column: value } objects)
+const readRowsByKeys = async (tableName, selectList, keyColumns, keys, readOptions = READ_OPTIONS) => {
+    if (keys.length === 0) return [];
+
+    const tuple = `(${keyColumns.map(() => '?').join(', ')})`;
+    const sql = `SELECT ${selectList} FROM ${quoteMySQL(tableName)} WHERE (${keyColumns.map(quoteMySQL).join(', ')}) IN (${keys.map(() => tuple).join(', ')})`;
+    const params = keys.flatMap(key => keyColumns.map(column => key[column]));
+
+    const [rows] = await mysqlPromisePool.query({ sql, ...readOptions }, params);
+    return rows;
+};
+
+// Function to open the best available chunk reader for a table (startAfter resumes a keyset read,
+// range limits it to a key range from planKeyRanges, settings.SOURCE_FILTERS to the rows of a subset)
+const openSourceReader = async (tableName, columns, settings, startAfter = null, range = null) => {
+    const configuredColumns = (settings.KEY_COLUMNS || {})[tableName];
+    const filter = (settings.SOURCE_FILTERS || {})[tableName] || null;
+    const keyColumns = await resolveKeyColumns(tableName, columns, configuredColumns);
+    const selectList = buildSelectList(tableName, columns, settings);
+    const readOptions = buildReadOptions(columns, keyColumns);
+
+    if (keyColumns.length > 0) {
+        return {
+            mode: 'keyset',
+            keyColumns,
+            chunks: readKeysetChunks(tableName, selectList, keyColumns, settings.STREAM_LIMIT, startAfter, range, filter, readOptions)
+        };
+    }
+
+    return {
+        mode: 'stream',
+        keyColumns: [],
+        chunks: readStreamChunks(tableName, selectList, settings.STREAM_LIMIT, filter, readOptions)
+    };
+};
+
+module.exports = {
+    getPrimaryKeyColumns,
+    resolveKeyColumns,
+    buildSeekCondition,
+    buildSeekParams,
+    buildReadOptions,
+    readKeysetChunks,
+    readStreamChunks,
+    readRowsByKeys,
+    planKeyRanges,
+    openSourceReader
+};
@@ -0,0 +1,694 @@
+const { convertDataType } = require('./type-mapper');
+const { quotePostgres, applyNameCase, targetTableName, targetColumnName, targetSchema } = require('./identifiers');
+
+// Translation of MySQL view, trigger and routine bodies to PostgreSQL SQL and PL/pgSQL.
+// The text is tokenized and rewritten token by token: quoting, names, functions and the
+// compound statement syntax. What cannot be rewritten is returned as an issue, so the object
+// is listed for manual work instead of being created wrong.
+
+// Multi-character operators, longest first
+const OPERATORS = ['<=>', '->>', '<=', '>=', '<>', '!=', ':=', '||', '&&', '->', '<<', '>>'];
+
+// Function to split MySQL SQL text into tokens { type, value, text }
+// type: space, comment, string, quoted (backtick identifier), word, number or op
+const tokenize = (sql) => {
+    const tokens = [];
+    let index = 0;
+
+    const push = (type, text, value = text) => {
+        tokens.push({ type, value, text });
+        index += text.length;
+    };
+
+    while (index < sql.length) {
+        const rest = sql.slice(index);
+        const char = sql[index];
+        let match;
+
+        if ((match = rest.match(/^\s+/))) {
+            push('space', match[0]);
+        } else if ((match = rest.match(/^(--[ \t][^\n]*|--$|#[^\n]*)/))) {
+            push('comment', match[0], `--${match[0].replace(/^(--|#)/, '')}`);
+        } else if (rest.startsWith('/*')) {
+            const end = sql.indexOf('*/', index + 2);
+            const text = end === -1 ? rest : sql.slice(index, end + 2);
+            push('comment', text);
+        } else if (char === "'" || char === '"') {
+            // MySQL strings: doubled quotes and backslash escapes
+            let value = '';
+            let position = index + 1;
+            while (position < sql.length) {
+                const current = sql[position];
+                if (current === '\\' && position + 1 < sql.length) {
+                    const escaped = sql[position + 1];
+                    value += { n: '\n', t: '\t', r: '\r', 0: '\0', Z: '\x1a', b: '\b' }[escaped] || escaped;
+                    position += 2;
+                } else if (current === char && sql[position + 1] === char) {
+                    value += char;
+                    position += 2;
+                } else if (current === char) {
+                    position++;
+                    break;
+                } else {
+                    value += current;
+                    position++;
+                }
+            }
+            push('string', sql.slice(index, position), value);
+        } else if (char === '`') {
+            let position = index + 1;
+            let value = '';
+            while (position < sql.length) {
+                if (sql[position] === '`' && sql[position + 1] === '`') {
+                    value += '`';
+                    position += 2;
+                } else if (sql[position] === '`') {
+                    position++;
+                    break;
+                } else {
+                    value += sql[position++];
+                }
+            }
+            push('quoted', sql.slice(index, position), value);
+        } else if ((match = rest.match(/^(0x[0-9a-fA-F]+|\d+(\.\d*)?([eE][+-]?\d+)?|\.\d+)/))) {
+            push('number', match[0]);
+        } else if ((match = rest.match(/^@@?[A-Za-z0-9_$.]+|^@`[^`]*`|^[A-Za-z_$\u0080-￿][A-Za-z0-9_$\u0080-￿]*/))) {
+            push('word', match[0]);
+        } else {
+            const operator = OPERATORS.find(op => rest.startsWith(op));
+            push('op', operator || char);
+        }
+    }
+
+    return tokens;
+};
+
+const isSignificant = (token) => token.type !== 'space' && token.type !== 'comment';
+const isWord = (token, ...words) => Boolean(token) && token.type === 'word' && words.includes(token.value.toUpperCase());
+const isOp = (token, op) => Boolean(token) && token.type === 'op' && token.value === op;
+
+// Function to get the index of the next significant token at or after index (end when none)
+const nextSignificant = (tokens, index, end = tokens.length) => {
+    while (index < end && !isSignificant(tokens[index])) index++;
+    return index;
+};
+
+// Keywords a parenthesized group can follow without being a function call
+const OPERAND_KEYWORDS = [
+    'SELECT', 'WHERE', 'HAVING', 'AND', 'OR', 'NOT', 'XOR', 'ON', 'IN', 'EXISTS', 'WHEN', 'THEN', 'ELSE',
+    'RETURN', 'SET', 'BY', 'AS', 'FROM', 'JOIN', 'USING', 'VALUES', 'DISTINCT', 'ALL', 'ANY', 'SOME', 'IS',
+    'LIKE', 'BETWEEN', 'CASE', 'UNTIL', 'WHILE', 'DIV', 'MOD'
+];
+
+// Function to get the index of the closing parenthesis of the one at index
+const matchingParen = (tokens, index, end = tokens.length) => {
+    let depth = 0;
+    for (let position = index; position < end; position++) {
+        if (isOp(tokens[position], '(')) depth++;
+        if (isOp(tokens[position], ')') && --depth === 0) return position;
+    }
+    return end;
+};
+
+// Function to find the first token at parenthesis depth 0 in [start, end) that matches
+const findTopLevel = (tokens, start, end, matches) => {
+    let depth = 0;
+    for (let position = start; position < end; position++) {
+        const token = tokens[position];
+        if (depth === 0 && matches(token, position)) return position;
+        if (isOp(token, '(')) depth++;
+        if (isOp(token, ')')) depth--;
+    }
+    return -1;
+};
+
+// Function to split [start, end) at the commas of parenthesis depth 0 into [start, end) ranges
+const splitTopLevel = (tokens, start, end) => {
+    const ranges = [];
+    let from = start;
+    let position;
+    while ((position = findTopLevel(tokens, from, end, token => isOp(token, ','))) !== -1) {
+        ranges.push([from, position]);
+        from = position + 1;
+    }
+    ranges.push([from, end]);
+    return ranges;
+};
+
+const rawText = (tokens, start, end) => tokens.slice(start, end).map(token => token.text).join('').trim();
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// MySQL CAST / CONVERT target types that PostgreSQL spells differently
+const CAST_TYPES = {
+    SIGNED: 'BIGINT',
+    UNSIGNED: 'NUMERIC(20,0)',
+    CHAR: 'TEXT',
+    NCHAR: 'TEXT',
+    DATETIME: 'TIMESTAMP',
+    BINARY: 'BYTEA',
+    JSON: 'JSONB',
+    DOUBLE: 'DOUBLE PRECISION',
+    FLOAT: 'REAL'
+};
+
+// Function to translate the target type of a CAST / CONVERT
+const translateCastType = (text) => {
+    const match = text.trim().match(/^(\w+)\s*(\(\s*\d+(\s*,\s*\d+)?\s*\))?(\s+INTEGER|\s+INT)?$/i);
+    if (!match) return text.trim();
+    const base = match[1].toUpperCase();
+    if (base === 'CHAR' && match[2]) return `VARCHAR${match[2].replace(/\s+/g, '')}`;
+    return CAST_TYPES[base] || text.trim().toUpperCase();
+};
+
+// INTERVAL units of DATE_ADD / DATE_SUB
+const INTERVAL_UNITS = {
+    MICROSECOND: '1 microsecond',
+    SECOND: '1 second',
+    MINUTE: '1 minute',
+    HOUR: '1 hour',
+    DAY: '1 day',
+    WEEK: '1 week',
+    MONTH: '1 month',
+    QUARTER: '3 months',
+    YEAR: '1 year'
+};
+
+// Functions PostgreSQL lacks and that have no mechanical translation
+const UNTRANSLATABLE_FUNCTIONS = [
+    'DATE_FORMAT', 'STR_TO_DATE', 'TIME_FORMAT', 'TIMESTAMPDIFF', 'TIMESTAMPADD', 'FOUND_ROWS', 'ROW_COUNT',
+    'GET_LOCK', 'RELEASE_LOCK', 'IS_FREE_LOCK', 'JSON_EXTRACT', 'JSON_UNQUOTE', 'JSON_SET', 'JSON_CONTAINS',
+    'SHA1', 'SHA2', 'INET_ATON', 'INET_NTOA', 'FORMAT', 'ELT', 'FIELD', 'WEEKDAY', 'DAYNAME', 'MONTHNAME'
+];
+
+// Function rules: name -> (args, raw) => PostgreSQL text
+// args: translated arguments, raw: { tokens, ranges } of the untranslated ones
+const FUNCTIONS = {
+    IFNULL: (args) => `COALESCE(${args.join(', ')})`,
+    IF: (args) => `(CASE WHEN ${args[0]} THEN ${args[1]} ELSE ${args[2]} END)`,
+    NOW: (args) => (args[0] ? `CURRENT_TIMESTAMP(${args[0]})` : 'CURRENT_TIMESTAMP'),
+    CURRENT_TIMESTAMP: (args) => (args[0] ? `CURRENT_TIMESTAMP(${args[0]})` : 'CURRENT_TIMESTAMP'),
+    LOCALTIMESTAMP: (args) => (args[0] ? `LOCALTIMESTAMP(${args[0]})` : 'LOCALTIMESTAMP'),
+    SYSDATE: () => 'clock_timestamp()',
+    CURDATE: () => 'CURRENT_DATE',
+    CURRENT_DATE: () => 'CURRENT_DATE',
+    CURTIME: () => 'CURRENT_TIME',
+    UTC_TIMESTAMP: () => "(CURRENT_TIMESTAMP AT TIME ZONE 'UTC')",
+    UNIX_TIMESTAMP: (args) => `extract(epoch from ${args[0] ? `(${args[0]})::timestamptz` : 'CURRENT_TIMESTAMP'})::bigint`,
+    FROM_UNIXTIME: (args) => `to_timestamp(${args[0]})`,
+    DATEDIFF: (args) => `((${args[0]})::date - (${args[1]})::date)`,
+    LCASE: (args) => `lower(${args[0]})`,
+    UCASE: (args) => `upper(${args[0]})`,
+    LENGTH: (args) => `octet_length(${args[0]})`,
+    RAND: () => 'random()',
+    INSTR: (args) => `strpos(${args[0]}, ${args[1]})`,
+    LOCATE: (args, raw, issue) => {
+        if (args.length > 2) issue('LOCATE with a start position');
+        return `strpos(${args[1]}, ${args[0]})`;
+    },
+    TRUNCATE: (args) => `trunc(${args.join(', ')})`,
+    FIND_IN_SET: (args) => `COALESCE(array_position(string_to_array(${args[1]}, ','), ${args[0]}), 0)`,
+    LAST_INSERT_ID: () => 'lastval()',
+    UUID: () => 'gen_random_uuid()::text',
+    DATE_ADD: (args, raw, issue, translate) => translateDateArithmetic('+', args, raw, issue, translate),
+    ADDDATE: (args, raw, issue, translate) => translateDateArithmetic('+', args, raw, issue, translate),
+    DATE_SUB: (args, raw, issue, translate) => translateDateArithmetic('-', args, raw, issue, translate),
+    SUBDATE: (args, raw, issue, translate) => translateDateArithmetic('-', args, raw, issue, translate),
+    CAST: (args, raw, issue, translate) => {
+        const { tokens, start, end } = raw;
+        const as = findTopLevel(tokens, start, end, token => isWord(token, 'AS'));
+        if (as === -1) return `CAST(${args.join(', ')})`;
+        return `CAST(${translate(start, as).trim()} AS ${translateCastType(rawText(tokens, as + 1, end))})`;
+    },
+    CONVERT: (args, raw, issue, translate) => {
+        const { tokens, start, end, ranges } = raw;
+        const using = findTopLevel(tokens, start, end, token => isWord(token, 'USING'));
+        if (using !== -1) return translate(start, using).trim();
+        return `CAST(${args[0]} AS ${translateCastType(rawText(tokens, ranges[1][0], ranges[1][1]))})`;
+    },
+    GROUP_CONCAT: (args, raw, issue, translate) => {
+        const { tokens, start, end } = raw;
+        let from = nextSignificant(tokens, start, end);
+        const distinct = isWord(tokens[from], 'DISTINCT');
+        if (distinct) from++;
+
+        const separator = findTopLevel(tokens, from, end, token => isWord(token, 'SEPARATOR'));
+        const orderBy = findTopLevel(tokens, from, separator === -1 ? end : separator, (token, position) =>
+            isWord(token, 'ORDER') && isWord(tokens[nextSignificant(tokens, position + 1, end)], 'BY'));
+        const valuesEnd = orderBy !== -1 ? orderBy : separator !== -1 ? separator : end;
+
+        const values = splitTopLevel(tokens, from, valuesEnd).map(([a, b]) => translate(a, b).trim());
+        const value = values.length > 1 ? `concat(${values.join(', ')})` : values[0];
+        const orderEnd = separator === -1 ? end : separator;
+        let order = orderBy !== -1 ? ` ${translate(orderBy, orderEnd).trim()}` : '';
+        // With DISTINCT, PostgreSQL only orders by the aggregated expression itself, the ::text value;
+        // that keeps MySQL's order for text values only (numbers and dates would sort as text)
+        if (distinct && orderBy !== -1) {
+            const by = nextSignificant(tokens, orderBy + 1, orderEnd);
+            const items = splitTopLevel(tokens, by + 1, orderEnd).map(([a, b]) => translate(a, b).trim());
+            const direction = (item) => (/\s(ASC|DESC)$/i.exec(item) || [''])[0].toUpperCase();
+            const onValue = values.length === 1 && items.every(item => item.replace(/\s+(ASC|DESC)$/i, '') === values[0]);
+            if (onValue && raw.isTextValue(from, valuesEnd)) {
+                order = ` ORDER BY (${value})::text${direction(items[0])}`;
+            } else {
+                issue(onValue
+                    ? 'GROUP_CONCAT(DISTINCT ... ORDER BY ...) of a value that is not text'
+                    : 'GROUP_CONCAT(DISTINCT ...) ordered by another expression');
+                order = '';
+            }
+        }
+        const glue = separator !== -1 ? translate(separator + 1, end).trim() : "','";
+        return `string_agg(${distinct ? 'DISTINCT ' : ''}(${value})::text, ${glue}${order})`;
+    }
+};
+
+// Function to translate DATE_ADD(date, INTERVAL n unit) and its relatives to interval arithmetic
+function translateDateArithmetic(sign, args, raw, issue, translate) {
+    const { tokens, ranges } = raw;
+    const [start, end] = ranges[1] || [];
+    const interval = start === undefined ? -1 : nextSignificant(tokens, start, end);
+
+    if (interval === -1 || !isWord(tokens[interval], 'INTERVAL')) {
+        // ADDDATE(date, days)
+        return `(${args[0]} ${sign} (${args[1]}) * INTERVAL '1 day')`;
+    }
+
+    let unitIndex = end - 1;
+    while (unitIndex > interval && !isSignificant(tokens[unitIndex])) unitIndex--;
+    const unit = INTERVAL_UNITS[tokens[unitIndex].value.toUpperCase()];
+    if (!unit) {
+        issue(`INTERVAL unit ${tokens[unitIndex].value}`);
+        return `(${args[0]} ${sign} ${args[1]})`;
+    }
+    return `(${args[0]} ${sign} (${translate(interval + 1, unitIndex).trim()}) * INTERVAL '${unit}')`;
+}
+
+// Function to create the translator of one object body
+// context: { settings, database, tables: Map of MySQL table -> column names, textColumns: Map of MySQL
+// table -> its text column names, routines: Set of routine names,
+// defaultTable: table whose columns NEW / OLD and unqualified names refer to (triggers) }
+const createTranslator = (tokens, context, issues) => {
+    const { settings = {}, database = null, tables = new Map(), textColumns = new Map(), routines = new Set(), defaultTable = null } = context;
+    const issue = (text) => {
+        if (!issues.includes(text)) issues.push(text);
+    };
+
+    // Function to find the MySQL table and column of a column name (MySQL column names ignore case)
+    const findColumn = (name, qualifier) => {
+        const candidates = qualifier && tables.has(qualifier)
+            ? [qualifier]
+            : [defaultTable, ...tables.keys()].filter(Boolean);
+        for (const tableName of candidates) {
+            const column = (tables.get(tableName) || []).find(field => field.toLowerCase() === name.toLowerCase());
+            if (column) return { tableName, column };
+        }
+        return null;
+    };
+
+    // Function to map an identifier; bare words are mapped only when they are exactly a table or column name
+    const mapIdentifier = (name, position, quoted) => {
+        const next = tokens[nextSignificant(tokens, position + 1)];
+        const previous = tokens.slice(0, position).reverse().find(isSignificant);
+        const qualified = isOp(previous, '.');
+
+        if (!qualified && isOp(next, '.') && database && name === database) {
+            return quotePostgres(targetSchema(settings));
+        }
+        if (isOp(next, '(') && routines.has(name)) {
+            return quotePostgres(applyNameCase(name, settings));
+        }
+
+        let mapped = null;
+        if (!qualified && tables.has(name)) {
+            mapped = targetTableName(name, settings);
+        } else {
+            let qualifier = null;
+            if (qualified) {
+                const before = tokens.slice(0, position).reverse().filter(isSignificant)[1];
+                qualifier = before ? before.value : null;
+                if (isWord(before, 'NEW', 'OLD')) qualifier = defaultTable;
+            }
+            const found = findColumn(name, qualifier);
+            if (found && (quoted || found.column === name)) {
+                mapped = targetColumnName(found.tableName, found.column, settings);
+            }
+        }
+
+        if (quoted) return quotePostgres(mapped || applyNameCase(name, settings));
+        return mapped && mapped !== name.toLowerCase() ? quotePostgres(mapped) : name;
+    };
+
+    // Function to check whether the tokens [start, end) are a text value: a string literal or a text column
+    const isTextValue = (start, end) => {
+        const parts = [];
+        for (let position = start; position < end; position++) {
+            if (isSignificant(tokens[position])) parts.push(tokens[position]);
+        }
+        if (parts.length === 1 && parts[0].type === 'string') return true;
+
+        const name = parts[parts.length - 1];
+        const qualified = parts.length === 3 && isOp(parts[1], '.');
+        if (!name || (parts.length !== 1 && !qualified) || (name.type !== 'word' && name.type !== 'quoted')) return false;
+        const found = findColumn(name.value, qualified ? parts[0].value : null);
+        return Boolean(found) && (textColumns.get(found.tableName) || []).includes(found.column);
+    };
+
+    // Function to get the end of the operand starting at start (a parenthesized group, a function call,
+    // a qualified name or a single value), or -1 when no operand starts there
+    const operandEnd = (start, end) => {
+        const token = tokens[start];
+        if (isOp(token, '(')) return matchingParen(tokens, start, end) + 1;
+        if (!token || !['word', 'quoted', 'number', 'string'].includes(token.type)) return -1;
+
+        let next = nextSignificant(tokens, start + 1, end);
+        if (token.type === 'word' && isOp(tokens[next], '(')) {
+            // WHERE (...), IN (...): the group after the keyword is the operand
+            if (OPERAND_KEYWORDS.includes(token.value.toUpperCase())) return -1;
+            return matchingParen(tokens, next, end) + 1;
+        }
+        let last = start;
+        while (isOp(tokens[next], '.')) {
+            last = nextSignificant(tokens, next + 1, end);
+            next = nextSignificant(tokens, last + 1, end);
+        }
+        return last + 1;
+    };
+
+    // Function to translate the tokens [start, end) to PostgreSQL text
+    const translate = (start, end) => {
+        let out = '';
+        let position = start;
+
+        while (position < end) {
+            const token = tokens[position];
+            const upper = token.type === 'word' ? token.value.toUpperCase() : null;
+            const next = nextSignificant(tokens, position + 1, end);
+
+            // a DIV b truncates to an integer; PostgreSQL's / only does for two integers
+            const operand = isSignificant(token) ? operandEnd(position, end) : -1;
+            let after = operand === -1 ? end : nextSignificant(tokens, operand, end);
+            if (after < end && isWord(tokens[after], 'DIV')) {
+                const previous = tokens.slice(start, position).reverse().find(isSignificant);
+                if (isOp(previous, '*') || isOp(previous, '/') || isOp(previous, '%') || isWord(previous, 'MOD')) {
+                    issue('DIV after * / % or MOD');
+                }
+                let expression = translate(position, operand).trim();
+                let expressionEnd = operand;
+                while (after < end && isWord(tokens[after], 'DIV')) {
+                    const right = nextSignificant(tokens, after + 1, end);
+                    const rightEnd = operandEnd(right, end);
+                    if (rightEnd === -1) break;
+                    expression = `div(${expression}, ${translate(right, rightEnd).trim()})`;
+                    expressionEnd = rightEnd;
+                    after = nextSignificant(tokens, expressionEnd, end);
+                }
+                out += expression;
+                position = expressionEnd;
+                continue;
+            }
+
+            if (token.type === 'space') {
+                out += token.text;
+            } else if (token.type === 'comment') {
+                out += token.value;
+            } else if (token.type === 'string') {
+                out += quoteLiteral(token.value);
+            } else if (token.type === 'quoted') {
+                out += mapIdentifier(token.value, position, true);
+            } else if (token.type === 'number') {
+                if (/^0x/i.test(token.text)) issue(`hex literal ${token.text}`);
+                out += token.text;
+            } else if (token.type === 'op') {
+                if (token.value === '<=>') out += 'IS NOT DISTINCT FROM';
+                else if (token.value === '&&') out += 'AND';
+                else if (token.value === '||') out += 'OR';
+                else if (token.value === ':=' || token.value === '->' || token.value === '->>') {
+                    issue(`operator ${token.value}`);
+                    out += token.value;
+                } else if (token.value === '(') {
+                    const close = matchingParen(tokens, position, end);
+                    out += `(${translate(position + 1, close)})`;
+                    position = close;
+                } else {
+                    out += token.text;
+                }
+            } else if (token.value.startsWith('@')) {
+                issue(`${token.value.startsWith('@@') ? 'system' : 'user'} variable ${token.value}`);
+                out += token.value;
+            } else if (/^_[a-z0-9]+$/i.test(token.value) && tokens[position + 1] && tokens[position + 1].type === 'string') {
+                // Character set introducer such as _utf8mb4'text'
+            } else if (upper === 'COLLATE') {
+                // MySQL collation names do not exist in PostgreSQL
+                position = nextSignificant(tokens, next + 1, end) - 1;
+            } else if (upper === 'STRAIGHT_JOIN') {
+                out += 'JOIN';
+            } else if (upper === 'DIV') {
+                issue('DIV without a right operand');
+                out += '/';
+            } else if (upper === 'MOD' && !isOp(tokens[next], '(')) {
+                out += '%';
+            } else if (upper === 'REGEXP' || upper === 'RLIKE') {
+                out += '~';
+            } else if (upper === 'LIMIT' && isOp(tokens[nextSignificant(tokens, next + 1, end)], ',')) {
+                // LIMIT offset, count
+                const comma = nextSignificant(tokens, next + 1, end);
+                const count = nextSignificant(tokens, comma + 1, end);
+                out += `LIMIT ${translate(count, count + 1)} OFFSET ${translate(next, next + 1)}`;
+                position = count;
+            } else if (FUNCTIONS[upper] && isOp(tokens[next], '(') && !isOp(tokens.slice(0, position).reverse().find(isSignificant), '.')) {
+                const close = matchingParen(tokens, next, end);
+                const ranges = splitTopLevel(tokens, next + 1, close);
+                const empty = ranges.length === 1 && nextSignificant(tokens, ranges[0][0], ranges[0][1]) === ranges[0][1];
+                const args = empty ? [] : ranges.map(([a, b]) => translate(a, b).trim());
+                out += FUNCTIONS[upper](args, { tokens, start: next + 1, end: close, ranges, isTextValue }, issue, translate);
+                position = close;
+            } else {
+                if (UNTRANSLATABLE_FUNCTIONS.includes(upper) && isOp(tokens[next], '(')) issue(`function ${token.value}()`);
+                out += mapIdentifier(token.value, position, false);
+            }
+
+            position++;
+        }
+
+        return out;
+    };
+
+    return { translate, issue };
+};
+
+// Function to translate a MySQL query or expression (a view definition) to PostgreSQL
+// Returns { sql, issues }: issues lists the constructs that need manual work
+const translateSql = (sql, context = {}) => {
+    const tokens = tokenize(sql);
+    const issues = [];
+    const { translate } = createTranslator(tokens, context, issues);
+    return { sql: translate(0, tokens.length).trim(), issues };
+};
+
+// Words that end a statement header (IF ... THEN, WHILE ... DO, ...)
+const CONTROL_ENDS = ['IF', 'CASE', 'LOOP', 'WHILE', 'REPEAT'];
+
+// Function to find the end of the statement starting at start: its top-level semicolon, or the end.
+// BEGIN ... END blocks inside the statement (handler bodies) are skipped.
+const statementEnd = (tokens, start) => {
+    let depth = 0;
+    let blocks = 0;
+    for (let position = start; position < tokens.length; position++) {
+        const token = tokens[position];
+        if (isOp(token, '(')) depth++;
+        if (isOp(token, ')')) depth--;
+        if (isWord(token, 'BEGIN')) blocks++;
+        if (isWord(token, 'END') && blocks > 0 && !isWord(tokens[nextSignificant(tokens, position + 1)], ...CONTROL_ENDS)) blocks--;
+        if (depth === 0 && blocks === 0 && isOp(token, ';')) return position;
+    }
+    return tokens.length;
+};
+
+// Function to translate a MySQL routine or trigger body (a compound statement or a single statement)
+// to a PL/pgSQL block. DECLAREs are moved to the DECLARE section of their block; context.returnValue
+// is returned at the end of the outermost block (NEW, OLD or NULL for trigger functions).
+// Returns { body, issues }
+const translateRoutineBody = (text, context = {}) => {
+    const source = String(text || '').trim();
+    let tokens = tokenize(source);
+    const first = tokens[nextSignificant(tokens, 0)];
+    const labelled = first && isOp(tokens[nextSignificant(tokens, nextSignificant(tokens, 0) + 1)], ':');
+    if (!isWord(first, 'BEGIN') && !labelled) {
+        tokens = tokenize(`BEGIN\n    ${source.replace(/;\s*$/, '')};\nEND`);
+    }
+
+    const issues = [];
+    const { translate, issue } = createTranslator(tokens, context, issues);
+    const settings = context.settings || {};
+    const out = [];
+    const blocks = [];
+    let position = 0;
+
+    // Function to translate [start, end) and add the statement's semicolon
+    const emitStatement = (text, end) => {
+        out.push(text.trim() + (end < tokens.length ? ';' : ''));
+        return end + 1;
+    };
+
+    // Function to find the index of the first top-level word of the given ones after start
+    const findWord = (start, ...words) => {
+        const found = findTopLevel(tokens, start, tokens.length, token => isWord(token, ...words));
+        return found === -1 ? tokens.length : found;
+    };
+
+    // DECLARE name[, name] type [DEFAULT value] | name CURSOR FOR query | HANDLER / CONDITION
+    const translateDeclare = (start, end) => {
+        const block = blocks[blocks.length - 1];
+        if (findTopLevel(tokens, start, end, token => isWord(token, 'HANDLER', 'CONDITION')) !== -1) {
+            issue('DECLARE ... HANDLER / CONDITION (use an EXCEPTION section)');
+            return;
+        }
+
+        const names = [];
+        let index = nextSignificant(tokens, start + 1, end);
+        while (index < end) {
+            names.push(translate(index, index + 1).trim());
+            const after = nextSignificant(tokens, index + 1, end);
+            if (!isOp(tokens[after], ',')) {
+                index = after;
+                break;
+            }
+            index = nextSignificant(tokens, after + 1, end);
+        }
+
+        if (isWord(tokens[index], 'CURSOR')) {
+            const query = findWord(index, 'FOR');
+            block.declarations.push(`${names[0]} CURSOR FOR ${translate(query + 1, end).trim()};`);
+            return;
+        }
+
+        const defaultIndex = findTopLevel(tokens, index, end, token => isWord(token, 'DEFAULT'));
+        const typeEnd = defaultIndex === -1 ? end : defaultIndex;
+        const mysqlType = rawText(tokens, index, typeEnd).replace(/\s+(CHARACTER SET|CHARSET|COLLATE)\s+\w+/gi, '');
+        const type = convertDataType(mysqlType, settings);
+        const value = defaultIndex === -1 ? '' : ` := ${translate(defaultIndex + 1, end).trim()}`;
+        names.forEach(name => block.declarations.push(`${name} ${type}${value};`));
+    };
+
+    // SET target = value[, target = value]
+    const translateSet = (start, end) => {
+        const assignments = splitTopLevel(tokens, nextSignificant(tokens, start + 1, end), end).map(([from, to]) => {
+            const equals = findTopLevel(tokens, from, to, token => isOp(token, '=') || isOp(token, ':='));
+            const target = tokens[nextSignificant(tokens, from, to)];
+            if (equals === -1 || isWord(target, 'NAMES', 'GLOBAL', 'SESSION', 'LOCAL', 'TRANSACTION')) {
+                issue(`SET ${rawText(tokens, from, to)}`);
+                return rawText(tokens, from, to);
+            }
+            return `${translate(from, equals).trim()} := ${translate(equals + 1, to).trim()}`;
+        });
+        return assignments.join('; ');
+    };
+
+    // SIGNAL SQLSTATE 'xxxxx' SET MESSAGE_TEXT = ...
+    const translateSignal = (start, end) => {
+        const state = findTopLevel(tokens, start, end, token => token.type === 'string');
+        if (!isWord(tokens[nextSignificant(tokens, start + 1, end)], 'SQLSTATE') || state === -1) {
+            issue('SIGNAL of a named condition');
+            return `RAISE EXCEPTION '${rawText(tokens, start, end).replace(/'/g, "''")}'`;
+        }
+        const message = findTopLevel(tokens, state, end, token => isWord(token, 'MESSAGE_TEXT'));
+        const options = [`ERRCODE = ${quoteLiteral(tokens[state].value)}`];
+        if (message !== -1) {
+            const equals = findTopLevel(tokens, message, end, token => isOp(token, '='));
+            const valueEnd = findTopLevel(tokens, equals + 1, end, token => isOp(token, ','));
+            options.push(`MESSAGE = ${translate(equals + 1, valueEnd === -1 ? end : valueEnd).trim()}`);
+        }
+        return `RAISE EXCEPTION USING ${options.join(', ')}`;
+    };
+
+    while (position < tokens.length) {
+        const token = tokens[position];
+        if (!isSignificant(token)) {
+            out.push(token.type === 'comment' ? token.value : token.text);
+            position++;
+            continue;
+        }
+
+        const upper = token.type === 'word' ? token.value.toUpperCase() : null;
+        const next = nextSignificant(tokens, position + 1);
+
+        // label: BEGIN / LOOP / WHILE / REPEAT
+        if (isOp(tokens[next], ':') && isWord(tokens[nextSignificant(tokens, next + 1)], 'BEGIN', 'LOOP', 'WHILE', 'REPEAT')) {
+            out.push(`<<${translate(position, position + 1).trim()}>>`);
+            position = next + 1;
+            continue;
+        }
+
+        if (upper === 'BEGIN') {
+            blocks.push({ slot: out.length, declarations: [] });
+            out.push('', 'BEGIN');
+            position++;
+        } else if (upper === 'END') {
+            const kind = isWord(tokens[next], ...CONTROL_ENDS) ? tokens[next].value.toUpperCase() : null;
+            if (kind) {
+                out.push(`END ${kind === 'WHILE' || kind === 'REPEAT' ? 'LOOP' : kind}`);
+                position = next + 1;
+            } else {
+                const block = blocks.pop();
+                if (block && block.declarations.length > 0) {
+                    out[block.slot] = `DECLARE\n${block.declarations.map(line => `    ${line}`).join('\n')}\n`;
+                }
+                // Trigger functions return the row at the end of their outermost block
+                if (blocks.length === 0 && context.returnValue) {
+                    out.push(`    RETURN ${context.returnValue};\n`);
+                }
+                out.push('END');
+                position++;
+            }
+        } else if (upper === 'IF' || upper === 'ELSEIF' || upper === 'WHEN') {
+            const then = findWord(next, 'THEN');
+            out.push(`${upper === 'ELSEIF' ? 'ELSIF' : upper} ${translate(next, then).trim()} THEN`);
+            position = then + 1;
+        } else if (upper === 'CASE') {
+            const when = findWord(next, 'WHEN');
+            out.push(`${`CASE ${translate(next, when).trim()}`.trim()} `);
+            position = when;
+        } else if (upper === 'WHILE') {
+            const loop = findWord(next, 'DO');
+            out.push(`WHILE ${translate(next, loop).trim()} LOOP`);
+            position = loop + 1;
+        } else if (upper === 'UNTIL') {
+            // REPEAT ... UNTIL condition END REPEAT
+            const endRepeat = findWord(next, 'END');
+            out.push(`EXIT WHEN ${translate(next, endRepeat).trim()}; `);
+            position = endRepeat;
+        } else if (upper === 'ELSE' || upper === 'LOOP' || upper === 'REPEAT') {
+            out.push(upper === 'REPEAT' ? 'LOOP' : upper);
+            position++;
+        } else {
+            const end = statementEnd(tokens, position);
+            if (upper === 'DECLARE') {
+                translateDeclare(position, end);
+                position = end + 1;
+            } else if (upper === 'SET') {
+                position = emitStatement(translateSet(position, end), end);
+            } else if (upper === 'SIGNAL' || upper === 'RESIGNAL') {
+                position = emitStatement(translateSignal(position, end), end);
+            } else if (upper === 'LEAVE' || upper === 'ITERATE') {
+                position = emitStatement(`${upper === 'LEAVE' ? 'EXIT' : 'CONTINUE'} ${translate(next, end).trim()}`, end);
+            } else {
+                if (upper === 'SELECT' && findTopLevel(tokens, position, end, candidate => isWord(candidate, 'INTO')) === -1) {
+                    issue('SELECT returning a result set');
+                }
+                if (upper === 'START' || upper === 'COMMIT' || upper === 'ROLLBACK' || upper === 'PREPARE' || upper === 'EXECUTE') {
+                    issue(`${upper} statement`);
+                }
+                position = emitStatement(translate(position, end), end);
+            }
+        }
+    }
+
+    // Moved DECLAREs leave empty lines behind
+    const body = out.join('').replace(/\n([ \t]*\n)+/g, '\n').trim();
+    return { body: body.endsWith(';') ? body : `${body};`, issues };
+};
+
+module.exports = {
+    tokenize,
+    translateSql,
+    translateRoutineBody
+};
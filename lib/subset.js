@@ -0,0 +1,121 @@
+const { mysqlPromisePool } = require('../config/database');
+const { resolveKeyColumns } = require('./source-reader');
+const { getTableForeignKeys } = require('./constraints');
+const { quoteMySQL } = require('./identifiers');
+const { log } = require('./logger');
+
+// Sampling resolution: a row is kept when the hash of its key modulo this is below percent × 100
+const SAMPLE_BUCKETS = 10000;
+
+// Function to get the configured sample percentage of a table (SAMPLES["*"] applies to every table)
+const getSamplePercent = (tableName, settings) => {
+    const samples = settings.SAMPLES || {};
+    const percent = samples[tableName] !== undefined ? samples[tableName] : samples['*'];
+    return percent === undefined || percent >= 100 ? null : percent;
+};
+
+// Function to build the condition keeping about `percent` % of a table's rows
+// The hash of the seek key decides, so the same rows are picked by every run, resume and verification
+const buildSampleCondition = (keyColumns, percent) => {
+    const hashed = keyColumns.map(quoteMySQL).join(', ');
+    return `MOD(CRC32(CONCAT_WS('|', ${hashed})), ${SAMPLE_BUCKETS}) < ${Math.round(percent * SAMPLE_BUCKETS / 100)}`;
+};
+
+// Function to build the own row condition of a table from FILTERS and SAMPLES (null = every row)
+const buildTableCondition = async (tableName, settings) => {
+    const conditions = [];
+    const filter = (settings.FILTERS || {})[tableName];
+    if (filter) conditions.push(`(${filter})`);
+
+    const percent = getSamplePercent(tableName, settings);
+    if (percent !== null) {
+        const [columns] = await mysqlPromisePool.execute(`
+            SELECT column_name AS Field
+            FROM information_schema.columns
+            WHERE table_schema = DATABASE() AND table_name = ?
+            ORDER BY ordinal_position
+        `, [tableName]);
+        const keyColumns = await resolveKeyColumns(tableName, columns, (settings.KEY_COLUMNS || {})[tableName]);
+        // Without a key every column is hashed (identical rows are then kept or dropped together)
+        const hashedColumns = keyColumns.length > 0 ? keyColumns : columns.map(col => col.Field);
+        conditions.push(`(${buildSampleCondition(hashedColumns, percent)})`);
+    }
+
+    return conditions.length > 0 ? conditions.join(' AND ') : null;
+};
+
+// Function to build the MySQL row condition of every table of a run (table -> condition, null = every row)
+// With SUBSET, a filtered table also keeps the rows that rows of the other tables reference through
+// foreign keys, so the subset loads with every constraint on. Self-references and foreign key cycles
+// cannot be followed this way; they are reported and their referenced rows are only kept when they
+// match the table's own condition.
+const buildSourceFilters = async (tables, settings) => {
+    const own = {};
+    for (const tableName of tables) {
+        own[tableName] = await buildTableCondition(tableName, settings);
+    }
+    if (!settings.SUBSET || Object.values(own).every(condition => condition === null)) {
+        return own;
+    }
+
+    // Foreign keys between the tables of the run, grouped by referenced table
+    const tableSet = new Set(tables);
+    const referencing = new Map(tables.map(tableName => [tableName, []]));
+    for (const tableName of tables) {
+        const foreignKeys = await getTableForeignKeys(tableName);
+        foreignKeys
+            .filter(foreignKey => tableSet.has(foreignKey.referencedTable))
+            .forEach(foreignKey => referencing.get(foreignKey.referencedTable).push({ tableName, foreignKey }));
+    }
+
+    const filters = {};
+    const unfollowed = [];
+
+    // A child's condition is nested into its parent's, so every level of parents is pulled in
+    const closeCondition = (tableName, visiting) => {
+        if (tableName in filters) return filters[tableName];
+        if (own[tableName] === null) {
+            filters[tableName] = null;
+            return null;
+        }
+
+        const conditions = [own[tableName]];
+        visiting.add(tableName);
+        referencing.get(tableName).forEach(({ tableName: child, foreignKey }) => {
+            if (visiting.has(child)) {
+                unfollowed.push(`${child}.${foreignKey.name} → ${tableName}`);
+                return;
+            }
+            const childCondition = closeCondition(child, visiting);
+            const where = childCondition === null ? '' : ` WHERE ${childCondition}`;
+            conditions.push(`((${foreignKey.referencedColumns.map(quoteMySQL).join(', ')}) IN ` +
+                `(SELECT ${foreignKey.columns.map(quoteMySQL).join(', ')} FROM ${quoteMySQL(child)}${where}))`);
+        });
+        visiting.delete(tableName);
+
+        filters[tableName] = conditions.length > 1 ? `(${conditions.join(' OR ')})` : conditions[0];
+        return filters[tableName];
+    };
+
+    tables.forEach(tableName => closeCondition(tableName, new Set()));
+
+    if (unfollowed.length > 0) {
+        log.warn(`⚠️  Subset: self-referencing / circular foreign keys not followed: ${[...new Set(unfollowed)].join(', ')}`);
+    }
+
+    return filters;
+};
+
+// Function to check whether any table of a run is filtered or sampled
+const hasSourceFilters = (settings) => {
+    return Object.keys(settings.FILTERS || {}).length > 0 || Object.keys(settings.SAMPLES || {}).length > 0;
+};
+
+module.exports = {
+    SAMPLE_BUCKETS,
+    getSamplePercent,
+    buildSampleCondition,
+    buildTableCondition,
+    buildSourceFilters,
+    hasSourceFilters
+};
@@ -0,0 +1,84 @@
+// Date and time text handling. DATE, DATETIME and TIMESTAMP values are read from MySQL as text
+// (see READ_OPTIONS in source-reader.js), so neither the Node time zone nor the millisecond
+// precision of Date objects can change them on the way to PostgreSQL.
+
+// UTC offsets accepted as session time zone ('+02:00', '-05:30')
+const UTC_OFFSET_PATTERN = /^[+-](0\d|1[0-4]):[0-5]\d$/;
+
+// Function to parse a UTC offset ('+02:00', '-0530', '+02' or 'Z') into minutes east of UTC
+const parseUtcOffset = (offset) => {
+    if (offset === 'Z') return 0;
+    const match = String(offset).match(/^([+-])(\d{2}):?(\d{2})?$/);
+    if (!match) {
+        throw new Error(`Invalid UTC offset ${JSON.stringify(offset)}`);
+    }
+    const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+    return match[1] === '-' ? -minutes : minutes;
+};
+
+const DATE_TIME_PATTERN = /^(\d{4,})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,6}))?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/;
+
+// Function to parse date / date-time text of MySQL or PostgreSQL into microseconds since the Unix epoch
+// Text without an offset is read at defaultOffset (minutes east of UTC); zero dates and other
+// impossible dates give null.
+const parseDateTimeMicros = (text, defaultOffset = 0) => {
+    const match = String(text).match(DATE_TIME_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction = '', offset] = match;
+    const date = new Date(0);
+    date.setUTCFullYear(Number(year), Number(month) - 1, Number(day));
+    date.setUTCHours(Number(hours), Number(minutes), Number(seconds), 0);
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+
+    const offsetMinutes = offset ? parseUtcOffset(offset) : defaultOffset;
+    return (BigInt(date.getTime()) - BigInt(offsetMinutes) * 60000n) * 1000n + BigInt(fraction.padEnd(6, '0'));
+};
+
+const pad = (number, width = 2) => String(number).padStart(width, '0');
+
+// Function to format microseconds since the Unix epoch as UTC date-time text
+// (trailing zeros of the fraction dropped, like PostgreSQL prints them)
+const formatDateTimeMicros = (micros) => {
+    let seconds = micros / 1000000n;
+    let fraction = micros % 1000000n;
+    if (fraction < 0n) {
+        fraction += 1000000n;
+        seconds -= 1n;
+    }
+
+    const date = new Date(Number(seconds) * 1000);
+    const text = `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    return fraction > 0n ? `${text}.${pad(fraction, 6).replace(/0+$/, '')}` : text;
+};
+
+// Daily time windows ('22:00-06:00'; a window ending before it starts runs past midnight)
+const TIME_WINDOW_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Function to get the milliseconds until the next of the given daily windows opens, in the local
+// time of this process (0 inside a window or without windows)
+const msUntilTimeWindow = (windows, now = new Date()) => {
+    if (windows.length === 0) return 0;
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const intoMinute = now.getSeconds() * 1000 + now.getMilliseconds();
+
+    const waits = windows.map(window => {
+        const [, startHours, startMinutes, endHours, endMinutes] = window.match(TIME_WINDOW_PATTERN);
+        const start = Number(startHours) * 60 + Number(startMinutes);
+        const end = Number(endHours) * 60 + Number(endMinutes);
+        const inside = start === end ||
+            (start < end ? minute >= start && minute < end : minute >= start || minute < end);
+        return inside ? 0 : ((start - minute + 1440) % 1440) * 60000 - intoMinute;
+    });
+    return Math.max(0, Math.min(...waits));
+};
+
+module.exports = {
+    UTC_OFFSET_PATTERN,
+    TIME_WINDOW_PATTERN,
+    msUntilTimeWindow,
+    parseUtcOffset,
+    parseDateTimeMicros,
+    formatDateTimeMicros
+};
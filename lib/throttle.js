@@ -0,0 +1,189 @@
+const { setTimeout: sleep } = require('timers/promises');
+const { mysqlPromisePool } = require('../config/database');
+const { recordThrottleWait } = require('./metrics');
+const { msUntilTimeWindow } = require('./temporal');
+const { log } = require('./logger');
+
+// Source throttle: every copy worker waits on it before reading its next chunk from MySQL, so reads
+// never run ahead of the writes and stay within the rate caps, the server load limits and the
+// quiet hours. One throttle is shared by all tables and key ranges of a run, so the caps are totals.
+
+// Longest pause between two load checks while MySQL stays over a limit
+const MAX_BACKOFF_MS = 60000;
+
+// Function to estimate the bytes of a chunk of rows as MySQL sends them (for MAX_MB_PER_SECOND)
+const estimateChunkBytes = (rows) => {
+    let bytes = 0;
+    for (const row of rows) {
+        for (const value of Object.values(row)) {
+            if (value === null || value === undefined) continue;
+            if (Buffer.isBuffer(value)) bytes += value.length;
+            else if (value.bytes) bytes += value.bytes.length;
+            else if (typeof value === 'string') bytes += value.length;
+            else bytes += 8;
+        }
+    }
+    return bytes;
+};
+
+// Function to read the MySQL load the limits look at: Threads_running and, when the source is a
+// replica, its lag (null when it is not a replica or replication is stopped)
+const readServerLoad = async (checkLag) => {
+    const [[threads]] = await mysqlPromisePool.query("SHOW GLOBAL STATUS LIKE 'Threads_running'");
+    let replicaLag = null;
+
+    if (checkLag) {
+        let rows;
+        try {
+            [rows] = await mysqlPromisePool.query('SHOW REPLICA STATUS');
+        } catch (error) {
+            // Before MySQL 8.0.22
+            [rows] = await mysqlPromisePool.query('SHOW SLAVE STATUS');
+        }
+        if (rows.length > 0) {
+            const lag = rows[0].Seconds_Behind_Source !== undefined ? rows[0].Seconds_Behind_Source : rows[0].Seconds_Behind_Master;
+            replicaLag = lag === null ? null : Number(lag);
+        }
+    }
+
+    return { threadsRunning: Number(threads.Value), replicaLag };
+};
+
+// Function to describe the limits of a throttle (null when it does nothing)
+const describeThrottle = (settings) => {
+    const limits = [
+        settings.MAX_ROWS_PER_SECOND > 0 && `${settings.MAX_ROWS_PER_SECOND.toLocaleString()} rows/s`,
+        settings.MAX_MB_PER_SECOND > 0 && `${settings.MAX_MB_PER_SECOND} MB/s`,
+        settings.MAX_THREADS_RUNNING > 0 && `Threads_running ≤ ${settings.MAX_THREADS_RUNNING}`,
+        settings.MAX_REPLICA_LAG > 0 && `replica lag ≤ ${settings.MAX_REPLICA_LAG}s`,
+        settings.QUIET_HOURS.length > 0 && `quiet hours ${settings.QUIET_HOURS.join(', ')}`
+    ].filter(Boolean);
+    return limits.length > 0 ? limits.join(', ') : null;
+};
+
+// Function to create the source throttle of a run from its settings
+// Returns { description, chunks(iterable), waits() }: chunks wraps a reader's chunks so each read
+// waits its turn; waits() gives the seconds waited per reason (rate, load, quietHours), summed over the workers.
+const createSourceThrottle = (settings) => {
+    const rowsPerMs = settings.MAX_ROWS_PER_SECOND / 1000;
+    const bytesPerMs = settings.MAX_MB_PER_SECOND * 1024 * 1024 / 1000;
+    const checkInterval = settings.THROTTLE_CHECK_INTERVAL * 1000;
+    const checkLoad = settings.MAX_THREADS_RUNNING > 0 || settings.MAX_REPLICA_LAG > 0;
+    const waited = { rate: 0, load: 0, quietHours: 0 };
+
+    // Rate caps: each chunk moves the time the next read may start by the time its rows and bytes
+    // take at the capped rate (idle time is not saved up for bursts)
+    let nextReadAt = Date.now();
+    // Load checks are shared by all workers: at most one query per check interval
+    let load = null;
+    let loadCheckedAt = 0;
+    let loadCheck = null;
+    let lagUnknown = false;
+    let backoff = checkInterval;
+    let pausedFor = null;
+
+    const record = (rows) => {
+        const rowTime = rowsPerMs > 0 ? rows.length / rowsPerMs : 0;
+        const byteTime = bytesPerMs > 0 ? estimateChunkBytes(rows) / bytesPerMs : 0;
+        nextReadAt = Math.max(nextReadAt, Date.now()) + Math.max(rowTime, byteTime);
+    };
+
+    const pause = async (reason, message, milliseconds) => {
+        if (pausedFor !== message) {
+            console.log(`⏸️  Pausing MySQL reads: ${message}`);
+            pausedFor = message;
+        }
+        await sleep(milliseconds, undefined, { signal: settings.SIGNAL || undefined });
+        waited[reason] += milliseconds;
+        recordThrottleWait(reason, milliseconds / 1000);
+    };
+
+    const readLoad = async () => {
+        if (Date.now() - loadCheckedAt < checkInterval) return load;
+        if (!loadCheck) {
+            loadCheck = readServerLoad(settings.MAX_REPLICA_LAG > 0)
+                .then(result => {
+                    if (settings.MAX_REPLICA_LAG > 0 && result.replicaLag === null && !lagUnknown) {
+                        log.warn('⚠️  Replica lag unknown (MySQL is not a replica or replication is stopped); the lag limit is not applied');
+                    }
+                    lagUnknown = result.replicaLag === null;
+                    load = result;
+                    loadCheckedAt = Date.now();
+                    return result;
+                })
+                .finally(() => {
+                    loadCheck = null;
+                });
+        }
+        return loadCheck;
+    };
+
+    // Function to find the load limit MySQL is over (null when it is within all of them)
+    const overLimit = (current) => {
+        if (settings.MAX_THREADS_RUNNING > 0 && current.threadsRunning > settings.MAX_THREADS_RUNNING) {
+            return `Threads_running ${current.threadsRunning} > ${settings.MAX_THREADS_RUNNING}`;
+        }
+        if (settings.MAX_REPLICA_LAG > 0 && current.replicaLag !== null && current.replicaLag > settings.MAX_REPLICA_LAG) {
+            return `replica lag ${current.replicaLag}s > ${settings.MAX_REPLICA_LAG}s`;
+        }
+        return null;
+    };
+
+    // Function to wait until the next read may start
+    const wait = async () => {
+        for (;;) {
+            const untilWindow = msUntilTimeWindow(settings.QUIET_HOURS);
+            if (untilWindow > 0) {
+                const opensAt = new Date(Date.now() + untilWindow).toLocaleTimeString();
+                await pause('quietHours', `outside the quiet hours ${settings.QUIET_HOURS.join(', ')} until ${opensAt}`, untilWindow);
+                continue;
+            }
+
+            if (checkLoad) {
+                const reason = overLimit(await readLoad());
+                if (reason) {
+                    await pause('load', reason, backoff);
+                    backoff = Math.min(backoff * 2, MAX_BACKOFF_MS);
+                    continue;
+                }
+                backoff = checkInterval;
+            }
+
+            const untilRate = nextReadAt - Date.now();
+            if (untilRate > 0) {
+                await sleep(untilRate, undefined, { signal: settings.SIGNAL || undefined });
+                waited.rate += untilRate;
+                recordThrottleWait('rate', untilRate / 1000);
+            }
+
+            if (pausedFor) {
+                console.log('▶️  Resuming MySQL reads');
+                pausedFor = null;
+            }
+            return;
+        }
+    };
+
+    // Function to wrap the chunks of a reader: a chunk is read only once the previous one is written
+    // and the throttle lets it through; returning early closes the reader
+    async function* chunks(source) {
+        await wait();
+        for await (const rows of source) {
+            record(rows);
+            yield rows;
+            await wait();
+        }
+    }
+
+    return {
+        description: describeThrottle(settings),
+        chunks,
+        waits: () => Object.fromEntries(Object.entries(waited).map(([reason, milliseconds]) => [reason, Math.round(milliseconds / 1000)]))
+    };
+};
+
+module.exports = {
+    estimateChunkBytes,
+    readServerLoad,
+    createSourceThrottle
+};
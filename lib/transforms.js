@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Word lists for fake values; the pick depends only on the original value, so a value is
+// always replaced by the same fake (joins on masked columns keep working)
+const FIRST_NAMES = [
+    'Alex', 'Blake', 'Casey', 'Dana', 'Eli', 'Frankie', 'Gray', 'Harper', 'Indy', 'Jordan',
+    'Kai', 'Logan', 'Morgan', 'Noel', 'Oakley', 'Parker', 'Quinn', 'Riley', 'Sage', 'Taylor'
+];
+const LAST_NAMES = [
+    'Anders', 'Brooks', 'Carter', 'Dalton', 'Ellis', 'Fischer', 'Garcia', 'Hayes', 'Ito', 'Jensen',
+    'Kowalski', 'Larsen', 'Moreno', 'Nakamura', 'Olsen', 'Patel', 'Rossi', 'Silva', 'Tanaka', 'Walsh'
+];
+const LOREM_WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do'];
+
+// Function to hash a value (Buffers by their bytes) with an optional salt
+const hashValue = (value, salt = '') => {
+    const hash = crypto.createHash('sha256').update(salt);
+    hash.update(Buffer.isBuffer(value) ? value : String(value));
+    return hash.digest();
+};
+
+// Function to pick a deterministic item of a list for a value
+const pick = (list, digest, offset) => list[digest.readUInt16BE(offset) % list.length];
+
+// Fake value generators: (value, digest) -> fake value
+const FAKERS = {
+    firstName: (value, digest) => pick(FIRST_NAMES, digest, 0),
+    lastName: (value, digest) => pick(LAST_NAMES, digest, 2),
+    name: (value, digest) => `${pick(FIRST_NAMES, digest, 0)} ${pick(LAST_NAMES, digest, 2)}`,
+    email: (value, digest) => {
+        const first = pick(FIRST_NAMES, digest, 0).toLowerCase();
+        const last = pick(LAST_NAMES, digest, 2).toLowerCase();
+        return `${first}.${last}.${digest.readUInt32BE(4) % 100000}@example.com`;
+    },
+    // Every digit is replaced and the rest of the format (+, spaces, dashes) is kept
+    phone: (value, digest) => {
+        let index = 0;
+        return String(value).replace(/\d/g, () => String(digest[index++ % digest.length] % 10));
+    },
+    // Lorem ipsum words, cut to the length of the original text
+    text: (value, digest) => {
+        const length = String(value).length;
+        const words = [];
+        for (let index = 0; words.join(' ').length < length; index++) {
+            words.push(LOREM_WORDS[digest[index % digest.length] % LOREM_WORDS.length]);
+        }
+        return words.join(' ').slice(0, length);
+    }
+};
+
+const TRANSFORM_TYPES = ['hash', 'fake', 'null', 'truncate', 'replace', 'module'];
+
+// Built-in transforms whose result is plain text (not JSON text for a JSON column)
+const TEXT_TRANSFORMS = ['hash', 'fake', 'truncate', 'replace'];
+
+// Function to check whether a column is loaded into JSONB: a MySQL JSON column, or a column
+// overridden to JSON / JSONB with columnTypes
+const isJsonColumn = (tableName, col, settings) => {
+    const override = (settings.COLUMN_TYPES || {})[`${tableName}.${col.Field}`];
+    return /^jsonb?\b/i.test(override || col.Type);
+};
+
+// Function to build the function of one transform spec: (value, row) -> value
+// Built-in transforms keep NULL; custom modules see every value
+const buildTransform = (spec, context) => {
+    switch (spec.type) {
+        case 'null':
+            return () => null;
+
+        case 'hash': {
+            const length = spec.length || 64;
+            return (value) => (value === null ? null : hashValue(value, spec.salt).toString('hex').slice(0, length));
+        }
+
+        case 'fake': {
+            const faker = FAKERS[spec.kind];
+            return (value) => (value === null ? null : faker(value, hashValue(value, spec.salt)));
+        }
+
+        case 'truncate':
+            return (value) => {
+                if (value === null) return null;
+                return Buffer.isBuffer(value) ? value.subarray(0, spec.length) : String(value).slice(0, spec.length);
+            };
+
+        case 'replace': {
+            const pattern = new RegExp(spec.pattern, spec.flags === undefined ? 'g' : spec.flags);
+            return (value) => (value === null ? null : String(value).replace(pattern, spec.replacement || ''));
+        }
+
+        case 'module': {
+            // Modules export (value, row, { table, column, options }) => value and may set other columns of the row
+            const transform = require(path.resolve(spec.path));
+            if (typeof transform !== 'function') {
+                throw new Error(`Transform module ${spec.path} must export a function`);
+            }
+            const moduleContext = { ...context, options: spec.options || {} };
+            return (value, row) => transform(value, row, moduleContext);
+        }
+
+        default:
+            throw new Error(`Unknown transform type: ${spec.type}`);
+    }
+};
+
+// Function to create the row transformer of a table from TRANSFORMS ("table.column": spec or [specs])
+// Returns null when no column of the table is transformed. Key columns cannot be transformed because
+// the copy seeks, checkpoints and verifies on their values.
+const createRowTransformer = (tableName, columns, settings = {}, keyColumns = []) => {
+    const prefix = `${tableName}.`;
+    const entries = Object.entries(settings.TRANSFORMS || {}).filter(([target]) => target.startsWith(prefix));
+    if (entries.length === 0) return null;
+
+    const fieldNames = columns.map(col => col.Field);
+    const transforms = entries.map(([target, specs]) => {
+        const column = target.slice(prefix.length);
+        if (!fieldNames.includes(column)) {
+            throw new Error(`Transform for ${target}: column ${column} does not exist in ${tableName}`);
+        }
+        if (keyColumns.includes(column)) {
+            throw new Error(`Transform for ${target}: ${column} is a key column and cannot be transformed`);
+        }
+        const steps = specs.map(spec => buildTransform(spec, { table: tableName, column }));
+        // Text from a built-in transform is stored as a JSON string, since plain text is not valid JSONB
+        const col = columns.find(candidate => candidate.Field === column);
+        const encode = isJsonColumn(tableName, col, settings) && TEXT_TRANSFORMS.includes(specs[specs.length - 1].type);
+        return { column, steps, encode };
+    });
+
+    // Columns are transformed in table order, so a module sees the earlier columns already transformed
+    transforms.sort((a, b) => fieldNames.indexOf(a.column) - fieldNames.indexOf(b.column));
+
+    return (row) => {
+        transforms.forEach(({ column, steps, encode }) => {
+            const value = steps.reduce((current, step) => step(current, row), row[column]);
+            row[column] = encode && value !== null ? JSON.stringify(value) : value;
+        });
+        return row;
+    };
+};
+
+module.exports = {
+    TRANSFORM_TYPES,
+    FAKERS,
+    hashValue,
+    buildTransform,
+    createRowTransformer
+};
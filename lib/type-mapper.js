@@ -0,0 +1,180 @@
+const { createRowTransformer } = require('./transforms');
+const { quoteMySQL } = require('./identifiers');
+
+// MySQL spatial types, read as WKB through ST_AsBinary()
+const SPATIAL_TYPES = [
+    'geometry', 'point', 'linestring', 'polygon',
+    'multipoint', 'multilinestring', 'multipolygon', 'geometrycollection', 'geomcollection'
+];
+
+// Function to parse the quoted value list of an ENUM or SET definition
+const parseValueList = (args) => {
+    const values = [];
+    const pattern = /'((?:[^'\\]|''|\\.)*)'/g;
+    let match;
+    while ((match = pattern.exec(args)) !== null) {
+        values.push(match[1].replace(/''/g, "'").replace(/\\(.)/g, '$1'));
+    }
+    return values;
+};
+
+// Function to parse a MySQL column type such as "decimal(10,2) unsigned" or "enum('a','b')"
+const parseMySQLType = (columnType) => {
+    const text = String(columnType).trim();
+    const match = text.match(/^([a-zA-Z]+(?: precision)?)\s*(?:\(([\s\S]*)\))?((?:\s+[a-zA-Z]+)*)$/);
+    if (!match) {
+        return { base: text.toLowerCase(), args: [], values: [], unsigned: false, zerofill: false };
+    }
+
+    const base = match[1].toLowerCase();
+    const rawArgs = match[2] || '';
+    const modifiers = (match[3] || '').toLowerCase().trim().split(/\s+/);
+    const isList = base === 'enum' || base === 'set';
+
+    return {
+        base,
+        args: isList || rawArgs === '' ? [] : rawArgs.split(',').map(arg => parseInt(arg.trim(), 10)),
+        values: isList ? parseValueList(rawArgs) : [],
+        unsigned: modifiers.includes('unsigned') || modifiers.includes('zerofill'),
+        zerofill: modifiers.includes('zerofill')
+    };
+};
+
+// Function to turn a bit-field Buffer into a string of 0/1 of the given width
+const bitsToString = (buffer, width) => {
+    const bits = [...buffer].map(byte => byte.toString(2).padStart(8, '0')).join('');
+    return bits.slice(-width).padStart(width, '0');
+};
+
+const toBoolean = (value) => {
+    if (value === null || value === undefined) return value;
+    if (Buffer.isBuffer(value)) return value.some(byte => byte !== 0);
+    return Number(value) !== 0;
+};
+
+// Function to build the PostgreSQL timestamp type of a DATETIME(p) / TIMESTAMP(p) column
+const timestampType = (t, withTimeZone) => {
+    const base = withTimeZone ? 'TIMESTAMPTZ' : 'TIMESTAMP';
+    return t.args.length > 0 ? `${base}(${t.args[0]})` : base;
+};
+
+// Mapping rules per MySQL base type: { type, convert?, select? }
+// convert(value) adjusts the value mysql2 returns, select(column) overrides the SELECT expression
+// Date and time values are read as text in the session time zone (see config/database.js); DATETIME
+// is a wall-clock value and TIMESTAMP a point in time, mapped per DATETIME_TYPE / TIMESTAMP_TYPE
+const TYPE_RULES = {
+    tinyint: (t) => (t.args[0] === 1 ? { type: 'BOOLEAN', convert: toBoolean } : { type: 'SMALLINT' }),
+    smallint: (t) => ({ type: t.unsigned ? 'INTEGER' : 'SMALLINT' }),
+    mediumint: () => ({ type: 'INTEGER' }),
+    int: (t) => ({ type: t.unsigned ? 'BIGINT' : 'INTEGER' }),
+    integer: (t) => TYPE_RULES.int(t),
+    bigint: (t) => ({ type: t.unsigned ? 'NUMERIC(20,0)' : 'BIGINT' }),
+    decimal: (t) => ({ type: `NUMERIC(${t.args[0] || 10},${t.args[1] || 0})` }),
+    numeric: (t) => TYPE_RULES.decimal(t),
+    fixed: (t) => TYPE_RULES.decimal(t),
+    // FLOAT(p) with p > 24 is a DOUBLE in MySQL; FLOAT(M,D) stays single precision
+    float: (t) => ({ type: t.args.length === 1 && t.args[0] > 24 ? 'DOUBLE PRECISION' : 'REAL' }),
+    double: () => ({ type: 'DOUBLE PRECISION' }),
+    'double precision': () => ({ type: 'DOUBLE PRECISION' }),
+    real: () => ({ type: 'DOUBLE PRECISION' }),
+    bit: (t) => {
+        const width = t.args[0] || 1;
+        if (width === 1) return { type: 'BOOLEAN', convert: toBoolean };
+        return {
+            type: `BIT(${width})`,
+            convert: (value) => (Buffer.isBuffer(value) ? bitsToString(value, width) : value)
+        };
+    },
+    bool: () => ({ type: 'BOOLEAN', convert: toBoolean }),
+    boolean: () => ({ type: 'BOOLEAN', convert: toBoolean }),
+    year: () => ({ type: 'SMALLINT' }),
+    date: () => ({ type: 'DATE' }),
+    datetime: (t, settings) => ({ type: timestampType(t, settings.DATETIME_TYPE === 'timestamptz') }),
+    timestamp: (t, settings) => ({ type: timestampType(t, settings.TIMESTAMP_TYPE !== 'timestamp') }),
+    // MySQL TIME is a duration (-838:59:59 to 838:59:59), PostgreSQL TIME a time of day
+    time: (t) => ({ type: t.args.length > 0 ? `INTERVAL(${t.args[0]})` : 'INTERVAL' }),
+    char: (t) => ({ type: `CHAR(${t.args[0] || 1})` }),
+    varchar: (t) => ({ type: t.args.length > 0 ? `VARCHAR(${t.args[0]})` : 'VARCHAR(255)' }),
+    tinytext: () => ({ type: 'TEXT' }),
+    text: () => ({ type: 'TEXT' }),
+    mediumtext: () => ({ type: 'TEXT' }),
+    longtext: () => ({ type: 'TEXT' }),
+    binary: () => ({ type: 'BYTEA' }),
+    varbinary: () => ({ type: 'BYTEA' }),
+    tinyblob: () => ({ type: 'BYTEA' }),
+    blob: () => ({ type: 'BYTEA' }),
+    mediumblob: () => ({ type: 'BYTEA' }),
+    longblob: () => ({ type: 'BYTEA' }),
+    // mysql2 parses JSON documents, so serialize them again (a bare JSON string is not valid JSONB text)
+    json: () => ({ type: 'JSONB', convert: (value) => (value === null ? value : JSON.stringify(value)) }),
+    // Size the column for the longest label so nothing is truncated
+    enum: (t) => ({ type: `VARCHAR(${Math.max(1, ...t.values.map(value => value.length))})` }),
+    set: () => ({
+        type: 'TEXT[]',
+        convert: (value) => (typeof value === 'string' ? (value === '' ? [] : value.split(',')) : value)
+    })
+};
+
+SPATIAL_TYPES.forEach(spatialType => {
+    TYPE_RULES[spatialType] = () => ({ type: 'BYTEA', select: (column) => `ST_AsBinary(${column})` });
+});
+
+// Function to map a MySQL column type to its PostgreSQL mapping { type, convert, select }
+const mapColumnType = (mysqlType, settings = {}) => {
+    const parsed = parseMySQLType(mysqlType);
+    const rule = TYPE_RULES[parsed.base];
+
+    // Unknown types keep their value as text
+    return rule ? { ...rule(parsed, settings), known: true } : { type: 'TEXT', known: false };
+};
+
+// Function to convert MySQL data type to PostgreSQL
+const convertDataType = (mysqlType, settings = {}) => mapColumnType(mysqlType, settings).type;
+
+// Function to get the mapping for a column, honouring COLUMN_TYPES overrides ("table.column": "TYPE")
+// An overridden column keeps its SELECT expression but its values are passed through unchanged
+const getColumnMapping = (tableName, col, settings = {}) => {
+    const mapping = mapColumnType(col.Type, settings);
+    const override = (settings.COLUMN_TYPES || {})[`${tableName}.${col.Field}`];
+
+    if (override) {
+        return { type: override, select: mapping.select, known: true, overridden: true };
+    }
+    return mapping;
+};
+
+// Function to build the MySQL select list for a table
+const buildSelectList = (tableName, columns, settings) => {
+    return columns.map(col => {
+        const mapping = getColumnMapping(tableName, col, settings);
+        const column = quoteMySQL(col.Field);
+        return mapping.select ? `${mapping.select(column)} AS ${column}` : column;
+    }).join(', ');
+};
+
+// Function to create the per-row value converter for a table: type conversions, then the
+// configured column transforms (keyColumns cannot be transformed)
+const createRowConverter = (tableName, columns, settings, keyColumns = []) => {
+    const converters = columns
+        .map(col => ({ field: col.Field, convert: getColumnMapping(tableName, col, settings).convert }))
+        .filter(({ convert }) => convert);
+    const transformRow = createRowTransformer(tableName, columns, settings, keyColumns);
+
+    if (converters.length === 0 && !transformRow) return (row) => row;
+
+    return (row) => {
+        converters.forEach(({ field, convert }) => {
+            row[field] = convert(row[field]);
+        });
+        return transformRow ? transformRow(row) : row;
+    };
+};
+
+module.exports = {
+    parseMySQLType,
+    mapColumnType,
+    convertDataType,
+    getColumnMapping,
+    buildSelectList,
+    createRowConverter
+};
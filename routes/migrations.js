@@ -0,0 +1,51 @@
+const express = require('express');
+const { ConfigError } = require('../lib/migration-config');
+const { JobError } = require('../lib/job-runner');
+
+// Function to pass rejected promises of async route handlers to the error handlers
+const asyncHandler = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+// Function to build the migration job routes on top of a job runner
+const createMigrationRoutes = (jobRunner) => {
+    const router = express.Router();
+
+    // Start a migration job: { tables: [...], options: { batchSize, loader, resume, ... } }
+    router.post('/', asyncHandler(async (req, res) => {
+        const job = await jobRunner.start(req.body || {});
+        res.status(202).json({ success: true, job });
+    }));
+
+    // Job history, newest first
+    router.get('/', asyncHandler(async (req, res) => {
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new ConfigError('limit must be a positive integer');
+        }
+        res.json({ success: true, jobs: await jobRunner.list(limit) });
+    }));
+
+    // Job status with per-table progress
+    router.get('/:id', asyncHandler(async (req, res) => {
+        res.json({ success: true, job: await jobRunner.get(req.params.id) });
+    }));
+
+    // Cancel a running job (it stops after the current chunk; checkpoints are kept for a resume)
+    router.post('/:id/cancel', asyncHandler(async (req, res) => {
+        res.status(202).json({ success: true, job: await jobRunner.cancel(req.params.id) });
+    }));
+
+    // Invalid requests and job conflicts answer with their own status
+    router.use((error, req, res, next) => {
+        if (error instanceof ConfigError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error instanceof JobError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        next(error);
+    });
+
+    return router;
+};
+
+module.exports = createMigrationRoutes;
@@ -2,13 +2,21 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { testConnection, testAllConnections } = require('./config/database');
+const migration = require('./copy-table-mysql-to-postgres');
+const { createJobRunner } = require('./lib/job-runner');
+const { registry } = require('./lib/metrics');
+const { log, configureLogging } = require('./lib/logger');
 require('dotenv').config();
 
+// Console output of the server and its jobs: LOG_FORMAT text or json, LOG_LEVEL debug, info, warn or error
+configureLogging({ LOG_FORMAT: process.env.LOG_FORMAT, LOG_LEVEL: process.env.LOG_LEVEL });
+
 // Import routes
-const userRoutes = require('./routes/users');
+const createMigrationRoutes = require('./routes/migrations');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const jobRunner = createJobRunner(migration, migration.CONFIG.JOBS_TABLE);
 
 // Middleware
 app.use(cors());
@@ -30,6 +38,21 @@ app.get('/health', async (req, res) => {
     });
 });
 
+// Prometheus metrics (copy progress of the jobs run by this server, memory and pool usage)
+app.get('/metrics', async (req, res, next) => {
+    try {
+        const metrics = await registry.metrics();
+        res.set('Content-Type', registry.contentType);
+        res.end(metrics);
+    } catch (error) {
+        // Answered with a 500 by the error handling middleware
+        next(error);
+    }
+});
+
+// Migration jobs
+app.use('/migrations', createMigrationRoutes(jobRunner));
+
 // 404 handler
 app.use('*', (req, res) => {
     res.status(404).json({
@@ -54,19 +77,26 @@ const startServer = async () => {
         // Test database connections
         console.log('🔄 Testing database connections...');
         const dbStatus = await testAllConnections();
+        
+        // Jobs that were running when the server last stopped cannot continue in this process
+        if (dbStatus.postgresql) {
+            await jobRunner.recover();
+        }
                 
         app.listen(PORT, () => {
             console.log('🚀 Server started successfully!');
             console.log(`📍 Server running on http://localhost:${PORT}`);
             console.log(`📍 API documentation available at http://localhost:${PORT}`);
             console.log(`📍 Health check: http://localhost:${PORT}/health`);
+            console.log(`📍 Migration jobs: http://localhost:${PORT}/migrations`);
+            console.log(`📍 Metrics: http://localhost:${PORT}/metrics`);
             console.log('💾 Database Status:');
             console.log(`   MySQL: ${dbStatus.mysql ? '✅ Connected' : '❌ Disconnected'}`);
             console.log(`   PostgreSQL: ${dbStatus.postgresql ? '✅ Connected' : '❌ Disconnected'}`);
         });
         
     } catch (error) {
-        console.error('❌ Failed to start server:', error);
+        log.error(`❌ Failed to start server: ${error.message}`, { error: error.message });
         process.exit(1);
     }
 };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RowEncodingError, toCopyText, encodeTextRow, encodeNumeric, encodeBinaryRow } = require('../lib/batch-loader');
+
+test('toCopyText escapes NULL, backslashes and control characters', () => {
+    assert.strictEqual(toCopyText(null), '\\N');
+    assert.strictEqual(toCopyText(undefined), '\\N');
+    assert.strictEqual(toCopyText('a\tb\nc\rd\\e'), 'a\\tb\\nc\\rd\\\\e');
+    assert.strictEqual(toCopyText(42), '42');
+});
+
+test('toCopyText writes booleans, bytes, arrays and objects', () => {
+    assert.strictEqual(toCopyText(true), 't');
+    assert.strictEqual(toCopyText(false), 'f');
+    assert.strictEqual(toCopyText(Buffer.from([0xde, 0xad])), '\\\\xdead');
+    assert.strictEqual(toCopyText(['a', 'b"c', null]), '{"a","b\\\\"c",NULL}');
+    assert.strictEqual(toCopyText({ a: 'x\ty' }), '{"a":"x\\\\ty"}');
+    assert.strictEqual(toCopyText(new Date(Date.UTC(2024, 0, 2, 3, 4, 5))), '2024-01-02T03:04:05.000Z');
+});
+
+test('encodeTextRow joins the columns with tabs', () => {
+    const columns = [{ Field: 'id' }, { Field: 'name' }, { Field: 'note' }];
+    assert.strictEqual(encodeTextRow({ id: 1, name: 'a b', note: null }, columns), '1\ta b\t\\N\n');
+});
+
+// Function to read a binary NUMERIC back as { ndigits, weight, sign, dscale, digits }
+const readNumeric = (buffer) => ({
+    ndigits: buffer.readInt16BE(0),
+    weight: buffer.readInt16BE(2),
+    sign: buffer.readUInt16BE(4),
+    dscale: buffer.readInt16BE(6),
+    digits: Array.from({ length: buffer.readInt16BE(0) }, (_, index) => buffer.readInt16BE(8 + index * 2))
+});
+
+test('encodeNumeric groups the digits in base 10000', () => {
+    assert.deepStrictEqual(readNumeric(encodeNumeric('12345.678')), {
+        ndigits: 3, weight: 1, sign: 0, dscale: 3, digits: [1, 2345, 6780]
+    });
+    assert.deepStrictEqual(readNumeric(encodeNumeric(' 100000000 ')), {
+        ndigits: 1, weight: 2, sign: 0, dscale: 0, digits: [1]
+    });
+});
+
+test('encodeNumeric handles negative values, leading zeros and zero', () => {
+    assert.deepStrictEqual(readNumeric(encodeNumeric('-0.0001')), {
+        ndigits: 1, weight: -1, sign: 0x4000, dscale: 4, digits: [1]
+    });
+    assert.deepStrictEqual(readNumeric(encodeNumeric('-0.00')), {
+        ndigits: 0, weight: 0, sign: 0, dscale: 2, digits: []
+    });
+});
+
+test('encodeNumeric refuses values that are not decimals', () => {
+    assert.throws(() => encodeNumeric('12abc'), RowEncodingError);
+    assert.throws(() => encodeNumeric('1e5'), RowEncodingError);
+});
+
+test('encodeBinaryRow writes the field count, lengths and NULLs', () => {
+    const columns = [{ Field: 'a' }, { Field: 'b' }];
+    const text = (value) => Buffer.from(String(value), 'utf8');
+    const tuple = encodeBinaryRow({ a: null, b: 'xy' }, columns, [text, text]);
+    assert.strictEqual(tuple.toString('hex'), '0002' + 'ffffffff' + '00000002' + Buffer.from('xy').toString('hex'));
+});
+
+test('encodeBinaryRow turns encoder failures into RowEncodingError', () => {
+    const int2 = (value) => {
+        const buffer = Buffer.alloc(2);
+        buffer.writeInt16BE(Number(value));
+        return buffer;
+    };
+    assert.throws(
+        () => encodeBinaryRow({ qty: 70000 }, [{ Field: 'qty' }], [int2]),
+        (error) => error instanceof RowEncodingError && /qty/.test(error.message)
+    );
+    assert.throws(
+        () => encodeBinaryRow({ amount: 'n/a' }, [{ Field: 'amount' }], [encodeNumeric]),
+        RowEncodingError
+    );
+});
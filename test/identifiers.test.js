@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { quoteMySQL, quotePostgres, toSnakeCase, targetTableName, targetColumnName, pgTable, pgColumnList, assertUniqueTargetNames } = require('../lib/identifiers');
+
+test('identifiers are quoted with their quote characters doubled', () => {
+    assert.strictEqual(quoteMySQL('a`b'), '`a``b`');
+    assert.strictEqual(quotePostgres('a"b'), '"a""b"');
+});
+
+test('toSnakeCase splits camelCase, acronyms and odd characters', () => {
+    assert.strictEqual(toSnakeCase('orderItems'), 'order_items');
+    assert.strictEqual(toSnakeCase('HTTPRequestLog'), 'http_request_log');
+    assert.strictEqual(toSnakeCase('user-id 2'), 'user_id_2');
+    assert.strictEqual(toSnakeCase('_Total_'), 'total');
+});
+
+test('target names apply renames first, then NAME_CASE', () => {
+    const settings = { TABLE_NAMES: { Orders: 'purchases' }, COLUMN_NAMES: { 'Orders.Id': 'order_id' }, NAME_CASE: 'snake' };
+    assert.strictEqual(targetTableName('Orders', settings), 'purchases');
+    assert.strictEqual(targetTableName('LineItems', settings), 'line_items');
+    assert.strictEqual(targetColumnName('Orders', 'Id', settings), 'order_id');
+    assert.strictEqual(targetColumnName('Orders', 'createdAt', settings), 'created_at');
+    assert.strictEqual(targetTableName('Orders'), 'orders');
+    assert.strictEqual(targetTableName('Orders', { NAME_CASE: 'preserve' }), 'Orders');
+});
+
+test('pgTable and pgColumnList quote the target names', () => {
+    assert.strictEqual(pgTable('Orders', { TARGET_SCHEMA: 'shop' }), '"shop"."orders"');
+    assert.strictEqual(pgColumnList('Orders', ['Id', 'Total'], {}), '"id", "total"');
+});
+
+test('assertUniqueTargetNames refuses two names for one PostgreSQL name', () => {
+    assert.doesNotThrow(() => assertUniqueTargetNames(['a', 'b'], name => name, 'Tables'));
+    assert.throws(() => assertUniqueTargetNames(['Users', 'users'], name => name.toLowerCase(), 'Tables'),
+        /Tables Users and users both map to users in PostgreSQL/);
+});
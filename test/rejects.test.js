@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RowEncodingError } = require('../lib/batch-loader');
+const { isRowLevelError, buildRejectRecord, isolateRejectedRows } = require('../lib/rejects');
+
+// Function to create an error with a SQLSTATE, like pg reports them
+const pgError = (code, message = 'failed') => Object.assign(new Error(message), { code });
+
+test('isRowLevelError accepts data errors and local encoding errors only', () => {
+    assert.strictEqual(isRowLevelError(pgError('22P02')), true);
+    assert.strictEqual(isRowLevelError(pgError('23505')), true);
+    assert.strictEqual(isRowLevelError(pgError('42804')), true);
+    assert.strictEqual(isRowLevelError(new RowEncodingError('bad value')), true);
+
+    assert.strictEqual(isRowLevelError(pgError('57P01')), false);
+    assert.strictEqual(isRowLevelError(pgError('ECONNRESET')), false);
+    assert.strictEqual(isRowLevelError(new TypeError('x is not a function')), false);
+    assert.strictEqual(isRowLevelError(new RangeError('Maximum call stack size exceeded')), false);
+});
+
+test('buildRejectRecord makes the row JSON safe', () => {
+    const error = Object.assign(pgError('22001', 'value too long'), { detail: 'column name' });
+    const record = buildRejectRecord('users', { id: 7n, photo: Buffer.from([1, 2]), born: new Date(Date.UTC(2000, 0, 1)) }, { id: 7n }, error);
+
+    assert.deepStrictEqual({ ...record, rejectedAt: undefined }, {
+        table: 'users',
+        key: { id: '7' },
+        error: 'value too long',
+        sqlstate: '22001',
+        detail: 'column name',
+        rejectedAt: undefined,
+        row: { id: '7', photo: '\\x0102', born: '2000-01-01T00:00:00.000Z' }
+    });
+});
+
+test('isolateRejectedRows loads the good rows and rejects the bad ones', async () => {
+    const loaded = [];
+    const rejected = [];
+    const load = async (rows) => {
+        if (rows.some(row => row.bad)) throw pgError('22P02');
+        loaded.push(...rows.map(row => row.id));
+    };
+    const batch = [1, 2, 3, 4, 5].map(id => ({ id, bad: id === 2 || id === 5 }));
+
+    const outcome = await isolateRejectedRows(batch, load, async (row, error) => rejected.push([row.id, error.code]));
+    assert.deepStrictEqual(outcome, { loaded: 3, rejected: 2 });
+    assert.deepStrictEqual(loaded.sort(), [1, 3, 4]);
+    assert.deepStrictEqual(rejected, [[2, '22P02'], [5, '22P02']]);
+});
+
+test('isolateRejectedRows stops on connection errors', async () => {
+    const load = async () => {
+        throw pgError('08006', 'connection failure');
+    };
+    await assert.rejects(isolateRejectedRows([{ id: 1 }, { id: 2 }], load, async () => {}), /connection failure/);
+});
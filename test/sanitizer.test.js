@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { InvalidText, createTextTypeCast, decodeInvalidUtf8, repairMojibake, isZeroDate, getIntegerRange, createRowSanitizer } = require('../lib/sanitizer');
+
+test('decodeInvalidUtf8 replaces only the invalid bytes', () => {
+    const bytes = Buffer.from([0x63, 0x61, 0x66, 0xE9, 0x20, 0xC3, 0xA9]);
+    assert.strictEqual(decodeInvalidUtf8(bytes, () => '?'), 'caf? é');
+    assert.strictEqual(decodeInvalidUtf8(Buffer.from([0xED, 0xA0, 0x80]), () => '_'), '___');
+});
+
+test('repairMojibake undoes double encoding and leaves other text alone', () => {
+    assert.strictEqual(repairMojibake('cafÃ©'), 'café');
+    assert.strictEqual(repairMojibake('â€œquotedâ€\u009d'), '“quoted”');
+    assert.strictEqual(repairMojibake('café'), null);
+    assert.strictEqual(repairMojibake('plain'), null);
+});
+
+test('isZeroDate finds zero years, months and days', () => {
+    assert.strictEqual(isZeroDate('0000-00-00 00:00:00'), true);
+    assert.strictEqual(isZeroDate('2024-00-10'), true);
+    assert.strictEqual(isZeroDate('2024-05-00'), true);
+    assert.strictEqual(isZeroDate('2024-05-10'), false);
+    assert.strictEqual(isZeroDate(new Date(NaN)), true);
+});
+
+test('getIntegerRange follows the mapped type, AUTO_INCREMENT columns are integers', () => {
+    assert.deepStrictEqual(getIntegerRange('t', { Field: 'n', Type: 'smallint' }, {}), [-32768n, 32767n]);
+    assert.strictEqual(getIntegerRange('t', { Field: 'n', Type: 'bigint unsigned' }, {}), null);
+    assert.deepStrictEqual(getIntegerRange('t', { Field: 'id', Type: 'bigint unsigned', Extra: 'auto_increment' }, {}),
+        [-9223372036854775808n, 9223372036854775807n]);
+});
+
+test('createTextTypeCast reads text columns raw, except key columns', () => {
+    const typeCast = createTextTypeCast([{ Field: 'id', Type: 'varchar(10)' }, { Field: 'name', Type: 'text' }, { Field: 'n', Type: 'int' }], ['id']);
+    const field = (name, bytes) => ({ name, buffer: () => bytes });
+    const next = () => 'next';
+
+    assert.strictEqual(typeCast(field('id', Buffer.from('a')), next), 'next');
+    assert.strictEqual(typeCast(field('n', Buffer.from('1')), next), 'next');
+    assert.strictEqual(typeCast(field('name', Buffer.from('é')), next), 'é');
+    assert.ok(typeCast(field('name', Buffer.from([0xFF])), next) instanceof InvalidText);
+    assert.strictEqual(createTextTypeCast([{ Field: 'n', Type: 'int' }]), undefined);
+});
+
+test('createRowSanitizer applies the default policies and reports the changes', () => {
+    const columns = [
+        { Field: 'id', Type: 'int' },
+        { Field: 'name', Type: 'varchar(20)' },
+        { Field: 'born', Type: 'date' }
+    ];
+    const sanitizer = createRowSanitizer('people', columns, {}, ['id']);
+    const row = { id: 1, name: new InvalidText(Buffer.from([0x63, 0x61, 0x66, 0xE9, 0x00])), born: '0000-00-00' };
+
+    assert.strictEqual(sanitizer.sanitize(row), null);
+    assert.deepStrictEqual(row, { id: 1, name: 'café', born: null });
+    assert.deepStrictEqual(sanitizer.report(), [
+        { column: 'name', issue: 'invalidUtf8', policy: 'reencode', rows: 1 },
+        { column: 'name', issue: 'nulBytes', policy: 'strip', rows: 1 },
+        { column: 'born', issue: 'zeroDate', policy: 'null', rows: 1 }
+    ]);
+});
+
+test('createRowSanitizer clamps or rejects per SANITIZE', () => {
+    const columns = [{ Field: 'born', Type: 'datetime' }, { Field: 'seq', Type: 'bigint unsigned', Extra: 'auto_increment' }];
+
+    const clamping = createRowSanitizer('t', columns, { SANITIZE: { zeroDate: 'clamp', unsignedOverflow: 'clamp' } });
+    const row = { born: '2024-00-00 10:00:00', seq: '18446744073709551615' };
+    assert.strictEqual(clamping.sanitize(row), null);
+    assert.deepStrictEqual(row, { born: '2024-01-01 10:00:00', seq: '9223372036854775807' });
+
+    const rejecting = createRowSanitizer('t', columns, { SANITIZE: { zeroDate: 'keep' } });
+    assert.deepStrictEqual(rejecting.sanitize({ born: '0000-00-00', seq: '18446744073709551615' }), {
+        column: 'seq',
+        issue: 'unsignedOverflow',
+        message: 'unsignedOverflow in column seq (sanitize policy: reject)'
+    });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSchemaDiff } = require('../lib/schema-diff');
+
+const column = (name, type, extra = {}) => ({ name, type, notNull: false, default: null, identity: '', ...extra });
+
+test('matching tables need no statements', () => {
+    const columns = [column('id', 'integer', { notNull: true, identity: 'd' }), column('name', 'text')];
+    assert.deepStrictEqual(buildSchemaDiff('users', columns, columns, true), { statements: [], report: [] });
+});
+
+test('missing columns are added, NOT NULL only when the table is empty or has a default', () => {
+    const expected = [column('id', 'integer'), column('email', 'text', { notNull: true }), column('state', 'text', { notNull: true, default: "'new'::text" })];
+    const actual = [column('id', 'integer')];
+
+    assert.deepStrictEqual(buildSchemaDiff('users', expected, actual, true).statements, [
+        'ALTER TABLE "public"."users" ADD COLUMN "email" text',
+        'ALTER TABLE "public"."users" ADD COLUMN "state" text DEFAULT \'new\'::text NOT NULL'
+    ]);
+    assert.ok(buildSchemaDiff('users', expected, actual, true).report.some(entry => entry.object === 'email' && entry.status === 'skipped'));
+    assert.strictEqual(buildSchemaDiff('users', expected, actual, false).statements[0], 'ALTER TABLE "public"."users" ADD COLUMN "email" text NOT NULL');
+});
+
+test('type, default and NULL changes are altered in place', () => {
+    const expected = [column('total', 'numeric(12,2)', { notNull: true, default: '0' })];
+    const actual = [column('total', 'integer', { default: '1' })];
+    const { statements, report } = buildSchemaDiff('orders', expected, actual, true, { TARGET_SCHEMA: 'shop' });
+
+    assert.deepStrictEqual(statements, [
+        'ALTER TABLE "shop"."orders" ALTER COLUMN "total" DROP DEFAULT',
+        'ALTER TABLE "shop"."orders" ALTER COLUMN "total" TYPE numeric(12,2) USING "total"::numeric(12,2)',
+        'ALTER TABLE "shop"."orders" ALTER COLUMN "total" SET DEFAULT 0',
+        'ALTER TABLE "shop"."orders" ALTER COLUMN "total" SET NOT NULL'
+    ]);
+    assert.deepStrictEqual(report, [
+        { table: 'orders', object: 'total', status: 'changed', detail: 'type integer → numeric(12,2), default 1 → 0, NOT NULL added' }
+    ]);
+});
+
+test('a missing identity is added, a plain default is reported', () => {
+    const expected = [column('id', 'bigint', { notNull: true, identity: 'd' })];
+
+    const withoutIdentity = buildSchemaDiff('orders', expected, [column('id', 'bigint', { notNull: true })], true);
+    assert.deepStrictEqual(withoutIdentity.statements, ['ALTER TABLE "public"."orders" ALTER COLUMN "id" ADD GENERATED BY DEFAULT AS IDENTITY']);
+    assert.strictEqual(withoutIdentity.report[0].detail, 'identity added');
+
+    const withDefault = buildSchemaDiff('orders', expected, [column('id', 'bigint', { notNull: true, default: '0' })], true);
+    assert.ok(withDefault.report.some(entry => entry.object === 'id' && entry.status === 'skipped'));
+    assert.ok(!withDefault.statements.some(statement => statement.includes('IDENTITY')));
+});
+
+test('serial columns count as generated', () => {
+    const expected = [column('id', 'integer', { notNull: true, default: "nextval('orders_id_seq'::regclass)" })];
+    const actual = [column('id', 'integer', { notNull: true, identity: 'd' })];
+    assert.deepStrictEqual(buildSchemaDiff('orders', expected, actual, true), { statements: [], report: [] });
+});
+
+test('columns only PostgreSQL has are kept and a different primary key is reported', () => {
+    const { statements, report } = buildSchemaDiff('orders', [column('id', 'integer')], [column('id', 'integer'), column('legacy', 'text')], true, {}, {
+        expected: ['id'],
+        actual: []
+    });
+    assert.deepStrictEqual(statements, []);
+    assert.deepStrictEqual(report, [
+        { table: 'orders', object: 'legacy', status: 'kept', detail: 'not in the MySQL table; left as it is' },
+        { table: 'orders', object: 'PRIMARY KEY', status: 'skipped', detail: 'PostgreSQL has none, MySQL has (id); change it by hand' }
+    ]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, translateSql, translateRoutineBody } = require('../lib/sql-translator');
+
+// Columns of the MySQL tables the statements read, and which of them hold text
+const context = {
+    tables: new Map([['orders', ['id', 'Name', 'total']]]),
+    textColumns: new Map([['orders', ['Name']]]),
+    defaultTable: 'orders'
+};
+
+test('tokenize keeps strings, quoted names and comments whole', () => {
+    const tokens = tokenize("SELECT `a b`, 'it''s' -- note\nFROM t");
+    const significant = tokens.filter(token => token.type !== 'space').map(token => [token.type, token.value]);
+    assert.deepStrictEqual(significant, [
+        ['word', 'SELECT'], ['quoted', 'a b'], ['op', ','], ['string', "it's"], ['comment', '-- note'], ['word', 'FROM'], ['word', 't']
+    ]);
+    assert.strictEqual(tokens.map(token => token.text).join(''), "SELECT `a b`, 'it''s' -- note\nFROM t");
+});
+
+test('functions, quoting and LIMIT are translated', () => {
+    assert.deepStrictEqual(translateSql("SELECT IFNULL(a, 0), NOW(), CONCAT(a, 'x') FROM `orders` LIMIT 5, 10", context), {
+        sql: "SELECT COALESCE(a, 0), CURRENT_TIMESTAMP, CONCAT(a, 'x') FROM \"orders\" LIMIT 10 OFFSET 5",
+        issues: []
+    });
+    assert.strictEqual(translateSql('SELECT `Name` FROM orders WHERE id = 1', context).sql, 'SELECT "name" FROM orders WHERE id = 1');
+});
+
+test('IF() becomes a CASE expression', () => {
+    assert.strictEqual(
+        translateSql("SELECT IF(total > 10, 'big', 'small') FROM orders", context).sql,
+        "SELECT (CASE WHEN total > 10 THEN 'big' ELSE 'small' END) FROM orders"
+    );
+});
+
+test('DIV becomes div()', () => {
+    assert.deepStrictEqual(translateSql('SELECT 7 DIV 2', context), { sql: 'SELECT div(7, 2)', issues: [] });
+    assert.strictEqual(translateSql('SELECT (a + 1) DIV b DIV 2', context).sql, 'SELECT div(div((a + 1), b), 2)');
+    assert.strictEqual(translateSql('SELECT IF(a, 1, 2) DIV 3', context).sql, 'SELECT div((CASE WHEN a THEN 1 ELSE 2 END), 3)');
+});
+
+test('DIV after a multiplication is reported, since precedence may differ', () => {
+    assert.deepStrictEqual(translateSql('SELECT a * b DIV c', context), {
+        sql: 'SELECT a * div(b, c)',
+        issues: ['DIV after * / % or MOD']
+    });
+});
+
+test('GROUP_CONCAT(DISTINCT ... ORDER BY) orders text values as text', () => {
+    assert.deepStrictEqual(translateSql("SELECT GROUP_CONCAT(DISTINCT Name ORDER BY Name SEPARATOR ';') FROM orders", context), {
+        sql: "SELECT string_agg(DISTINCT (Name)::text, ';' ORDER BY (Name)::text) FROM orders",
+        issues: []
+    });
+});
+
+test('GROUP_CONCAT(DISTINCT ... ORDER BY) of other values is reported', () => {
+    assert.deepStrictEqual(translateSql('SELECT GROUP_CONCAT(DISTINCT total ORDER BY total) FROM orders', context), {
+        sql: "SELECT string_agg(DISTINCT (total)::text, ',') FROM orders",
+        issues: ['GROUP_CONCAT(DISTINCT ... ORDER BY ...) of a value that is not text']
+    });
+});
+
+test('translateRoutineBody declares variables before BEGIN', () => {
+    const { body, issues } = translateRoutineBody('BEGIN\n  DECLARE x INT DEFAULT 0;\n  SET x = x + 1;\n  RETURN x;\nEND', {});
+    assert.strictEqual(body, 'DECLARE\n    x INTEGER := 0;\nBEGIN\n  x := x + 1;\n  RETURN x;\nEND;');
+    assert.deepStrictEqual(issues, []);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SAMPLE_BUCKETS, getSamplePercent, buildSampleCondition, buildTableCondition, buildSourceFilters, hasSourceFilters } = require('../lib/subset');
+
+test('getSamplePercent falls back to SAMPLES["*"], 100 % means every row', () => {
+    const settings = { SAMPLES: { '*': 10, orders: 2.5, users: 100 } };
+    assert.strictEqual(getSamplePercent('orders', settings), 2.5);
+    assert.strictEqual(getSamplePercent('items', settings), 10);
+    assert.strictEqual(getSamplePercent('users', settings), null);
+    assert.strictEqual(getSamplePercent('orders', {}), null);
+});
+
+test('buildSampleCondition hashes the key columns into buckets', () => {
+    assert.strictEqual(
+        buildSampleCondition(['tenant', 'id'], 2.5),
+        `MOD(CRC32(CONCAT_WS('|', \`tenant\`, \`id\`)), ${SAMPLE_BUCKETS}) < 250`
+    );
+});
+
+test('buildTableCondition wraps the FILTERS condition of a table', async () => {
+    const settings = { FILTERS: { orders: "status = 'open'" } };
+    assert.strictEqual(await buildTableCondition('orders', settings), "(status = 'open')");
+    assert.strictEqual(await buildTableCondition('users', settings), null);
+});
+
+test('buildSourceFilters without SUBSET keeps every table to its own condition', async () => {
+    const settings = { FILTERS: { orders: 'id > 10' } };
+    assert.deepStrictEqual(await buildSourceFilters(['orders', 'users'], settings), { orders: '(id > 10)', users: null });
+});
+
+test('hasSourceFilters is set by FILTERS or SAMPLES', () => {
+    assert.strictEqual(hasSourceFilters({}), false);
+    assert.strictEqual(hasSourceFilters({ FILTERS: {}, SAMPLES: {} }), false);
+    assert.strictEqual(hasSourceFilters({ FILTERS: { orders: 'id > 10' } }), true);
+    assert.strictEqual(hasSourceFilters({ SAMPLES: { '*': 5 } }), true);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UTC_OFFSET_PATTERN, msUntilTimeWindow, parseUtcOffset, parseDateTimeMicros, formatDateTimeMicros } = require('../lib/temporal');
+
+test('parseUtcOffset reads the offset forms in minutes east of UTC', () => {
+    assert.strictEqual(parseUtcOffset('Z'), 0);
+    assert.strictEqual(parseUtcOffset('+02:00'), 120);
+    assert.strictEqual(parseUtcOffset('-0530'), -330);
+    assert.strictEqual(parseUtcOffset('+09'), 540);
+    assert.throws(() => parseUtcOffset('Europe/Berlin'), /Invalid UTC offset/);
+});
+
+test('UTC_OFFSET_PATTERN accepts session time zones only in +hh:mm form', () => {
+    assert.ok(UTC_OFFSET_PATTERN.test('+14:00'));
+    assert.ok(!UTC_OFFSET_PATTERN.test('+15:00'));
+    assert.ok(!UTC_OFFSET_PATTERN.test('0200'));
+});
+
+test('parseDateTimeMicros keeps microseconds and applies offsets', () => {
+    assert.strictEqual(parseDateTimeMicros('1970-01-01 00:00:01.000001'), 1000001n);
+    assert.strictEqual(parseDateTimeMicros('1970-01-01 02:00:00', 120), 0n);
+    assert.strictEqual(parseDateTimeMicros('1970-01-01T00:00:00-01:00', 120), 3600000000n);
+    assert.strictEqual(parseDateTimeMicros('1970-01-02'), 86400000000n);
+});
+
+test('parseDateTimeMicros refuses zero and impossible dates', () => {
+    assert.strictEqual(parseDateTimeMicros('0000-00-00 00:00:00'), null);
+    assert.strictEqual(parseDateTimeMicros('2023-02-29'), null);
+    assert.strictEqual(parseDateTimeMicros('yesterday'), null);
+});
+
+test('formatDateTimeMicros prints UTC text like PostgreSQL', () => {
+    assert.strictEqual(formatDateTimeMicros(parseDateTimeMicros('2024-02-29 23:59:59.120000')), '2024-02-29 23:59:59.12');
+    assert.strictEqual(formatDateTimeMicros(parseDateTimeMicros('1969-12-31 23:59:59.5')), '1969-12-31 23:59:59.5');
+    assert.strictEqual(formatDateTimeMicros(parseDateTimeMicros('2024-01-01 10:00:00+02:00')), '2024-01-01 08:00:00');
+});
+
+test('msUntilTimeWindow waits for the next window, also past midnight', () => {
+    const at = (hours, minutes) => new Date(2024, 0, 1, hours, minutes, 0, 0);
+    assert.strictEqual(msUntilTimeWindow([], at(12, 0)), 0);
+    assert.strictEqual(msUntilTimeWindow(['22:00-06:00'], at(23, 30)), 0);
+    assert.strictEqual(msUntilTimeWindow(['22:00-06:00'], at(5, 59)), 0);
+    assert.strictEqual(msUntilTimeWindow(['22:00-06:00'], at(21, 0)), 60 * 60000);
+    assert.strictEqual(msUntilTimeWindow(['01:00-02:00', '13:00-14:00'], at(12, 30)), 30 * 60000);
+});
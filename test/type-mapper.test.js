@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMySQLType, mapColumnType, convertDataType, getColumnMapping, buildSelectList, createRowConverter } = require('../lib/type-mapper');
+
+test('parseMySQLType reads arguments and modifiers', () => {
+    assert.deepStrictEqual(parseMySQLType('decimal(10,2) unsigned'), {
+        base: 'decimal', args: [10, 2], values: [], unsigned: true, zerofill: false
+    });
+    assert.deepStrictEqual(parseMySQLType('int(11) zerofill'), {
+        base: 'int', args: [11], values: [], unsigned: true, zerofill: true
+    });
+    assert.strictEqual(parseMySQLType('double precision').base, 'double precision');
+});
+
+test('parseMySQLType reads ENUM and SET labels with quotes and commas', () => {
+    assert.deepStrictEqual(parseMySQLType("enum('a','it''s','x,y')").values, ['a', "it's", 'x,y']);
+    assert.deepStrictEqual(parseMySQLType("set('read','write')").values, ['read', 'write']);
+});
+
+test('integer types are widened for unsigned values', () => {
+    assert.strictEqual(convertDataType('tinyint(1)'), 'BOOLEAN');
+    assert.strictEqual(convertDataType('tinyint(4)'), 'SMALLINT');
+    assert.strictEqual(convertDataType('smallint unsigned'), 'INTEGER');
+    assert.strictEqual(convertDataType('int unsigned'), 'BIGINT');
+    assert.strictEqual(convertDataType('bigint'), 'BIGINT');
+    assert.strictEqual(convertDataType('bigint unsigned'), 'NUMERIC(20,0)');
+});
+
+test('numeric, float and bit types', () => {
+    assert.strictEqual(convertDataType('decimal(12,4)'), 'NUMERIC(12,4)');
+    assert.strictEqual(convertDataType('decimal'), 'NUMERIC(10,0)');
+    assert.strictEqual(convertDataType('float'), 'REAL');
+    assert.strictEqual(convertDataType('float(30)'), 'DOUBLE PRECISION');
+    assert.strictEqual(convertDataType('float(7,2)'), 'REAL');
+    assert.strictEqual(convertDataType('bit(1)'), 'BOOLEAN');
+    assert.strictEqual(convertDataType('bit(8)'), 'BIT(8)');
+});
+
+test('date and time types follow TIMESTAMP_TYPE / DATETIME_TYPE', () => {
+    assert.strictEqual(convertDataType('date'), 'DATE');
+    assert.strictEqual(convertDataType('datetime(6)'), 'TIMESTAMP(6)');
+    assert.strictEqual(convertDataType('datetime', { DATETIME_TYPE: 'timestamptz' }), 'TIMESTAMPTZ');
+    assert.strictEqual(convertDataType('timestamp(3)'), 'TIMESTAMPTZ(3)');
+    assert.strictEqual(convertDataType('timestamp', { TIMESTAMP_TYPE: 'timestamp' }), 'TIMESTAMP');
+});
+
+test('TIME becomes INTERVAL, since MySQL TIME is a duration', () => {
+    assert.strictEqual(convertDataType('time'), 'INTERVAL');
+    assert.strictEqual(convertDataType('time(3)'), 'INTERVAL(3)');
+});
+
+test('text, binary, enum, set, json and spatial types', () => {
+    assert.strictEqual(convertDataType('varchar(40)'), 'VARCHAR(40)');
+    assert.strictEqual(convertDataType('char'), 'CHAR(1)');
+    assert.strictEqual(convertDataType('mediumtext'), 'TEXT');
+    assert.strictEqual(convertDataType('varbinary(16)'), 'BYTEA');
+    assert.strictEqual(convertDataType("enum('s','medium')"), 'VARCHAR(6)');
+    assert.strictEqual(convertDataType("set('a','b')"), 'TEXT[]');
+    assert.strictEqual(convertDataType('json'), 'JSONB');
+    assert.strictEqual(convertDataType('point'), 'BYTEA');
+    assert.strictEqual(mapColumnType('point').select('`location`'), 'ST_AsBinary(`location`)');
+});
+
+test('unknown types keep their values as text', () => {
+    assert.deepStrictEqual(mapColumnType('vector(3)'), { type: 'TEXT', known: false });
+});
+
+test('getColumnMapping honours COLUMN_TYPES overrides', () => {
+    const settings = { COLUMN_TYPES: { 'orders.status': 'TEXT' } };
+    const mapping = getColumnMapping('orders', { Field: 'status', Type: 'tinyint(1)' }, settings);
+    assert.strictEqual(mapping.type, 'TEXT');
+    assert.strictEqual(mapping.overridden, true);
+    assert.strictEqual(mapping.convert, undefined);
+    assert.strictEqual(getColumnMapping('orders', { Field: 'paid', Type: 'tinyint(1)' }, settings).type, 'BOOLEAN');
+});
+
+test('buildSelectList reads spatial columns as WKB', () => {
+    const columns = [{ Field: 'id', Type: 'int' }, { Field: 'area', Type: 'polygon' }];
+    assert.strictEqual(buildSelectList('zones', columns, {}), '`id`, ST_AsBinary(`area`) AS `area`');
+});
+
+test('createRowConverter converts booleans, bits, sets and JSON', () => {
+    const columns = [
+        { Field: 'flag', Type: 'bit(1)' },
+        { Field: 'mask', Type: 'bit(4)' },
+        { Field: 'tags', Type: "set('a','b')" },
+        { Field: 'doc', Type: 'json' },
+        { Field: 'name', Type: 'varchar(20)' }
+    ];
+    const convert = createRowConverter('items', columns, {});
+    const row = convert({ flag: Buffer.from([1]), mask: Buffer.from([0x05]), tags: 'a,b', doc: { a: 1 }, name: 'x' });
+    assert.deepStrictEqual(row, { flag: true, mask: '0101', tags: ['a', 'b'], doc: '{"a":1}', name: 'x' });
+    assert.deepStrictEqual(convert({ flag: null, mask: null, tags: '', doc: null, name: null }).tags, []);
+});